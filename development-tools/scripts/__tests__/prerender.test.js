@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { prerenderFile } = require('../prerender');
+
+const FIXTURES = path.join(__dirname, '__fixtures__');
+const TEMPLATES = path.join(__dirname, '../../../ui-components/navigation');
+
+function prerenderFixture(name) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sirsimaster-prerender-'));
+  const file = path.join(outDir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.copyFileSync(path.join(FIXTURES, name), file);
+  try {
+    const count = prerenderFile(file, { outDir, templatesDir: TEMPLATES, brandConfig: null, locale: 'en', dryRun: false }, {});
+    return { count, html: fs.readFileSync(file, 'utf-8') };
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+describe('prerenderFile', () => {
+  test('keeps placeholders whose attribute values contain ">"', () => {
+    const { count, html } = prerenderFixture('actions-gt.html');
+
+    expect(count).toBe(1);
+    expect(html).toContain('data-prerendered="true"');
+    expect(html).toContain('Import &gt; CSV');
+    expect(html).toContain('href="import.html"');
+    expect(html).toContain('Export');
+    expect(html).not.toContain(' CSV","href"');
+    expect(html).toContain('<main>\n    <p>Report list</p>\n  </main>');
+    expect(html.match(/<header\b/g)).toHaveLength(1);
+  });
+
+  test('resolves [[BASE]] from the file to the output directory', () => {
+    const { count, html } = prerenderFixture('docs/guide/setup.html');
+
+    expect(count).toBe(2);
+    expect(html).toContain('href="../../dashboard.html"');
+    expect(html).toContain('<aside class="sidebar" data-base="../../"');
+    expect(html).toContain('<header class="admin-header" data-base="../.."');
+    expect(html).not.toContain('href="admin/');
+  });
+
+  test('prefers the placeholder data-base', () => {
+    const { html } = prerenderFixture('explicit-base.html');
+
+    expect(html).toContain('data-base="/app/"');
+    expect(html).toContain('href="/app/dashboard.html"');
+  });
+});
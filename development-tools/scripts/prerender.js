@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * Static Navigation Prerender
+ *
+ * Expands navigation placeholders in built HTML files so headers, sidebars and
+ * breadcrumbs are part of the page source (SEO, no-JS users, no layout shift):
+ *   <aside id="sidebar-root">, <header id="admin-header-root">, <header id="universal-header-root">
+ *
+ * Rendering goes through ui-components/navigation/render.js, the same code the
+ * browser loaders use, including data-nav-src navigation schemas for the sidebar.
+ * [[BASE]] (a placeholder's data-base, else the path from the file to the output
+ * directory), the active sidebar item and the breadcrumb trail are resolved per file
+ * from its location inside the output directory. Rendered roots are marked
+ * data-prerendered (and keep the placeholder's data-* attributes) so the loaders
+ * attach interactivity instead of rendering; the headers are rendered again from their
+ * template on the first session, locale or access change. Role/permission filtering uses the placeholder's
+ * data-user-roles / data-user-permissions; without them restricted entries are left out.
+ *
+ * Breadcrumb options (the same object as window.SirsiMasterConfig.breadcrumbs) are
+ * read from --breadcrumbs; --origin makes the BreadcrumbList JSON-LD URLs absolute.
+ * The universal header brand (the same object as window.SirsiMasterConfig.brand) is read
+ * from --brand, or from the JSON file a placeholder's data-brand points to.
+ * Labels are translated for each page's <html lang>, else --locale (default 'en');
+ * --messages adds translations (the same object as window.SirsiMasterConfig.messages).
+ *
+ * Usage:
+ *   sirsimaster-prerender <output-dir> [--templates <dir>] [--breadcrumbs <file.json>] [--brand <file.json>] [--locale <code>] [--messages <file.json>] [--origin <url>] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const render = require('../../ui-components/navigation/render');
+const breadcrumbs = require('../../ui-components/navigation/breadcrumbs');
+const i18n = require('../../ui-components/core/i18n');
+
+// Configuration
+const CONFIG = {
+  templatesDir: path.join(__dirname, '../../ui-components/navigation'),
+  skipDirs: ['node_modules', '.git'],
+};
+
+const PLACEHOLDERS = [
+  { id: 'sidebar-root', tag: 'aside', template: 'sidebar' },
+  { id: 'admin-header-root', tag: 'header', template: 'admin-header' },
+  { id: 'universal-header-root', tag: 'header', template: 'universal-header' },
+];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { outDir: null, templatesDir: CONFIG.templatesDir, breadcrumbs: null, brand: null, locale: 'en', messages: null, origin: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--templates') {
+      options.templatesDir = path.resolve(argv[++i]);
+    } else if (arg === '--breadcrumbs') {
+      options.breadcrumbs = path.resolve(argv[++i]);
+    } else if (arg === '--brand') {
+      options.brand = path.resolve(argv[++i]);
+    } else if (arg === '--locale') {
+      options.locale = argv[++i];
+    } else if (arg === '--messages') {
+      options.messages = path.resolve(argv[++i]);
+    } else if (arg === '--origin') {
+      options.origin = argv[++i];
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (!options.outDir) {
+      options.outDir = path.resolve(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Scan directory recursively for HTML files
+ */
+function scanHtmlFiles(dir, files = []) {
+  fs.readdirSync(dir).forEach(file => {
+    const filePath = path.join(dir, file);
+    const stat = fs.statSync(filePath);
+
+    if (stat.isDirectory()) {
+      if (!CONFIG.skipDirs.includes(file)) scanHtmlFiles(filePath, files);
+    } else if (file.endsWith('.html')) {
+      files.push(filePath);
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Wrap the attribute string of a placeholder so render.js can read it like an element
+ */
+function attributeReader(attrs) {
+  return {
+    getAttribute: name => render.readAttribute(attrs, name),
+  };
+}
+
+/**
+ * Map a URL from a page attribute to a file: relative to the page, or to the
+ * output directory when it starts with '/'
+ */
+function sourcePath(src, filePath, options) {
+  return src.startsWith('/')
+    ? path.join(options.outDir, src)
+    : path.resolve(path.dirname(filePath), src);
+}
+
+/**
+ * Locate a template: data-template-src wins over the templates directory
+ */
+function templatePath(name, el, filePath, options) {
+  const src = el.getAttribute('data-template-src');
+  return src ? sourcePath(src, filePath, options) : path.join(options.templatesDir, `${name}.html`);
+}
+
+/**
+ * Render one placeholder with the same functions the browser loaders call
+ */
+function renderPlaceholder(placeholder, el, template, page) {
+  if (placeholder.template === 'sidebar') {
+    const base = render.resolveBase(el, true) ?? `${page.rootRelative}/`;
+    const active = el.getAttribute('data-active') || '';
+    const user = render.resolveUser(el);
+    const navSrc = el.getAttribute('data-nav-src');
+    if (navSrc) {
+      const schema = JSON.parse(fs.readFileSync(sourcePath(navSrc, page.filePath, page.options), 'utf-8'));
+      return render.sidebarFromSchema(schema, base, active, user);
+    }
+    return render.sidebar(template, base, active, user);
+  }
+
+  if (placeholder.template === 'admin-header') {
+    const base = render.resolveBase(el) ?? page.rootRelative;
+    return render.adminHeader(template, base, render.parseAdminHeaderConfig(el), page.pathname);
+  }
+
+  const base = render.resolveBase(el) ?? page.rootRelative;
+  const source = render.brandSource(el.getAttribute('data-brand'));
+  const brand = [page.options.brandConfig];
+  if (source && source.type === 'url') {
+    brand.push(JSON.parse(fs.readFileSync(sourcePath(source.value.replace(/[?#].*$/, ''), page.filePath, page.options), 'utf-8')));
+  }
+  return render.universalHeader(template, render.parseUniversalHeaderConfig(el, base, brand));
+}
+
+/**
+ * Mark the rendered root and carry the placeholder's data-* attributes over for hydration
+ */
+function markPrerendered(html, placeholderAttrs) {
+  const root = render.findElement(html, () => true);
+  if (!root) return html;
+
+  let attrs = root.attrs;
+  const dataAttrs = placeholderAttrs.match(/\sdata-[\w-]+/g) || [];
+  dataAttrs.forEach(match => {
+    const name = match.trim();
+    if (render.readAttribute(attrs, name) === null) {
+      attrs = render.writeAttribute(attrs, name, render.readAttribute(placeholderAttrs, name));
+    }
+  });
+  attrs = render.writeAttribute(attrs, 'data-prerendered', 'true');
+
+  return html.slice(0, root.start) + `<${root.name}${attrs}>` + html.slice(root.openEnd);
+}
+
+/**
+ * Prerender every placeholder in one file; returns the number expanded
+ */
+function prerenderFile(filePath, options, templateCache) {
+  const relative = path.relative(options.outDir, filePath).split(path.sep).join('/');
+  const page = {
+    filePath,
+    options,
+    pathname: `/${relative}`,
+    rootRelative: path.relative(path.dirname(filePath), options.outDir).split(path.sep).join('/') || '.',
+  };
+
+  let html = fs.readFileSync(filePath, 'utf-8');
+  let count = 0;
+
+  const root = render.findElement(html, name => name === 'html');
+  i18n.setLocale((root && render.readAttribute(root.attrs, 'lang')) || options.locale);
+
+  PLACEHOLDERS.forEach(placeholder => {
+    const found = render.findElement(html, (name, attrs) =>
+      name === placeholder.tag && render.readAttribute(attrs, 'id') === placeholder.id);
+    if (!found) return;
+
+    const el = attributeReader(found.attrs);
+    const file = templatePath(placeholder.template, el, filePath, options);
+    if (!templateCache[file]) {
+      templateCache[file] = fs.readFileSync(file, 'utf-8');
+    }
+
+    const rendered = markPrerendered(renderPlaceholder(placeholder, el, templateCache[file], page), found.attrs);
+    html = html.slice(0, found.start) + rendered + html.slice(found.end);
+    count++;
+  });
+
+  if (count && !options.dryRun) {
+    fs.writeFileSync(filePath, html);
+  }
+  return count;
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.outDir) {
+    console.error('Usage: sirsimaster-prerender <output-dir> [--templates <dir>] [--breadcrumbs <file.json>] [--brand <file.json>] [--locale <code>] [--messages <file.json>] [--origin <url>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const breadcrumbOptions = options.breadcrumbs ? JSON.parse(fs.readFileSync(options.breadcrumbs, 'utf-8')) : {};
+  if (options.origin) breadcrumbOptions.origin = options.origin;
+  breadcrumbs.configure(breadcrumbOptions);
+  options.brandConfig = options.brand ? JSON.parse(fs.readFileSync(options.brand, 'utf-8')) : null;
+  const messages = options.messages ? JSON.parse(fs.readFileSync(options.messages, 'utf-8')) : {};
+  Object.keys(messages).forEach(code => i18n.register(code, messages[code]));
+
+  console.log(`🔍 Scanning ${options.outDir} for navigation placeholders...`);
+  const files = scanHtmlFiles(options.outDir);
+  const templateCache = {};
+  let pages = 0;
+  let placeholders = 0;
+
+  files.forEach(filePath => {
+    try {
+      const count = prerenderFile(filePath, options, templateCache);
+      if (count) {
+        pages++;
+        placeholders += count;
+        console.log(`  ${options.dryRun ? 'Would render' : 'Rendered'}: ${path.relative(options.outDir, filePath)} (${count})`);
+      }
+    } catch (error) {
+      console.error(`  ❌ Error processing ${filePath}:`, error.message);
+      process.exitCode = 1;
+    }
+  });
+
+  console.log('✅ Prerender complete!');
+  console.log(`   - ${files.length} HTML files scanned`);
+  console.log(`   - ${placeholders} placeholders expanded in ${pages} pages`);
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { prerenderFile, scanHtmlFiles };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { compileTokens, updateBundle } = require('../build-css');
+
+const TOKENS_DIR = path.join(__dirname, '../../ui-components/tokens');
+
+const tokens = overrides => Object.assign({
+  base: { sky: '#60A3D9', white: '#ffffff' },
+  themes: {
+    light: { surface: '{white}', accent: '{sky}' },
+    dark: { surface: '#0B1F41', accent: '{sky}' },
+  },
+}, overrides);
+
+describe('compileTokens', () => {
+  test('puts base and light tokens on :root and the dark theme under both dark selectors', () => {
+    const css = compileTokens(tokens());
+
+    expect(css).toContain(':root {\n  --sky: #60A3D9;\n  --white: #ffffff;\n\n  /* Light theme (default) */\n  --surface: var(--white);\n  --accent: var(--sky);\n  color-scheme: light;\n}');
+    expect(css).toContain(':root[data-theme="dark"] {\n  --surface: #0B1F41;\n  --accent: var(--sky);\n  color-scheme: dark;\n}');
+    expect(css).toContain('@media (prefers-color-scheme: dark) {\n  :root:not([data-theme="light"]) {\n    --surface: #0B1F41;\n    --accent: var(--sky);\n    color-scheme: dark;\n  }\n}');
+  });
+
+  test('needs a light and a dark theme', () => {
+    expect(() => compileTokens({ base: {}, themes: { light: {} } })).toThrow('tokens.json needs "themes.light" and "themes.dark"');
+    expect(() => compileTokens({ base: {} })).toThrow('tokens.json needs "themes.light" and "themes.dark"');
+  });
+
+  test('rejects tokens defined in only one theme', () => {
+    const themes = { light: { surface: '#fff', border: '#eee' }, dark: { surface: '#000', glow: '#0ff' } };
+    expect(() => compileTokens(tokens({ themes }))).toThrow('Tokens defined in only one theme: border, glow');
+  });
+
+  test('rejects references to unknown tokens, naming where they are', () => {
+    expect(() => compileTokens(tokens({ base: { sky: '#60A3D9', white: '#fff', brand: '{skye}' } }))).toThrow('Unknown token reference {skye} in base.brand');
+    const themes = { light: { accent: '{sky}' }, dark: { accent: '{navy}' } };
+    expect(() => compileTokens(tokens({ themes }))).toThrow('Unknown token reference {navy} in themes.dark.accent');
+  });
+
+  test('the checked-in tokens.css is up to date with tokens.json', () => {
+    const source = JSON.parse(fs.readFileSync(path.join(TOKENS_DIR, 'tokens.json'), 'utf-8'));
+    expect(compileTokens(source)).toBe(fs.readFileSync(path.join(TOKENS_DIR, 'tokens.css'), 'utf-8'));
+  });
+});
+
+describe('updateBundle', () => {
+  test('replaces only the Design Tokens section', () => {
+    const bundle = '/* ====\n   Design Tokens\n   ==== */\n:root { --old: 1; }\n\n/* ====\n   Reset\n   ==== */\n* { margin: 0; }\n';
+    expect(updateBundle(bundle, ':root { --new: 2; }\n')).toBe(
+      '/* ====\n   Design Tokens\n   ==== */\n:root { --new: 2; }\n\n/* ====\n   Reset\n   ==== */\n* { margin: 0; }\n');
+    expect(() => updateBundle('* {}', '')).toThrow('No "Design Tokens" section found');
+  });
+});
@@ -0,0 +1,175 @@
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildBundle, buildModules, buildServiceWorker, vlq } = require('../build-js');
+const pkg = require('../../package.json');
+
+const UI_DIR = path.join(__dirname, '../../ui-components');
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Sourcemap mappings → for each generated line, [column, source, line, column] or null
+function decodeMappings(mappings) {
+  const state = [0, 0, 0, 0];
+  return mappings.split(';').map(segment => {
+    if (!segment) return null;
+    const fields = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of segment.split(',')[0]) {
+      const digit = BASE64.indexOf(char);
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+    fields.forEach((field, i) => { state[i] = i === 0 ? field : state[i] + field; });
+    return state.slice();
+  });
+}
+
+// The original line a generated line maps to: { source, line } or null for glue
+function originalLine(output, generatedLine) {
+  const mapping = decodeMappings(output.map.mappings)[generatedLine];
+  if (!mapping) return null;
+  return {
+    source: output.map.sources[mapping[1]],
+    text: output.map.sourcesContent[mapping[1]].split('\n')[mapping[2]],
+  };
+}
+
+describe('vlq', () => {
+  test.each([
+    [0, 'A'],
+    [1, 'C'],
+    [-1, 'D'],
+    [15, 'e'],
+    [16, 'gB'],
+    [-16, 'hB'],
+    [123, '2H'],
+    [1000, 'w+B'],
+  ])('encodes %i as %s', (value, encoded) => {
+    expect(vlq(value)).toBe(encoded);
+  });
+});
+
+describe('sourcemaps', () => {
+  const bundle = buildBundle();
+  const lines = bundle.code.split('\n');
+
+  test('point every bundled line at the same line of its original file', () => {
+    [
+      ['core/i18n.js', '  function pluralCategory(count, code) {'],
+      ['core/template-engine.js', '  function safeUrl(value, fallback) {'],
+      ['navigation/render.js', '  function sanitizeSvg(markup) {'],
+      ['navigation/sidebar.js', '  function resolveBase(el) {'],
+    ].forEach(([file, text]) => {
+      const generated = lines.indexOf(text);
+      expect(generated).toBeGreaterThan(-1);
+      expect(originalLine(bundle, generated)).toEqual({ source: `../${file}`, text });
+    });
+  });
+
+  test('map generated glue to nothing and embed the sources', () => {
+    expect(originalLine(bundle, 0)).toBeNull();
+    expect(bundle.map.file).toBe('sirsimaster-ui.js');
+    expect(bundle.map.sources).toContain('../core/i18n.js');
+    bundle.map.sources.forEach((source, i) => {
+      expect(bundle.map.sourcesContent[i]).toBe(fs.readFileSync(path.join(UI_DIR, 'dist', source), 'utf-8'));
+    });
+    expect(lines[lines.length - 2]).toBe('//# sourceMappingURL=sirsimaster-ui.js.map');
+  });
+
+  test('resolve ES module sources from dist/esm/', () => {
+    const core = buildModules()['core.mjs'];
+    expect(core.map.file).toBe('core.mjs');
+    expect(core.map.sources[0]).toBe('../../core/i18n.js');
+    const generated = core.code.split('\n').indexOf('  function pluralCategory(count, code) {');
+    expect(originalLine(core, generated).source).toBe('../../core/i18n.js');
+  });
+});
+
+describe('ES modules', () => {
+  const modules = buildModules();
+
+  test('core.mjs runs the UMD sources in their browser branch and exports every module', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sirsimaster-esm-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'core.mjs'), modules['core.mjs'].code);
+      const script = `const m = await import(${JSON.stringify(path.join(dir, 'core.mjs'))});
+        console.log(JSON.stringify({
+          keys: Object.keys(m).sort(),
+          global: m.default === globalThis.SirsiMaster,
+          label: m.i18n.t('menu.logout'),
+          render: typeof m.render.sidebar,
+        }));`;
+      const result = JSON.parse(childProcess.execFileSync(process.execPath, ['--input-type=module', '-e', script]).toString());
+
+      expect(result.global).toBe(true);
+      expect(result.label).toBe('Logout');
+      expect(result.render).toBe('function');
+      expect(result.keys).toEqual(expect.arrayContaining(['default', 'i18n', 'templateEngine', 'render', 'session', 'serviceWorker']));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('component modules add only their own template and loader on top of core.mjs', () => {
+    const sidebar = modules['sidebar.mjs'].code;
+    expect(sidebar).toContain("import SirsiMaster from './core.mjs';");
+    expect(sidebar).toContain("const root = typeof window !== 'undefined' ? window : globalThis;\n(function (module) {");
+    expect(sidebar).toContain('}).call(root);');
+    expect(sidebar).toContain('export const sidebar = SirsiMaster.sidebar;\nexport default sidebar;');
+    expect(modules['sidebar.mjs'].map.sources).toEqual(['../../navigation/sidebar.js']);
+    expect(sidebar).not.toContain('core/i18n.js');
+
+    expect(modules['elements.mjs'].code).toContain("import './admin-header.mjs';\nimport './sidebar.mjs';\nimport './universal-header.mjs';");
+    expect(modules['index.mjs'].code).toContain("export { default } from './core.mjs';\nexport * from './core.mjs';");
+    expect(modules['index.mjs'].code).toContain("export { sidebar } from './sidebar.mjs';");
+  });
+});
+
+describe('service worker manifest', () => {
+  const hash = content => crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+
+  function manifest(built) {
+    const { code } = buildServiceWorker(built);
+    return JSON.parse(/self\.SIRSIMASTER_PRECACHE = (\{[\s\S]*?\n\});/.exec(code)[1]);
+  }
+
+  test('lists every precached file with a hash of its content', () => {
+    const { version, files } = manifest({});
+    const urls = files.map(file => file.url);
+
+    expect(version).toBe(pkg.version);
+    expect(urls).toEqual([...urls].sort());
+    expect(urls).toEqual(expect.arrayContaining([
+      'core/i18n.js', 'navigation/sidebar.html', 'navigation/admin-layout.css', 'tokens/tokens.css', 'dist/sirsimaster-ui.css',
+    ]));
+    expect(urls).not.toContain('service-worker/worker.js');
+    files.forEach(file => {
+      expect(file.revision).toBe(hash(fs.readFileSync(path.join(UI_DIR, file.url))));
+    });
+  });
+
+  test('adds the freshly built files, and their content changes the manifest hash', () => {
+    const first = manifest({ 'sirsimaster-ui.js': 'one' });
+    const second = manifest({ 'sirsimaster-ui.js': 'two' });
+
+    expect(first.files[first.files.length - 1]).toEqual({ url: 'dist/sirsimaster-ui.js', revision: hash('one') });
+    expect(first.hash).toBe(hash(JSON.stringify(first.files)));
+    expect(second.hash).not.toBe(first.hash);
+    expect(manifest({ 'sirsimaster-ui.js': 'one' }).hash).toBe(first.hash);
+  });
+
+  test('is followed by the worker source', () => {
+    const worker = buildServiceWorker({});
+    expect(worker.map.file).toBe('sirsimaster-sw.js');
+    expect(worker.map.sources).toEqual(['../service-worker/worker.js']);
+  });
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Design Token Compiler for SirsiMaster UI Components
+ *
+ * Compiles ui-components/tokens/tokens.json into CSS custom properties:
+ * 1. ui-components/tokens/tokens.css, linked by pages that use the navigation CSS directly
+ * 2. The Design Tokens section of ui-components/dist/sirsimaster-ui.css
+ *
+ * Output: base tokens and the light theme on :root, the dark theme on
+ * :root[data-theme="dark"] and, through prefers-color-scheme, on pages that have not
+ * picked a theme (see core/theme.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+  tokensFile: path.join(__dirname, '../ui-components/tokens/tokens.json'),
+  tokensCss: path.join(__dirname, '../ui-components/tokens/tokens.css'),
+  bundleCss: path.join(__dirname, '../ui-components/dist/sirsimaster-ui.css'),
+  // The generated block replaces everything from this heading to the next section heading
+  bundleSection: /(\/\* =+\s*\n\s*Design Tokens\s*\n\s*=+ \*\/\n)[\s\S]*?(?=\n\/\* =+)/,
+};
+
+/**
+ * Turn "{name}" references into var(--name); unknown names are an error
+ */
+function resolveValue(value, known, context) {
+  return String(value).replace(/\{([a-z0-9-]+)\}/g, (match, name) => {
+    if (!known.has(name)) {
+      throw new Error(`Unknown token reference ${match} in ${context}`);
+    }
+    return `var(--${name})`;
+  });
+}
+
+/**
+ * Declarations for one group of tokens, indented for a rule body
+ */
+function declarations(group, known, context, indent = '  ') {
+  return Object.keys(group)
+    .map(name => `${indent}--${name}: ${resolveValue(group[name], known, `${context}.${name}`)};`)
+    .join('\n');
+}
+
+/**
+ * Generate the token stylesheet
+ */
+function compileTokens(tokens) {
+  const base = tokens.base || {};
+  const themes = tokens.themes || {};
+  if (!themes.light || !themes.dark) {
+    throw new Error('tokens.json needs "themes.light" and "themes.dark"');
+  }
+
+  // Every theme must define the same names, or switching themes leaves stale values
+  const lightNames = Object.keys(themes.light);
+  const darkNames = Object.keys(themes.dark);
+  const missing = lightNames.filter(name => !(name in themes.dark))
+    .concat(darkNames.filter(name => !(name in themes.light)));
+  if (missing.length) {
+    throw new Error(`Tokens defined in only one theme: ${missing.join(', ')}`);
+  }
+
+  const known = new Set(Object.keys(base).concat(lightNames));
+  const dark = declarations(themes.dark, known, 'themes.dark', '    ');
+
+  let css = `/* Generated by scripts/build-css.js from ui-components/tokens/tokens.json - do not edit directly */\n`;
+  css += `:root {\n`;
+  css += `${declarations(base, known, 'base')}\n\n`;
+  css += `  /* Light theme (default) */\n`;
+  css += `${declarations(themes.light, known, 'themes.light')}\n`;
+  css += `  color-scheme: light;\n`;
+  css += `}\n\n`;
+  css += `/* Dark theme: SirsiMaster.theme.set('dark') */\n`;
+  css += `:root[data-theme="dark"] {\n${dark.replace(/^ {4}/gm, '  ')}\n  color-scheme: dark;\n}\n\n`;
+  css += `/* Dark theme from the operating system unless a theme was picked */\n`;
+  css += `@media (prefers-color-scheme: dark) {\n`;
+  css += `  :root:not([data-theme="light"]) {\n${dark}\n    color-scheme: dark;\n  }\n`;
+  css += `}\n`;
+  return css;
+}
+
+/**
+ * Replace the Design Tokens section of the CSS bundle
+ */
+function updateBundle(bundle, css) {
+  if (!CONFIG.bundleSection.test(bundle)) {
+    throw new Error(`No "Design Tokens" section found in ${CONFIG.bundleCss}`);
+  }
+  return bundle.replace(CONFIG.bundleSection, (match, heading) => `${heading}${css}`);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  console.log('📦 Compiling design tokens...');
+  try {
+    const tokens = JSON.parse(fs.readFileSync(CONFIG.tokensFile, 'utf-8'));
+    const css = compileTokens(tokens);
+
+    fs.writeFileSync(CONFIG.tokensCss, css);
+    fs.writeFileSync(CONFIG.bundleCss, updateBundle(fs.readFileSync(CONFIG.bundleCss, 'utf-8'), css));
+
+    console.log('✅ Tokens compiled!');
+    console.log(`   - ${Object.keys(tokens.base || {}).length} base tokens, ${Object.keys(tokens.themes.light).length} per theme`);
+    console.log(`   - Output: ${CONFIG.tokensCss}`);
+    console.log(`   - Updated: ${CONFIG.bundleCss}`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { resolveValue, compileTokens, updateBundle };
@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * JavaScript Bundler for SirsiMaster UI Components
+ *
+ * Builds ui-components/dist/ from the core modules, the navigation loaders and their
+ * templates. Templates are inlined, so bundled pages make no template requests:
+ * 1. sirsimaster-ui.js - UMD: a classic <script> that sets window.SirsiMaster, or
+ *    require('@sirsimaster/component-library'), which outside a browser skips the
+ *    loaders and returns the Node-safe modules (render, i18n, access, ...)
+ * 2. sirsimaster-ui.min.js - the same, minified with terser
+ * 3. esm/*.mjs - ES modules: core.mjs, one entry per component that adds only its
+ *    template and loader (admin-header, sidebar, universal-header, elements) and
+ *    index.mjs with everything
+ * 4. sirsimaster-sw.js - the optional service worker (service-worker/worker.js) with a
+ *    precache manifest: the library version and a content hash of every template,
+ *    stylesheet and script it serves
+ *
+ * Every output gets a sourcemap that points at the original files.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+  uiDir: path.join(__dirname, '../ui-components'),
+  distDir: path.join(__dirname, '../ui-components/dist'),
+  bundle: 'sirsimaster-ui.js',
+  minified: 'sirsimaster-ui.min.js',
+  esmDir: 'esm',
+  serviceWorker: 'sirsimaster-sw.js',
+  workerSource: 'service-worker/worker.js',
+  core: ['core/i18n.js', 'core/template-resolver.js', 'core/template-engine.js', 'core/theme.js', 'core/icons.js', 'core/access.js', 'core/session.js', 'core/actions.js', 'navigation/breadcrumbs.js', 'navigation/render.js', 'navigation/search.js', 'navigation/notifications.js', 'navigation/menu.js', 'navigation/mobile-nav.js', 'navigation/auth-modal.js', 'service-worker/register.js'],
+  // Names the core modules register on SirsiMaster, exported from core.mjs
+  coreExports: ['i18n', 'templates', 'templateEngine', 'theme', 'icons', 'access', 'session', 'actions', 'breadcrumbs', 'render', 'search', 'notifications', 'menu', 'mobileNav', 'authModal', 'serviceWorker'],
+  // Files the service worker precaches, relative to ui-components/ ("dir/*.ext" lists a directory)
+  precache: ['navigation/*.html', 'navigation/*.css', 'navigation/*.js', 'core/*.js', 'service-worker/register.js', 'tokens/tokens.css', 'dist/sirsimaster-ui.css'],
+  templates: {
+    'admin-header': 'navigation/admin-header.html',
+    'sidebar': 'navigation/sidebar.html',
+    'universal-header': 'navigation/universal-header.html',
+  },
+  // In bundle order; global is the SirsiMaster property the loader adds
+  components: {
+    'admin-header': { loader: 'navigation/admin-header.js', templates: ['admin-header'], global: 'adminHeader' },
+    'sidebar': { loader: 'navigation/sidebar.js', templates: ['sidebar'], global: 'sidebar' },
+    'universal-header': { loader: 'navigation/universal-header.js', templates: ['universal-header'], global: 'universalHeader' },
+    'elements': { loader: 'navigation/elements.js', templates: [], imports: ['admin-header', 'sidebar', 'universal-header'] },
+  },
+};
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Base64 VLQ encoding of one sourcemap field
+ */
+function vlq(value) {
+  let rest = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = rest & 31;
+    rest >>>= 5;
+    if (rest > 0) digit |= 32;
+    encoded += BASE64[digit];
+  } while (rest > 0);
+  return encoded;
+}
+
+/**
+ * Collects the parts of an output file: add(code, file) maps every line of code to the
+ * same line of file (relative to ui-components/), add(code) is generated glue.
+ * finish(name) returns { code, map } for ui-components/dist/<name>.
+ */
+function createOutput() {
+  const chunks = [];
+
+  function add(code, file) {
+    chunks.push({ code: code.endsWith('\n') ? code : `${code}\n`, file });
+  }
+
+  function finish(name) {
+    const mapDir = path.dirname(path.join(CONFIG.distDir, name));
+    const sources = [];
+    const sourcesContent = [];
+    const lines = [];
+    let last = { source: 0, line: 0 };
+
+    chunks.forEach(chunk => {
+      const count = chunk.code.split('\n').length - 1;
+      if (!chunk.file) {
+        for (let i = 0; i < count; i++) lines.push('');
+        return;
+      }
+      let source = sources.indexOf(chunk.file);
+      if (source === -1) {
+        source = sources.push(chunk.file) - 1;
+        sourcesContent.push(fs.readFileSync(path.join(CONFIG.uiDir, chunk.file), 'utf-8'));
+      }
+      for (let line = 0; line < count; line++) {
+        lines.push(vlq(0) + vlq(source - last.source) + vlq(line - last.line) + vlq(0));
+        last = { source, line };
+      }
+    });
+
+    const file = path.basename(name);
+    return {
+      code: `${chunks.map(chunk => chunk.code).join('')}//# sourceMappingURL=${file}.map\n`,
+      map: {
+        version: 3,
+        file,
+        sources: sources.map(source => path.relative(mapDir, path.join(CONFIG.uiDir, source)).split(path.sep).join('/')),
+        sourcesContent,
+        names: [],
+        mappings: lines.join(';'),
+      },
+    };
+  }
+
+  return { add, finish };
+}
+
+/**
+ * Read a template and drop its leading usage comment, which is documentation only
+ */
+function readTemplate(relativePath) {
+  const html = fs.readFileSync(path.join(CONFIG.uiDir, relativePath), 'utf-8');
+  return html.replace(/^\s*<!--[\s\S]*?-->\s*/, '');
+}
+
+/**
+ * Generate the script that registers every template with the resolver
+ */
+function generateTemplateRegistry(templates) {
+  let code = `(function (root) {\n`;
+  code += `  var templates = root.SirsiMaster.templates;\n`;
+
+  Object.keys(templates).forEach(name => {
+    code += `  templates.register(${JSON.stringify(name)}, ${JSON.stringify(templates[name])});\n`;
+  });
+
+  code += `})(typeof window !== 'undefined' ? window : this);\n`;
+  return code;
+}
+
+function banner(description) {
+  const pkg = require('../package.json');
+  return `/**\n * SirsiMaster UI Components v${pkg.version}${description ? ` - ${description}` : ''}\n * Generated by scripts/build-js.js - do not edit directly\n */\n`;
+}
+
+// One source file, mapped line by line; only trailing whitespace is trimmed
+function addSection(output, file) {
+  output.add(`\n/* ---- ${file} ---- */\n`);
+  output.add(fs.readFileSync(path.join(CONFIG.uiDir, file), 'utf-8').replace(/\s+$/, ''), file);
+}
+
+function addTemplates(output, names) {
+  if (!names.length) return;
+  const templates = {};
+  names.forEach(name => {
+    templates[name] = readTemplate(CONFIG.templates[name]);
+  });
+  output.add(`\n/* ---- inlined templates ---- */\n`);
+  output.add(generateTemplateRegistry(templates));
+}
+
+// The loaders render into the page: skipped outside a browser (require() from Node, SSR)
+function addLoader(output, file) {
+  output.add(`\nif (root.document) {`);
+  addSection(output, file);
+  output.add(`}\n`);
+}
+
+/**
+ * Assemble the UMD bundle
+ */
+function buildBundle() {
+  const output = createOutput();
+  output.add(banner());
+  output.add([
+    `(function (root, factory) {`,
+    `  var SirsiMaster = factory.call(root, root);`,
+    `  if (typeof module === 'object' && module.exports) {`,
+    `    module.exports = SirsiMaster;`,
+    `  } else if (typeof define === 'function' && define.amd) {`,
+    `    define([], function () { return SirsiMaster; });`,
+    `  }`,
+    `})(typeof window !== 'undefined' ? window : this, function (root) {`,
+    `var module; // the modules below register on root.SirsiMaster`,
+  ].join('\n'));
+
+  CONFIG.core.forEach(file => addSection(output, file));
+  addTemplates(output, Object.keys(CONFIG.templates));
+  Object.keys(CONFIG.components).forEach(name => addLoader(output, CONFIG.components[name].loader));
+
+  output.add(`\nreturn root.SirsiMaster;\n});\n`);
+  return output.finish(CONFIG.bundle);
+}
+
+// Wraps sources so their UMD headers take the browser branch and register on the global
+function esmWrapper(output, fill) {
+  output.add(`const root = typeof window !== 'undefined' ? window : globalThis;\n(function (module) {`);
+  fill();
+  output.add(`}).call(root);\n`);
+}
+
+/**
+ * Assemble the ES modules: { 'core.mjs': { code, map }, 'admin-header.mjs': ..., 'index.mjs': ... }
+ */
+function buildModules() {
+  const modules = {};
+  const esm = name => `${CONFIG.esmDir}/${name}.mjs`;
+
+  const core = createOutput();
+  core.add(banner('core modules'));
+  esmWrapper(core, () => CONFIG.core.forEach(file => addSection(core, file)));
+  core.add(`const SirsiMaster = root.SirsiMaster;\nexport default SirsiMaster;\n`);
+  core.add(CONFIG.coreExports.map(name => `export const ${name} = SirsiMaster.${name};`).join('\n'));
+  modules['core.mjs'] = core.finish(esm('core'));
+
+  Object.keys(CONFIG.components).forEach(name => {
+    const component = CONFIG.components[name];
+    const output = createOutput();
+    output.add(banner(name));
+    output.add(`import SirsiMaster from './core.mjs';`);
+    (component.imports || []).forEach(dependency => output.add(`import './${dependency}.mjs';`));
+    esmWrapper(output, () => {
+      addTemplates(output, component.templates);
+      addLoader(output, component.loader);
+    });
+    if (component.global) {
+      output.add(`export const ${component.global} = SirsiMaster.${component.global};\nexport default ${component.global};`);
+    } else {
+      output.add(`export default SirsiMaster;`);
+    }
+    modules[`${name}.mjs`] = output.finish(esm(name));
+  });
+
+  const index = createOutput();
+  index.add(banner('every component'));
+  index.add(`export { default } from './core.mjs';\nexport * from './core.mjs';`);
+  Object.keys(CONFIG.components).forEach(name => {
+    const component = CONFIG.components[name];
+    index.add(component.global
+      ? `export { ${component.global} } from './${name}.mjs';`
+      : `import './${name}.mjs';`);
+  });
+  modules['index.mjs'] = index.finish(esm('index'));
+
+  return modules;
+}
+
+const contentHash = content => crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+
+/**
+ * Expand CONFIG.precache into the files it names, sorted
+ */
+function precacheFiles() {
+  const files = [];
+  CONFIG.precache.forEach(pattern => {
+    const match = pattern.match(/^(.*)\/\*(\.\w+)$/);
+    if (!match) {
+      files.push(pattern);
+      return;
+    }
+    fs.readdirSync(path.join(CONFIG.uiDir, match[1]))
+      .filter(file => file.endsWith(match[2]))
+      .forEach(file => files.push(`${match[1]}/${file}`));
+  });
+  return files.sort();
+}
+
+/**
+ * Assemble the service worker. built maps the names of freshly built dist files
+ * ('sirsimaster-ui.js', ...) to their code; they are precached too.
+ */
+function buildServiceWorker(built) {
+  const pkg = require('../package.json');
+  const files = precacheFiles().map(file => ({
+    url: file,
+    revision: contentHash(fs.readFileSync(path.join(CONFIG.uiDir, file))),
+  }));
+  Object.keys(built).forEach(name => {
+    files.push({ url: `dist/${name}`, revision: contentHash(built[name]) });
+  });
+  const manifest = { version: pkg.version, hash: contentHash(JSON.stringify(files)), files };
+
+  const output = createOutput();
+  output.add(banner('service worker'));
+  output.add(`self.SIRSIMASTER_PRECACHE = ${JSON.stringify(manifest, null, 2)};`);
+  addSection(output, CONFIG.workerSource);
+  return output.finish(CONFIG.serviceWorker);
+}
+
+/**
+ * Minify the UMD bundle, chaining its sourcemap to the original files
+ */
+async function minifyBundle(bundle) {
+  let terser;
+  try {
+    terser = require('terser');
+  } catch (error) {
+    throw new Error('terser is not installed; run npm install');
+  }
+  const pkg = require('../package.json');
+  const result = await terser.minify({ [CONFIG.bundle]: bundle.code }, {
+    sourceMap: { content: bundle.map, filename: CONFIG.minified, url: `${CONFIG.minified}.map` },
+    format: { preamble: `/*! SirsiMaster UI Components v${pkg.version} | ${pkg.license} */` },
+  });
+  return { code: `${result.code}\n`, map: JSON.parse(result.map) };
+}
+
+function write(name, output) {
+  const file = path.join(CONFIG.distDir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, output.code);
+  fs.writeFileSync(`${file}.map`, JSON.stringify(output.map));
+  return output.code;
+}
+
+const size = code => `${(Buffer.byteLength(code) / 1024).toFixed(1)} KB`;
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('📦 Building sirsimaster-ui.js...');
+  try {
+    const bundle = buildBundle();
+    const minified = await minifyBundle(bundle);
+    const modules = buildModules();
+    const worker = buildServiceWorker({ [CONFIG.bundle]: bundle.code, [CONFIG.minified]: minified.code });
+
+    write(CONFIG.bundle, bundle);
+    write(CONFIG.minified, minified);
+    Object.keys(modules).forEach(name => write(`${CONFIG.esmDir}/${name}`, modules[name]));
+    write(CONFIG.serviceWorker, worker);
+
+    console.log('✅ Build complete!');
+    console.log(`   - ${Object.keys(CONFIG.templates).length} templates inlined`);
+    console.log(`   - ${Object.keys(CONFIG.components).length} loaders bundled`);
+    console.log(`   - UMD: ${path.join(CONFIG.distDir, CONFIG.bundle)} (${size(bundle.code)})`);
+    console.log(`   - Minified: ${path.join(CONFIG.distDir, CONFIG.minified)} (${size(minified.code)})`);
+    console.log(`   - ES modules: ${path.join(CONFIG.distDir, CONFIG.esmDir)}/ (${Object.keys(modules).join(', ')})`);
+    console.log(`   - Service worker: ${path.join(CONFIG.distDir, CONFIG.serviceWorker)} (${precacheFiles().length + 2} files precached)`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readTemplate, generateTemplateRegistry, buildBundle, buildModules, buildServiceWorker, minifyBundle, vlq };
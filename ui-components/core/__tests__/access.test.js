@@ -0,0 +1,117 @@
+function loadAccess(win) {
+  let access;
+  global.window = win;
+  try {
+    jest.isolateModules(() => { access = require('../access'); });
+  } finally {
+    delete global.window;
+  }
+  return access;
+}
+
+// A placeholder element with the given attributes
+function element(attrs) {
+  return { getAttribute: name => (name in attrs ? attrs[name] : null) };
+}
+
+describe('allows', () => {
+  const access = loadAccess(undefined);
+  const user = access.userFromElement(element({ 'data-user-roles': 'editor', 'data-user-permissions': 'reports.read, reports.export' }));
+  const allows = entry => access.allows(access.requirement(entry), user);
+
+  test('entries without requirements are always allowed, even without a user', () => {
+    expect(allows({})).toBe(true);
+    expect(allows({ roles: '', permissions: [] })).toBe(true);
+    expect(access.allows(access.requirement(null), null)).toBe(true);
+  });
+
+  test('restricted entries are denied without a user context', () => {
+    expect(access.allows(access.requirement({ roles: 'editor' }), null)).toBe(false);
+  });
+
+  test('one of the roles is enough', () => {
+    expect(allows({ roles: 'admin, editor' })).toBe(true);
+    expect(allows({ roles: ['admin'] })).toBe(false);
+  });
+
+  test('every permission is needed', () => {
+    expect(allows({ permissions: 'reports.read' })).toBe(true);
+    expect(allows({ permissions: 'reports.read,reports.export' })).toBe(true);
+    expect(allows({ permissions: 'reports.read,reports.delete' })).toBe(false);
+  });
+
+  test('roles and permissions must both be met', () => {
+    expect(allows({ roles: 'editor', permissions: 'reports.read' })).toBe(true);
+    expect(allows({ roles: 'admin', permissions: 'reports.read' })).toBe(false);
+    expect(allows({ roles: 'editor', permissions: 'billing.read' })).toBe(false);
+  });
+
+  test('whenDenied is hide unless it is disable', () => {
+    expect(access.requirement({ roles: 'admin' }).whenDenied).toBe('hide');
+    expect(access.requirement({ roles: 'admin', whenDenied: 'disable' }).whenDenied).toBe('disable');
+    expect(access.requirement({ roles: 'admin', whenDenied: 'remove' }).whenDenied).toBe('hide');
+  });
+});
+
+describe('user context', () => {
+  test('placeholder attributes win over setUser(), which wins over SirsiMasterConfig.user', () => {
+    const win = new EventTarget();
+    win.SirsiMasterConfig = { user: { roles: 'viewer' } };
+    const access = loadAccess(win);
+
+    expect(access.resolveUser(element({}))).toEqual({ roles: ['viewer'], permissions: [] });
+    access.setUser({ roles: ['editor'], permissions: 'a, b' });
+    expect(access.resolveUser(element({}))).toEqual({ roles: ['editor'], permissions: ['a', 'b'] });
+    expect(access.resolveUser(element({ 'data-user-permissions': 'c' }))).toEqual({ roles: [], permissions: ['c'] });
+    expect(access.resolveUser(null)).toEqual({ roles: ['editor'], permissions: ['a', 'b'] });
+  });
+
+  test('setUser() dispatches sirsiMasterAccessChange; null falls back to the configured user', () => {
+    const win = new EventTarget();
+    win.SirsiMasterConfig = { user: { roles: 'viewer' } };
+    const access = loadAccess(win);
+    const changes = [];
+    win.addEventListener('sirsiMasterAccessChange', event => changes.push(event.detail.user));
+
+    access.setUser({ roles: 'admin' });
+    access.setUser(null);
+
+    expect(changes).toEqual([{ roles: ['admin'], permissions: [] }, null]);
+    expect(access.getUser()).toEqual({ roles: ['viewer'], permissions: [] });
+  });
+});
+
+describe('navigation decisions', () => {
+  const render = require('../../navigation/render');
+  const schema = {
+    sections: [
+      {
+        title: 'Main',
+        items: [
+          { key: 'home', label: 'Home', href: 'home.html' },
+          { key: 'users', label: 'Users', href: 'users.html', roles: 'admin' },
+          { key: 'billing', label: 'Billing', href: 'billing.html', roles: 'admin', whenDenied: 'disable' },
+        ],
+      },
+      { title: 'Admin', roles: 'admin', items: [{ key: 'audit', label: 'Audit', href: 'audit.html' }] },
+    ],
+  };
+
+  test('denied entries are hidden or rendered disabled without a link', () => {
+    const html = render.sidebarFromSchema(schema, '', null, { roles: ['editor'], permissions: [] });
+
+    expect(html).toContain('<a href="home.html" class="nav-item" data-key="home">');
+    expect(html).not.toContain('data-key="users"');
+    expect(html).toContain('<a class="nav-item disabled" aria-disabled="true" tabindex="-1" data-key="billing">');
+    expect(html).not.toContain('billing.html');
+    expect(html).not.toContain('Admin');
+  });
+
+  test('allowed entries render normally', () => {
+    const html = render.sidebarFromSchema(schema, '', null, { roles: ['admin'], permissions: [] });
+
+    expect(html).toContain('data-key="users"');
+    expect(html).toContain('<a href="billing.html" class="nav-item" data-key="billing">');
+    expect(html).toContain('data-key="audit"');
+  });
+});
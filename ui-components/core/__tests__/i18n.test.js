@@ -0,0 +1,134 @@
+/**
+ * core/i18n.js against a minimal window: an EventTarget with <html lang dir> and
+ * SirsiMasterConfig.
+ */
+function createWindow(lang, config) {
+  const win = new EventTarget();
+  const attrs = lang ? { lang } : {};
+  win.document = {
+    documentElement: {
+      getAttribute: name => (name in attrs ? attrs[name] : null),
+      setAttribute: (name, value) => { attrs[name] = String(value); },
+      hasAttribute: name => name in attrs,
+    },
+  };
+  win.SirsiMasterConfig = config;
+  return { win, attrs };
+}
+
+function loadI18n(win) {
+  let i18n;
+  global.window = win;
+  try {
+    jest.isolateModules(() => { i18n = require('../i18n'); });
+  } finally {
+    delete global.window;
+  }
+  return i18n;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('plurals', () => {
+  const unread = { 0: 'No unread messages', one: '{count} unread message', other: '{count} unread messages' };
+
+  test('picks the Intl.PluralRules category, exact counts first', () => {
+    const i18n = loadI18n(createWindow('en').win);
+    i18n.register('en', { 'test.unread': unread });
+
+    expect(i18n.t('test.unread', { count: 0 })).toBe('No unread messages');
+    expect(i18n.t('test.unread', { count: 1 })).toBe('1 unread message');
+    expect(i18n.t('test.unread', { count: 5 })).toBe('5 unread messages');
+  });
+
+  test('uses the plural rules of the language', () => {
+    const i18n = loadI18n(createWindow('pl').win);
+    i18n.register('pl', { 'test.files': { one: '{count} plik', few: '{count} pliki', many: '{count} plików', other: '{count} pliku' } });
+
+    expect(i18n.t('test.files', { count: 1 })).toBe('1 plik');
+    expect(i18n.t('test.files', { count: 3 })).toBe('3 pliki');
+    expect(i18n.t('test.files', { count: 5 })).toBe('5 plików');
+    expect(i18n.t('test.files', { count: 1.5 })).toBe('1.5 pliku');
+  });
+
+  test('falls back to other when the category has no form', () => {
+    const i18n = loadI18n(createWindow('ar').win);
+    i18n.register('ar', { 'test.items': { other: '{count} عناصر' } });
+
+    expect(i18n.t('test.items', { count: 2 })).toBe('2 عناصر');
+  });
+});
+
+describe('fallback', () => {
+  test('a regional locale falls back to its language, then to English', () => {
+    const i18n = loadI18n(createWindow('pt-BR').win);
+    i18n.register('pt', { 'menu.logout': 'Sair' });
+    i18n.register('pt_br', { 'menu.profile': 'Meu perfil' });
+
+    expect(i18n.locale()).toBe('pt-br');
+    expect(i18n.t('menu.profile')).toBe('Meu perfil');
+    expect(i18n.t('menu.logout')).toBe('Sair');
+    expect(i18n.t('menu.settings')).toBe('Settings');
+    expect(i18n.has('menu.settings')).toBe(true);
+  });
+
+  test('SirsiMasterConfig.locale wins over <html lang>, and its messages are registered', () => {
+    const { win } = createWindow('fr', { locale: 'de', messages: { de: { 'menu.logout': 'Abmelden' } } });
+    const i18n = loadI18n(win);
+
+    expect(i18n.locale()).toBe('de');
+    expect(i18n.t('menu.logout')).toBe('Abmelden');
+    expect(i18n.t('menu.logout', null, 'en')).toBe('Logout');
+  });
+
+  test('without a window or <html lang> the locale is English', () => {
+    const i18n = loadI18n(undefined);
+    expect(i18n.locale()).toBe('en');
+  });
+
+  test('an unknown key is returned as is and warned about once', () => {
+    const i18n = loadI18n(createWindow('en').win);
+
+    expect(i18n.t('test.nope')).toBe('test.nope');
+    expect(i18n.t('test.nope')).toBe('test.nope');
+    expect(i18n.has('test.nope')).toBe(false);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith('Missing translation for "test.nope"');
+  });
+
+  test('placeholders without a value are left in place', () => {
+    const i18n = loadI18n(createWindow('en').win);
+
+    expect(i18n.t('universal.welcome', { name: 'Ana' })).toBe('Welcome, Ana');
+    expect(i18n.t('universal.welcome')).toBe('Welcome, {name}');
+  });
+});
+
+describe('setLocale', () => {
+  test('updates <html lang dir> and dispatches sirsiMasterLocaleChange', () => {
+    const { win, attrs } = createWindow('en');
+    const i18n = loadI18n(win);
+    const changes = [];
+    win.addEventListener('sirsiMasterLocaleChange', event => changes.push(event.detail));
+
+    i18n.setLocale('he_IL');
+
+    expect(i18n.locale()).toBe('he-il');
+    expect(attrs).toEqual({ lang: 'he-il', dir: 'rtl' });
+    expect(changes).toEqual([{ locale: 'he-il', dir: 'rtl' }]);
+    expect(() => i18n.setLocale(' ')).toThrow(TypeError);
+  });
+
+  test('a page that only declares a right-to-left <html lang> gets dir="rtl"', () => {
+    const { win, attrs } = createWindow('ar');
+    loadI18n(win);
+
+    expect(attrs.dir).toBe('rtl');
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * core/session.js runs against a minimal window: an EventTarget with localStorage,
+ * document.cookie and SirsiMasterConfig.session.
+ */
+function createWindow(sessionConfig) {
+  const win = new EventTarget();
+  const items = {};
+  win.document = { cookie: '', readyState: 'complete', addEventListener() {} };
+  win.localStorage = {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; },
+  };
+  win.atob = value => Buffer.from(value, 'base64').toString('binary');
+  win.SirsiMasterConfig = sessionConfig ? { session: sessionConfig } : undefined;
+  return win;
+}
+
+function loadSession(win) {
+  let session;
+  global.window = win;
+  try {
+    jest.isolateModules(() => { session = require('../session'); });
+  } finally {
+    delete global.window;
+  }
+  return session;
+}
+
+function jwt(claims) {
+  return 'header.' + Buffer.from(JSON.stringify(claims)).toString('base64url') + '.signature';
+}
+
+function recordChanges(win) {
+  const changes = [];
+  win.addEventListener('sirsiMasterSessionChange', event => changes.push(event.detail));
+  return changes;
+}
+
+describe('session', () => {
+  let win;
+  let session;
+
+  beforeEach(() => {
+    win = createWindow();
+    session = loadSession(win);
+  });
+
+  test('has no provider until one is set', () => {
+    expect(session.status()).toBe('none');
+    expect(session.user()).toBeNull();
+  });
+
+  test('use() loads the user and dispatches every state change', async () => {
+    const changes = recordChanges(win);
+    const user = await session.use(() => Promise.resolve({ displayName: 'Ana Pérez', email: 'ana@acme.dev', roles: 'editor, admin' }));
+
+    expect(user).toEqual({ name: 'Ana Pérez', email: 'ana@acme.dev', avatarUrl: '', roles: ['editor', 'admin'], permissions: [] });
+    expect(session.status()).toBe('authenticated');
+    expect(changes.map(change => change.status)).toEqual(['loading', 'authenticated']);
+    expect(changes[1].user).toEqual(user);
+  });
+
+  test('a provider that fails leaves the session anonymous', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(session.use(() => { throw new Error('offline'); })).resolves.toBeNull();
+    expect(session.status()).toBe('anonymous');
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+
+  test('a load answering after a newer change is dropped', async () => {
+    let resolveSlow;
+    const slow = session.use(() => new Promise(resolve => { resolveSlow = resolve; }));
+    await new Promise(resolve => setImmediate(resolve)); // the slow load has started
+    await session.set({ name: 'Fast' });
+    resolveSlow({ name: 'Slow' });
+    await slow;
+    expect(session.user().name).toBe('Fast');
+  });
+
+  test('set() saves the user and signOut() clears it', async () => {
+    const adapter = { load: () => null, save: jest.fn(), clear: jest.fn() };
+    await session.use(adapter);
+    expect(session.status()).toBe('anonymous');
+
+    const changes = recordChanges(win);
+    await session.set({ name: 'Grace Hopper', email: 'grace@navy.mil' });
+    expect(adapter.save).toHaveBeenCalledWith({ name: 'Grace Hopper', email: 'grace@navy.mil' });
+    expect(session.status()).toBe('authenticated');
+
+    await expect(session.signOut()).resolves.toBeNull();
+    expect(adapter.clear).toHaveBeenCalled();
+    expect(session.status()).toBe('anonymous');
+    expect(changes.map(change => change.status)).toEqual(['authenticated', 'anonymous']);
+  });
+
+  test('use(null) removes the provider and unsubscribes', async () => {
+    const unsubscribe = jest.fn();
+    await session.use({ load: () => ({ name: 'A' }), subscribe: () => unsubscribe });
+    await session.use(null);
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(session.status()).toBe('none');
+    expect(session.user()).toBeNull();
+  });
+
+  test('rejects providers without load()', () => {
+    expect(() => session.use({ subscribe() {} })).toThrow(TypeError);
+  });
+});
+
+describe('storage adapter', () => {
+  let win;
+  let session;
+
+  beforeEach(() => {
+    win = createWindow();
+    session = loadSession(win);
+  });
+
+  test('reads a JSON user from localStorage', async () => {
+    win.localStorage.setItem('sirsimaster.session', JSON.stringify({ name: 'Ana', email: 'ana@acme.dev' }));
+    const user = await session.use(session.adapters.storage());
+    expect(user.name).toBe('Ana');
+  });
+
+  test('reads the claims of a JWT in localStorage', async () => {
+    win.localStorage.setItem('app.token', jwt({ given_name: 'Ana', family_name: 'Pérez', email: 'ana@acme.dev', picture: 'https://img/ana.png', roles: ['editor'] }));
+    const user = await session.use(session.adapters.storage({ key: 'app.token' }));
+    expect(user).toEqual({ name: 'Ana Pérez', email: 'ana@acme.dev', avatarUrl: 'https://img/ana.png', roles: ['editor'], permissions: [] });
+  });
+
+  test('reads a JWT from a cookie and renames claims', async () => {
+    win.document.cookie = 'theme=dark; id_token=' + jwt({ name: 'Ana', 'https://acme.dev/roles': ['owner'] });
+    const user = await session.use(session.adapters.storage({ cookie: 'id_token', claims: { roles: 'https://acme.dev/roles' } }));
+    expect(user.name).toBe('Ana');
+    expect(user.roles).toEqual(['owner']);
+  });
+
+  test('ignores expired and malformed tokens', async () => {
+    win.localStorage.setItem('sirsimaster.session', jwt({ name: 'Old', exp: Math.floor(Date.now() / 1000) - 60 }));
+    await expect(session.use(session.adapters.storage())).resolves.toBeNull();
+
+    win.localStorage.setItem('sirsimaster.session', 'not.a-token');
+    await expect(session.use(session.adapters.storage())).resolves.toBeNull();
+
+    win.localStorage.setItem('sirsimaster.session', '{broken json');
+    await expect(session.use(session.adapters.storage())).resolves.toBeNull();
+    expect(session.status()).toBe('anonymous');
+  });
+
+  test('set() and signOut() write and remove the stored user', async () => {
+    await session.use(session.adapters.storage());
+    await session.set({ name: 'Ana' });
+    expect(JSON.parse(win.localStorage.getItem('sirsimaster.session')).name).toBe('Ana');
+    await session.signOut();
+    expect(win.localStorage.getItem('sirsimaster.session')).toBeNull();
+  });
+
+  test('picks up other tabs signing in', async () => {
+    await session.use(session.adapters.storage());
+    const event = new Event('storage');
+    event.key = 'sirsimaster.session';
+    event.newValue = JSON.stringify({ name: 'Other tab' });
+    win.dispatchEvent(event);
+    expect(session.user().name).toBe('Other tab');
+  });
+});
+
+describe('firebase adapter', () => {
+  // Firebase Auth stand-in: onAuthStateChanged reports the current user, then changes
+  function stubAuth(initial) {
+    const listeners = [];
+    let current = initial;
+    return {
+      onAuthStateChanged(callback) {
+        listeners.push(callback);
+        callback(current);
+        return () => listeners.splice(listeners.indexOf(callback), 1);
+      },
+      signOut: jest.fn(() => {
+        current = null;
+        listeners.slice().forEach(listener => listener(null));
+        return Promise.resolve();
+      }),
+      emit(user) {
+        current = user;
+        listeners.slice().forEach(listener => listener(user));
+      },
+    };
+  }
+
+  let session;
+
+  beforeEach(() => {
+    session = loadSession(createWindow());
+  });
+
+  test('loads the restored user with custom claims', async () => {
+    const auth = stubAuth({
+      displayName: 'Ana', email: 'ana@acme.dev', photoURL: 'https://img/ana.png',
+      getIdTokenResult: () => Promise.resolve({ claims: { roles: ['editor'], permissions: ['reports:export'] } }),
+    });
+    const user = await session.use(session.adapters.firebase(auth));
+    expect(user).toEqual({ name: 'Ana', email: 'ana@acme.dev', avatarUrl: 'https://img/ana.png', roles: ['editor'], permissions: ['reports:export'] });
+  });
+
+  test('follows later auth state changes and signs out through auth', async () => {
+    const auth = stubAuth(null);
+    await session.use(session.adapters.firebase(auth));
+    expect(session.status()).toBe('anonymous');
+
+    auth.emit({ displayName: 'Grace', email: 'grace@navy.mil' });
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(session.user().name).toBe('Grace');
+
+    await session.signOut();
+    expect(auth.signOut).toHaveBeenCalled();
+    expect(session.status()).toBe('anonymous');
+  });
+});
+
+describe('SirsiMasterConfig.session', () => {
+  test('turns on the storage adapter by name', async () => {
+    const win = createWindow({ adapter: 'storage', key: 'app.user' });
+    win.localStorage.setItem('app.user', JSON.stringify({ name: 'Ana' }));
+    const session = loadSession(win);
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(session.user().name).toBe('Ana');
+  });
+
+  test('logs an unknown adapter instead of throwing', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    let session;
+    expect(() => { session = loadSession(createWindow({ adapter: 'firebase' })); }).not.toThrow();
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Unknown session adapter "firebase"'));
+    expect(session.status()).toBe('anonymous');
+    error.mockRestore();
+  });
+
+  test('logs a provider object without load()', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const session = loadSession(createWindow({ subscribe() {} }));
+    expect(error).toHaveBeenCalled();
+    expect(session.status()).toBe('anonymous');
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,125 @@
+const engine = require('../template-engine');
+
+const render = (source, data) => engine.render(source, data, { name: 'test' });
+
+describe('output', () => {
+  test('escapes values by default', () => {
+    expect(render('<p>[[TITLE]]</p>', { TITLE: '<b>"Tom" & \'Jerry\'</b>' }))
+      .toBe('<p>&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;</p>');
+  });
+
+  test('raw writes the value as is', () => {
+    expect(render('[[LOGO | raw]]', { LOGO: '<svg></svg>' })).toBe('<svg></svg>');
+  });
+
+  test('null and undefined render empty, dotted paths read nested values', () => {
+    expect(render('[[A]]|[[B]]|[[user.name]]|[[user.missing.deep]]', { A: null, B: undefined, user: { name: 'Ann' } }))
+      .toBe('||Ann|');
+  });
+});
+
+describe('blocks', () => {
+  test('#if, [[else]] and #unless', () => {
+    const source = '[[#if SHOW]]yes[[else]]no[[/if]]/[[#unless SHOW]]hidden[[/unless]]';
+    expect(render(source, { SHOW: true })).toBe('yes/');
+    expect(render(source, { SHOW: 0 })).toBe('no/hidden');
+    expect(render(source, { SHOW: [] })).toBe('no/hidden');
+    expect(render(source, { SHOW: ['x'] })).toBe('yes/');
+  });
+
+  test('#each with loop variables and an empty-list else', () => {
+    const source = '[[#each items as item]][[@index]]:[[item.label]][[#if @last]].[[else]],[[/if]][[else]]none[[/each]]';
+    expect(render(source, { items: [{ label: 'a' }, { label: 'b' }] })).toBe('0:a,1:b.');
+    expect(render(source, { items: [] })).toBe('none');
+  });
+
+  test('loop names shadow the data, outer names stay visible', () => {
+    expect(render('[[#each list as NAME]][[NAME]][[BASE]] [[/each]]', { NAME: 'outer', BASE: '/', list: ['x', 'y'] }))
+      .toBe('x/ y/ ');
+  });
+});
+
+describe('filters', () => {
+  test('initials', () => {
+    expect(render('[[N | initials]]', { N: 'jane van dyke' })).toBe('JD');
+    expect(render('[[N | initials]]', { N: 'Madonna' })).toBe('M');
+    expect(render('[[N | initials]]', { N: '  ' })).toBe('');
+  });
+
+  test('upper, chained left to right with arguments', () => {
+    expect(render('[[N | upper]]', { N: 'acme' })).toBe('ACME');
+    expect(render('[[N | default:"Untitled" | slice:0:3 | upper]]', { N: '' })).toBe('UNT');
+  });
+
+  test('url keeps safe links and replaces others with #', () => {
+    expect(render('[[U | url]]', { U: 'https://example.com/?a=1&b=2' })).toBe('https://example.com/?a=1&amp;b=2');
+    expect(render('[[U | url]]', { U: 'javascript:alert(1)' })).toBe('#');
+  });
+
+  test('custom filters', () => {
+    engine.filter('money', value => `$${value}`);
+    expect(render('[[P | money]]', { P: 5 })).toBe('$5');
+    expect(() => engine.filter('raw', value => value)).toThrow('Invalid filter name: raw');
+  });
+
+  test('legacy [[X:0:2]] slices and upper-cases', () => {
+    expect(render('[[USER_NAME:0:2]]', { USER_NAME: 'jane' })).toBe('JA');
+  });
+});
+
+describe('errors', () => {
+  test('an unknown token throws a TemplateError naming the template and line', () => {
+    let error;
+    try {
+      engine.render('<p>\n[[TITEL]]</p>', { TITLE: 'x' }, { name: 'admin-header template', firstLine: 10 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(engine.TemplateError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('Unknown token [[TITEL]] (known: TITLE) in admin-header template, line 11');
+    expect(error.template).toBe('admin-header template');
+    expect(error.line).toBe(11);
+  });
+
+  test('unknown filters and unbalanced blocks fail while parsing', () => {
+    expect(() => render('[[A | nope]]', { A: 1 })).toThrow(engine.TemplateError);
+    expect(() => render('[[A | nope]]', { A: 1 })).toThrow('Unknown filter "nope"');
+    expect(() => render('[[#if A]]x', { A: 1 })).toThrow('[[#if]] is never closed in test, line 1');
+    expect(() => render('[[#if A]]x[[/each]]', { A: 1 })).toThrow('[[/each]] does not close [[#if]] from line 1');
+    expect(() => render('[[else]]', {})).toThrow('[[else]] outside of #if, #unless or #each');
+  });
+
+  test('#each over a value that is not a list', () => {
+    expect(() => render('[[#each A as a]][[/each]]', { A: 'text' })).toThrow('[[#each A]] needs a list');
+  });
+});
+
+describe('safeUrl', () => {
+  test.each([
+    'https://example.com',
+    'http://example.com',
+    'MAILTO:team@example.com',
+    'page.html',
+    '../up/page.html',
+    '/root',
+    '#section',
+    '?q=1',
+    '',
+  ])('allows %j', url => {
+    expect(engine.safeUrl(url)).toBe(url);
+  });
+
+  test.each([
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    ' \u0001javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox',
+  ])('denies %j', url => {
+    expect(engine.safeUrl(url)).toBe('#');
+    expect(engine.safeUrl(url, null)).toBeNull();
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * core/template-resolver.js against a minimal window (EventTarget, localStorage,
+ * navigator) and an XMLHttpRequest that answers from a table of URLs.
+ */
+function createWindow(config) {
+  const win = new EventTarget();
+  const items = {};
+  win.localStorage = {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+  };
+  win.navigator = { onLine: true };
+  win.location = { pathname: '/admin/reports/q3.html' };
+  win.SirsiMasterConfig = config;
+  return win;
+}
+
+function loadResolver(win) {
+  let templates;
+  global.window = win;
+  try {
+    jest.isolateModules(() => { templates = require('../template-resolver'); });
+  } finally {
+    delete global.window;
+  }
+  return templates;
+}
+
+// responses: url → list of { status, body } answered in turn (the last one repeats);
+// 'hang' never answers
+function fakeXhr(responses) {
+  const requests = [];
+  global.XMLHttpRequest = class {
+    open(method, url) {
+      this.url = url;
+    }
+
+    send() {
+      const list = responses[this.url] || [{ status: 404 }];
+      const response = list[Math.min(requests.filter(url => url === this.url).length, list.length - 1)];
+      requests.push(this.url);
+      if (response === 'hang') return;
+      this.readyState = 4;
+      this.status = response.status;
+      this.statusText = response.status === 200 ? 'OK' : 'Error';
+      this.responseText = response.body || '';
+      this.onreadystatechange();
+    }
+
+    abort() {}
+  };
+  return requests;
+}
+
+function element(attrs) {
+  return { getAttribute: name => (name in attrs ? attrs[name] : null) };
+}
+
+function load(templates, name, root, options) {
+  return new Promise(resolve => {
+    templates.load(name, root, options, (err, html, candidate) => resolve({ err, html, candidate }));
+  });
+}
+
+beforeEach(() => {
+  ['log', 'warn', 'error'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+  delete global.XMLHttpRequest;
+});
+
+describe('candidates', () => {
+  const manifest = {
+    '/admin/': { sidebar: '/admin/components/sidebar.html' },
+    '/admin/reports/': { sidebar: '/reports/sidebar.html' },
+    '/': { 'admin-header': '/header.html' },
+  };
+
+  test('data-template-src, longest manifest prefix, templateBase, script directory, then components/', () => {
+    const templates = loadResolver(createWindow({ templateBase: '/shared/components/' }));
+    const root = element({ 'data-template-src': ' custom/sidebar.html ' });
+
+    expect(templates.candidates('sidebar', root, { scriptSrc: 'https://cdn.example/ui/navigation/sidebar.js?v=2' }, manifest)).toEqual([
+      { source: 'data-template-src', url: 'custom/sidebar.html' },
+      { source: 'manifest (/admin/reports/)', url: '/reports/sidebar.html' },
+      { source: 'SirsiMasterConfig.templateBase', url: '/shared/components/sidebar.html' },
+      { source: 'loader script directory', url: 'https://cdn.example/ui/navigation/sidebar.html' },
+      { source: 'default', url: 'components/sidebar.html' },
+    ]);
+  });
+
+  test('without configuration only the default is left; duplicates are dropped', () => {
+    const templates = loadResolver(createWindow());
+
+    expect(templates.candidates('sidebar', element({}), {}, null)).toEqual([{ source: 'default', url: 'components/sidebar.html' }]);
+    expect(templates.candidates('sidebar', element({ 'data-template-src': 'components/sidebar.html' }), { pathname: '/' }, manifest))
+      .toEqual([{ source: 'data-template-src', url: 'components/sidebar.html' }]);
+  });
+
+  test('options.pathname picks the manifest entry instead of location', () => {
+    const templates = loadResolver(createWindow());
+
+    expect(templates.candidates('sidebar', null, { pathname: '/admin/users.html' }, manifest)[0])
+      .toEqual({ source: 'manifest (/admin/)', url: '/admin/components/sidebar.html' });
+    expect(templates.candidates('admin-header', null, { pathname: '/admin/users.html' }, manifest)[0])
+      .toEqual({ source: 'manifest (/)', url: '/header.html' });
+  });
+
+  test('load() tries the candidates in order until one answers', async () => {
+    const templates = loadResolver(createWindow({ templateBase: '/shared' }));
+    const requests = fakeXhr({ '/shared/sidebar.html': [{ status: 200, body: '<aside></aside>' }] });
+
+    const result = await load(templates, 'sidebar', element({ 'data-template-src': '/missing.html' }), {});
+
+    expect(requests).toEqual(['/missing.html', '/shared/sidebar.html']);
+    expect(result).toEqual({ err: null, html: '<aside></aside>', candidate: { source: 'SirsiMasterConfig.templateBase', url: '/shared/sidebar.html' } });
+  });
+});
+
+describe('retries', () => {
+  beforeEach(() => jest.useFakeTimers());
+
+  test('network errors and 5xx responses are retried with exponential backoff', async () => {
+    const templates = loadResolver(createWindow({ loading: { retries: 2, retryDelay: 100 } }));
+    const requests = fakeXhr({ 'components/sidebar.html': [{ status: 0 }, { status: 503 }, { status: 200, body: 'ok' }] });
+
+    const result = load(templates, 'sidebar', element({}), {});
+    expect(requests).toHaveLength(1);
+    jest.advanceTimersByTime(99);
+    expect(requests).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(requests).toHaveLength(2);
+    jest.advanceTimersByTime(199);
+    expect(requests).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+
+    expect(requests).toHaveLength(3);
+    expect((await result).html).toBe('ok');
+  });
+
+  test('a 404 moves on to the next URL at once', async () => {
+    const templates = loadResolver(createWindow({ templateBase: '/shared' }));
+    const requests = fakeXhr({
+      '/shared/sidebar.html': [{ status: 404 }],
+      'components/sidebar.html': [{ status: 200, body: 'ok' }],
+    });
+
+    expect((await load(templates, 'sidebar', element({}), {})).html).toBe('ok');
+    expect(requests).toEqual(['/shared/sidebar.html', 'components/sidebar.html']);
+  });
+
+  test('a request that hangs times out and is retried', async () => {
+    const templates = loadResolver(createWindow({ loading: { timeout: 1000, retries: 1, retryDelay: 50 } }));
+    const requests = fakeXhr({ 'components/sidebar.html': ['hang', { status: 200, body: 'ok' }] });
+
+    const result = load(templates, 'sidebar', element({}), {});
+    jest.advanceTimersByTime(1000 + 50);
+
+    expect(requests).toHaveLength(2);
+    expect((await result).html).toBe('ok');
+  });
+
+  test('offline pages do not retry', async () => {
+    const win = createWindow({ loading: { retries: 3 } });
+    win.navigator.onLine = false;
+    const templates = loadResolver(win);
+    const requests = fakeXhr({});
+
+    const result = await load(templates, 'sidebar', element({}), {});
+
+    expect(requests).toEqual(['components/sidebar.html']);
+    expect(result.err.message).toBe('Unable to load sidebar template (tried 1 URLs)');
+  });
+});
+
+describe('fallbacks', () => {
+  function recordFailures(win) {
+    const failures = [];
+    win.addEventListener('sirsiMasterTemplateError', event => failures.push(event.detail));
+    return failures;
+  }
+
+  test('the last copy that loaded is used when every URL fails', async () => {
+    const win = createWindow({ loading: { retries: 0 } });
+    const templates = loadResolver(win);
+    const failures = recordFailures(win);
+    fakeXhr({ 'components/sidebar.html': [{ status: 200, body: 'fresh' }, { status: 500 }] });
+    templates.register('sidebar', 'inline');
+    win.SirsiMasterConfig.fetchTemplates = true;
+
+    expect((await load(templates, 'sidebar', element({}), {})).html).toBe('fresh');
+    const result = await load(templates, 'sidebar', element({}), {});
+
+    expect(result).toEqual({ err: null, html: 'fresh', candidate: { source: 'cache', url: null } });
+    expect(failures).toHaveLength(1);
+    expect(failures[0].recovered).toBe('cache');
+    expect(failures[0].tried).toEqual([{ url: 'components/sidebar.html', source: 'default', message: 'HTTP 500 Error' }]);
+  });
+
+  test('then the inline template, then the configured offline fallback', async () => {
+    const win = createWindow({ fetchTemplates: true, loading: { retries: 0, cache: false, fallbacks: { sidebar: '<aside>offline</aside>' } } });
+    const templates = loadResolver(win);
+    const failures = recordFailures(win);
+    fakeXhr({});
+
+    expect((await load(templates, 'sidebar', element({}), {})).candidate.source).toBe('fallback');
+    templates.register('sidebar', 'inline');
+    expect((await load(templates, 'sidebar', element({}), {})).candidate.source).toBe('inline');
+    expect(failures.map(failure => failure.recovered)).toEqual(['fallback', 'inline']);
+  });
+
+  test('without any fallback the error lists every URL tried', async () => {
+    const win = createWindow({ templateBase: '/shared', loading: { retries: 0 } });
+    const templates = loadResolver(win);
+    const failures = recordFailures(win);
+    fakeXhr({});
+
+    const result = await load(templates, 'sidebar', element({}), {});
+
+    expect(result.err.message).toBe('Unable to load sidebar template (tried 2 URLs)');
+    expect(failures[0].recovered).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Failed to load sidebar template. Tried:\n' +
+      '  /shared/sidebar.html (SirsiMasterConfig.templateBase): HTTP 404 Error\n' +
+      '  components/sidebar.html (default): HTTP 404 Error');
+  });
+});
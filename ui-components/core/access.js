@@ -0,0 +1,112 @@
+/**
+ * Access Control for Navigation
+ *
+ * How it works:
+ * - Nav items, nav sections and header actions may declare requirements:
+ *   - roles: the user needs at least one of them
+ *   - permissions: the user needs all of them
+ *   - whenDenied: 'hide' (default) or 'disable'
+ *   In templates the same is written as data-roles="a,b", data-permissions="x,y",
+ *   data-when-denied="disable"
+ * - The current user context is { roles: [], permissions: [] }, taken from (first wins):
+ *   1. data-user-roles / data-user-permissions on the component placeholder
+ *   2. SirsiMaster.access.setUser({ roles, permissions })
+ *   3. window.SirsiMasterConfig.user
+ * - Entries without requirements are always shown; with requirements and no user
+ *   context they are denied
+ * - setUser() dispatches a 'sirsiMasterAccessChange' window event so loaders re-render
+ *
+ * Hiding navigation is a usability feature, not security: enforce access on the server.
+ */
+(function (root, factory) {
+  var access = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = access;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.access = access;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var currentUser = null;
+
+  function parseList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    return String(value).split(',').map(function (part) { return part.trim(); }).filter(Boolean);
+  }
+
+  function normalizeUser(user) {
+    if (!user) return null;
+    return { roles: parseList(user.roles), permissions: parseList(user.permissions) };
+  }
+
+  /**
+   * Read a user context from data-user-roles / data-user-permissions, or null if neither is set.
+   */
+  function userFromElement(el) {
+    var roles = el.getAttribute('data-user-roles');
+    var permissions = el.getAttribute('data-user-permissions');
+    if (roles === null && permissions === null) return null;
+    return normalizeUser({ roles: roles, permissions: permissions });
+  }
+
+  function setUser(user) {
+    currentUser = normalizeUser(user);
+    if (window && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+      window.dispatchEvent(new CustomEvent('sirsiMasterAccessChange', {
+        detail: { user: currentUser }
+      }));
+    }
+  }
+
+  function getUser() {
+    if (currentUser) return currentUser;
+    return normalizeUser(window && window.SirsiMasterConfig && window.SirsiMasterConfig.user);
+  }
+
+  /**
+   * Resolve the user for a component: placeholder attributes win over the global context.
+   */
+  function resolveUser(el) {
+    return (el && userFromElement(el)) || getUser();
+  }
+
+  /**
+   * Build a requirement from an object with roles/permissions/whenDenied fields.
+   */
+  function requirement(entry) {
+    return {
+      roles: parseList(entry && entry.roles),
+      permissions: parseList(entry && entry.permissions),
+      whenDenied: entry && entry.whenDenied === 'disable' ? 'disable' : 'hide'
+    };
+  }
+
+  function isRestricted(req) {
+    return req.roles.length > 0 || req.permissions.length > 0;
+  }
+
+  function allows(req, user) {
+    if (!isRestricted(req)) return true;
+    if (!user) return false;
+
+    var hasRole = !req.roles.length || req.roles.some(function (role) {
+      return user.roles.indexOf(role) !== -1;
+    });
+    var hasPermissions = req.permissions.every(function (permission) {
+      return user.permissions.indexOf(permission) !== -1;
+    });
+    return hasRole && hasPermissions;
+  }
+
+  return {
+    parseList: parseList,
+    userFromElement: userFromElement,
+    setUser: setUser,
+    getUser: getUser,
+    resolveUser: resolveUser,
+    requirement: requirement,
+    isRestricted: isRestricted,
+    allows: allows
+  };
+});
@@ -0,0 +1,172 @@
+/**
+ * Header Action Registry
+ *
+ * How it works:
+ * - Header actions name a handler instead of carrying code:
+ *     data-actions='[{ "label": "Export", "icon": "download", "action": "export" }]'
+ *     SirsiMaster.actions.register('export', function (detail, event) { ... });
+ * - navigation/render.js renders the buttons (escaped label, data-action, data-action-index);
+ *   the loaders call bind() to attach click handling and build the icons as DOM nodes
+ * - Every click first dispatches a cancellable, bubbling 'sirsiMasterAction' event on the
+ *   button; calling preventDefault() on it stops the handler (and link navigation)
+ * - Icons are names from core/icons.js; inline SVG markup is still accepted but only
+ *   basic shape elements and presentation attributes are kept
+ *
+ * No eval, no inline event handlers: works under a strict Content-Security-Policy.
+ */
+(function (root, factory) {
+  var actions = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = actions;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.actions = actions;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var SVG_NS = 'http://www.w3.org/2000/svg';
+  var SVG_ELEMENTS = ['path', 'line', 'polyline', 'polygon', 'circle', 'rect', 'ellipse', 'g'];
+  var SVG_ATTRIBUTES = [
+    'd', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'points',
+    'width', 'height', 'transform', 'fill', 'stroke', 'stroke-width', 'stroke-linecap',
+    'stroke-linejoin', 'opacity'
+  ];
+
+  var handlers = {};
+
+  function register(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('Action handler for "' + name + '" must be a function');
+    }
+    handlers[name] = handler;
+  }
+
+  function unregister(name) {
+    delete handlers[name];
+  }
+
+  function has(name) {
+    return Object.prototype.hasOwnProperty.call(handlers, name);
+  }
+
+  /**
+   * Call a registered handler directly. Returns false when none is registered.
+   */
+  function run(name, detail, event) {
+    if (!has(name)) {
+      console.warn('No handler registered for action:', name);
+      return false;
+    }
+    handlers[name](detail || { name: name }, event);
+    return true;
+  }
+
+  // ---- Icons ----
+
+  // Copy whitelisted SVG elements/attributes from a parsed document into live nodes
+  function copySvgChildren(source, target) {
+    Array.prototype.forEach.call(source.childNodes, function (node) {
+      if (node.nodeType !== 1) return;
+      var name = node.localName;
+      if (name === 'svg') {
+        copySvgChildren(node, target); // full <svg> markup: use its contents
+        return;
+      }
+      if (SVG_ELEMENTS.indexOf(name) === -1) return;
+
+      var el = document.createElementNS(SVG_NS, name);
+      SVG_ATTRIBUTES.forEach(function (attr) {
+        if (node.hasAttribute(attr)) el.setAttribute(attr, node.getAttribute(attr));
+      });
+      copySvgChildren(node, el);
+      target.appendChild(el);
+    });
+  }
+
+  /**
+   * Build an icon <svg> element from an icon name (core/icons.js) or SVG markup.
+   */
+  function createIcon(icon) {
+    var icons = window.SirsiMaster && window.SirsiMaster.icons;
+    var body = icons && icons.has(icon) ? icons.get(icon) : null;
+    if (body === null) {
+      if (!/^\s*</.test(icon)) {
+        console.warn('Unknown icon:', icon);
+        return null;
+      }
+      body = icon;
+    }
+
+    var doc = new DOMParser().parseFromString('<svg xmlns="' + SVG_NS + '">' + body + '</svg>', 'image/svg+xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      console.warn('Invalid icon markup:', icon);
+      return null;
+    }
+
+    var svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'header-action-icon');
+    svg.setAttribute('width', '16');
+    svg.setAttribute('height', '16');
+    svg.setAttribute('viewBox', '0 0 24 24');
+    svg.setAttribute('fill', 'none');
+    svg.setAttribute('stroke', 'currentColor');
+    svg.setAttribute('stroke-width', '2');
+    svg.setAttribute('aria-hidden', 'true');
+    copySvgChildren(doc.documentElement, svg);
+    return svg;
+  }
+
+  // ---- Binding ----
+
+  function trigger(button, action, component, event) {
+    var name = button.getAttribute('data-action');
+    var detail = { name: name, action: action, component: component, element: button };
+
+    var allowed = button.dispatchEvent(new CustomEvent('sirsiMasterAction', {
+      bubbles: true,
+      cancelable: true,
+      detail: detail
+    }));
+    if (!allowed) {
+      event.preventDefault();
+      return;
+    }
+
+    // Plain links without a named action just navigate
+    if (name) run(name, detail, event);
+  }
+
+  /**
+   * Attach icons and click handling to the [data-action-index] buttons in container.
+   * actions is the array the buttons were rendered from; component names the source
+   * ('admin-header', 'universal-header') in event details. attribute replaces
+   * data-action-index for other lists (navigation/menu.js binds data-menu-index).
+   */
+  function bind(container, actions, component, attribute) {
+    if (!container || !actions || !actions.length) return;
+    attribute = attribute || 'data-action-index';
+
+    Array.prototype.forEach.call(container.querySelectorAll('[' + attribute + ']'), function (button) {
+      var action = actions[button.getAttribute(attribute)];
+      if (!action) return;
+
+      if (action.icon && !button.querySelector('.header-action-icon')) {
+        var icon = createIcon(action.icon);
+        if (icon) button.insertBefore(icon, button.firstChild);
+      }
+
+      button.addEventListener('click', function (event) {
+        if (button.getAttribute('aria-disabled') === 'true') return;
+        trigger(button, action, component, event);
+      });
+    });
+  }
+
+  return {
+    register: register,
+    unregister: unregister,
+    has: has,
+    run: run,
+    createIcon: createIcon,
+    bind: bind
+  };
+});
@@ -0,0 +1,236 @@
+/**
+ * Message Catalog
+ *
+ * How it works:
+ * - Every UI string of the library has a key; English ships built in and projects add
+ *   their own languages (or override English wording) with register():
+ *     SirsiMaster.i18n.register('de', { 'menu.logout': 'Abmelden', ... });
+ * - The locale comes from window.SirsiMasterConfig.locale, then <html lang>, then 'en';
+ *   'pt-BR' falls back to 'pt', then to English
+ * - Messages interpolate {name} placeholders. A message can be an object of plural forms
+ *   picked by params.count through Intl.PluralRules ('zero', 'one', 'two', 'few', 'many',
+ *   'other'), with exact counts ("0") winning:
+ *     { '0': 'No unread messages', one: '{count} unread message', other: '{count} unread messages' }
+ * - setLocale() updates <html lang dir> and dispatches 'sirsiMasterLocaleChange' on window
+ *   (detail: { locale, dir }); the header loaders re-render in the new language
+ * - dir() is 'rtl' for right-to-left languages; the navigation CSS follows <html dir>
+ *
+ * Translations can also be given as window.SirsiMasterConfig.messages = { de: { ... } }.
+ */
+(function (root, factory) {
+  var i18n = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = i18n;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.i18n = i18n;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+  var catalogs = {
+    en: {
+      'header.title': 'Admin Portal',
+      'header.subtitle': 'Manage your platform efficiently',
+      'header.searchPlaceholder': 'Search across all modules...',
+      'header.toggleNavigation': 'Toggle navigation',
+      'header.signOut': 'Sign Out',
+      'universal.searchPlaceholder': 'Search...',
+      'universal.welcome': 'Welcome, {name}',
+      'universal.mainNav': 'Main',
+      'universal.menu': 'Menu',
+      'user.defaultName': 'User',
+      'brand.adminSubtitle': 'Admin',
+      'auth.signIn': 'Sign In',
+      'auth.signUp': 'Get Started',
+
+      'menu.userMenu': 'User menu',
+      'menu.profile': 'Profile',
+      'menu.myProfile': 'My Profile',
+      'menu.settings': 'Settings',
+      'menu.accountSettings': 'Account Settings',
+      'menu.helpCenter': 'Help Center',
+      'menu.dashboard': 'Dashboard',
+      'menu.properties': 'Properties',
+      'menu.myProperties': 'My Properties',
+      'menu.messages': 'Messages',
+      'menu.logout': 'Logout',
+      'menu.signOut': 'Sign Out',
+
+      'theme.label': 'Theme',
+      'theme.light': 'Light',
+      'theme.dark': 'Dark',
+      'theme.system': 'System',
+
+      'breadcrumbs.label': 'Breadcrumb',
+      'breadcrumbs.home': 'Home',
+      'breadcrumbs.back': 'Back',
+
+      'search.label': 'Search',
+      'search.noResults': 'No results for "{query}"',
+      'search.pages': 'Pages',
+      'search.results': 'Results',
+
+      'notifications.label': 'Notifications',
+      'notifications.labelUnread': 'Notifications ({count} unread)',
+      'notifications.markAllRead': 'Mark all as read',
+      'notifications.markRead': 'Mark as read',
+      'notifications.markItemRead': 'Mark "{title}" as read',
+      'notifications.empty': 'No notifications',
+
+      'auth.close': 'Close',
+      'auth.signInTitle': 'Sign in',
+      'auth.signInSubmit': 'Sign in',
+      'auth.signUpTitle': 'Create your account',
+      'auth.signUpSubmit': 'Create account',
+      'auth.resetTitle': 'Reset your password',
+      'auth.resetIntro': 'Enter your email address and we will send you a link to choose a new password.',
+      'auth.resetSubmit': 'Send reset link',
+      'auth.resetSent': 'If an account exists for {email}, a reset link is on its way.',
+      'auth.name': 'Full name',
+      'auth.email': 'Email',
+      'auth.password': 'Password',
+      'auth.passwordHelp': 'At least {count} characters',
+      'auth.forgotPassword': 'Forgot password?',
+      'auth.toSignUp': 'New here? Create an account',
+      'auth.toSignIn': 'Already have an account? Sign in',
+      'auth.backToSignIn': 'Back to sign in',
+      'auth.working': 'Please wait…',
+      'auth.error.nameRequired': 'Enter your name',
+      'auth.error.emailRequired': 'Enter your email address',
+      'auth.error.emailInvalid': 'Enter a valid email address',
+      'auth.error.passwordRequired': 'Enter your password',
+      'auth.error.passwordShort': 'Use at least {count} characters',
+      'auth.error.invalidCredentials': 'Email or password is incorrect',
+      'auth.error.emailTaken': 'An account with this email already exists',
+      'auth.error.failed': 'Something went wrong. Please try again.',
+
+      'time.justNow': 'just now',
+      'time.minutesAgo': '{count} min ago',
+      'time.hoursAgo': '{count} h ago',
+      'time.daysAgo': '{count} d ago'
+    }
+  };
+  var current = null;
+  var warned = {};
+
+  function documentElement() {
+    return window && window.document ? window.document.documentElement : null;
+  }
+
+  function normalize(locale) {
+    return String(locale || '').trim().replace(/_/g, '-').toLowerCase();
+  }
+
+  /**
+   * The active locale, e.g. 'en' or 'pt-br'.
+   */
+  function locale() {
+    if (current) return current;
+    var config = window && window.SirsiMasterConfig;
+    var html = documentElement();
+    current = normalize((config && config.locale) || (html && html.getAttribute('lang'))) || 'en';
+    return current;
+  }
+
+  // 'pt-br' → ['pt-br', 'pt', 'en']
+  function chain(code) {
+    var parts = normalize(code).split('-');
+    var list = [];
+    for (var i = parts.length; i > 0; i--) list.push(parts.slice(0, i).join('-'));
+    if (list.indexOf('en') === -1) list.push('en');
+    return list;
+  }
+
+  function lookup(key, code) {
+    var list = chain(code);
+    for (var i = 0; i < list.length; i++) {
+      var catalog = catalogs[list[i]];
+      if (catalog && Object.prototype.hasOwnProperty.call(catalog, key)) return catalog[key];
+    }
+    return undefined;
+  }
+
+  function pluralCategory(count, code) {
+    try {
+      return new Intl.PluralRules(code).select(count);
+    } catch (e) {
+      return count === 1 ? 'one' : 'other'; // Intl unavailable or unknown locale
+    }
+  }
+
+  /**
+   * Add messages for a locale; existing keys are overwritten.
+   */
+  function register(code, messages) {
+    code = normalize(code);
+    if (!code) throw new TypeError('i18n.register() needs a locale');
+    var catalog = catalogs[code] = catalogs[code] || {};
+    for (var key in messages) {
+      if (Object.prototype.hasOwnProperty.call(messages, key)) catalog[key] = messages[key];
+    }
+  }
+
+  function has(key, code) {
+    return lookup(key, code || locale()) !== undefined;
+  }
+
+  /**
+   * Translate a key. Unknown keys are returned as they are (and logged once).
+   */
+  function t(key, params, code) {
+    code = code ? normalize(code) : locale();
+    var message = lookup(key, code);
+    if (message === undefined) {
+      if (!warned[key]) console.warn('Missing translation for "' + key + '"');
+      warned[key] = true;
+      return key;
+    }
+
+    params = params || {};
+    if (message && typeof message === 'object') {
+      var count = Number(params.count);
+      message = message[String(count)] || message[pluralCategory(count, code)] || message.other || '';
+    }
+    return String(message).replace(/\{(\w+)\}/g, function (match, name) {
+      return params[name] !== undefined && params[name] !== null ? String(params[name]) : match;
+    });
+  }
+
+  function dir(code) {
+    return RTL_LANGUAGES.indexOf(normalize(code || locale()).split('-')[0]) !== -1 ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Switch language: updates <html lang dir> and re-renders the navigation.
+   */
+  function setLocale(code) {
+    code = normalize(code);
+    if (!code) throw new TypeError('i18n.setLocale() needs a locale');
+    current = code;
+    var html = documentElement();
+    if (!html) return;
+    html.setAttribute('lang', code);
+    html.setAttribute('dir', dir(code));
+    window.dispatchEvent(new CustomEvent('sirsiMasterLocaleChange', {
+      detail: { locale: code, dir: dir(code) }
+    }));
+  }
+
+  var config = window && window.SirsiMasterConfig;
+  if (config && config.messages) {
+    Object.keys(config.messages).forEach(function (code) { register(code, config.messages[code]); });
+  }
+  // Pages that declare only <html lang="ar"> still get a right-to-left layout
+  var html = documentElement();
+  if (html && !html.hasAttribute('dir') && dir() === 'rtl') html.setAttribute('dir', 'rtl');
+
+  return {
+    t: t,
+    has: has,
+    register: register,
+    locale: locale,
+    setLocale: setLocale,
+    dir: dir
+  };
+});
@@ -0,0 +1,92 @@
+/**
+ * Built-in Icon Set
+ *
+ * How it works:
+ * - Icons are stroke-based 24x24 SVG bodies, matching the markup in the navigation templates
+ * - Navigation schemas and header actions refer to icons by name ("grid", "users", ...)
+ * - Projects add their own with SirsiMaster.icons.register(name, svgBody)
+ *
+ * Usage:
+ *   SirsiMaster.icons.svg('settings', { className: 'nav-icon' })
+ *   // → '<svg class="nav-icon" viewBox="0 0 24 24" ...>...</svg>'
+ */
+(function (root, factory) {
+  var icons = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = icons;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.icons = icons;
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  var registry = {
+    'activity': '<polyline points="22 12 18 12 15 21 9 3 6 12 2 12"></polyline>',
+    'bar-chart': '<line x1="12" y1="20" x2="12" y2="10"></line><line x1="18" y1="20" x2="18" y2="4"></line><line x1="6" y1="20" x2="6" y2="16"></line>',
+    'bell': '<path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path><path d="M13.73 21a2 2 0 0 1-3.46 0"></path>',
+    'book': '<path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"></path><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"></path>',
+    'chevron-down': '<polyline points="6 9 12 15 18 9"></polyline>',
+    'chevron-left': '<polyline points="15 18 9 12 15 6"></polyline>',
+    'chevron-right': '<polyline points="9 18 15 12 9 6"></polyline>',
+    'clock': '<circle cx="12" cy="12" r="10"></circle><path d="M12 6v6l4 2"></path>',
+    'code': '<polyline points="16 18 22 12 16 6"></polyline><polyline points="8 6 2 12 8 18"></polyline>',
+    'dollar': '<line x1="12" y1="1" x2="12" y2="23"></line><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"></path>',
+    'download': '<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line>',
+    'external-link': '<path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line>',
+    'file': '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline>',
+    'file-text': '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="16" y1="13" x2="8" y2="13"></line><line x1="16" y1="17" x2="8" y2="17"></line>',
+    'grid': '<rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="14" y="14" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect>',
+    'home': '<path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"></path><polyline points="9 22 9 12 15 12 15 22"></polyline>',
+    'log-out': '<path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path><polyline points="16 17 21 12 16 7"></polyline><line x1="21" y1="12" x2="9" y2="12"></line>',
+    'menu': '<line x1="3" y1="12" x2="21" y2="12"></line><line x1="3" y1="6" x2="21" y2="6"></line><line x1="3" y1="18" x2="21" y2="18"></line>',
+    'plus': '<line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line>',
+    'search': '<circle cx="11" cy="11" r="8"></circle><path d="m21 21-4.35-4.35"></path>',
+    'send': '<path d="M22 2L11 13"></path><path d="M22 2L15 22L11 13L2 9L22 2Z"></path>',
+    'settings': '<circle cx="12" cy="12" r="3"></circle><path d="M12 1v6m0 6v6m4.22-13.22l4.24 4.24M1.54 1.54l4.24 4.24M18.46 18.46l4.24 4.24M1.54 18.46l4.24-4.24"></path>',
+    'user': '<path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path><circle cx="12" cy="7" r="4"></circle>',
+    'users': '<path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path><circle cx="9" cy="7" r="4"></circle>',
+    'x': '<line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line>'
+  };
+
+  function has(name) {
+    return Object.prototype.hasOwnProperty.call(registry, name);
+  }
+
+  function get(name) {
+    return has(name) ? registry[name] : null;
+  }
+
+  /**
+   * Add or replace an icon. body is the SVG content without the <svg> wrapper.
+   */
+  function register(name, body) {
+    registry[name] = body;
+  }
+
+  /**
+   * Full <svg> markup for a named icon, or '' (with a warning) when it is unknown.
+   * options: { className, size }
+   */
+  function svg(name, options) {
+    options = options || {};
+    var body = get(name);
+    if (body === null) {
+      console.warn('Unknown icon:', name);
+      return '';
+    }
+    var size = options.size ? ' width="' + options.size + '" height="' + options.size + '"' : '';
+    var className = options.className ? ' class="' + options.className + '"' : '';
+    return '<svg' + className + size + ' viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">' + body + '</svg>';
+  }
+
+  function names() {
+    return Object.keys(registry);
+  }
+
+  return {
+    has: has,
+    get: get,
+    register: register,
+    svg: svg,
+    names: names
+  };
+});
@@ -0,0 +1,362 @@
+/**
+ * User Session
+ *
+ * How it works:
+ * - The headers show who is signed in: name, email and avatar, and on the public header
+ *   the user menu instead of the sign-in buttons. That user comes from a session
+ *   provider: a function returning (a promise of) { name, email, avatarUrl, roles,
+ *   permissions } or null, or an adapter object { load(), subscribe(callback),
+ *   save(user), clear() } where only load is required
+ * - Two adapters are built in:
+ *   - storage(): a JSON user or a JWT in localStorage (key 'sirsimaster.session') or in
+ *     a cookie; JWT claims name, email, picture and roles are read, expired tokens ignored
+ *   - firebase(auth): anything shaped like Firebase Auth (onAuthStateChanged, signOut),
+ *     so tests can pass a stub
+ * - The provider is set with SirsiMaster.session.use(provider), or for the storage
+ *   adapter with window.SirsiMasterConfig.session = { adapter: 'storage', key, cookie }
+ * - status() is 'none' (no provider), 'loading', 'authenticated' or 'anonymous'; every
+ *   change dispatches a 'sirsiMasterSessionChange' window event ({ user, status }) and
+ *   the header loaders re-render
+ * - A session user's roles and permissions become the core/access.js user context
+ * - With a provider set, the user menus' Logout (data-action="logout") calls signOut(),
+ *   unless the page registers its own 'logout' action (core/actions.js)
+ *
+ * Usage:
+ *   SirsiMaster.session.use(SirsiMaster.session.adapters.firebase(firebase.auth()));
+ *   SirsiMaster.session.use(function () {
+ *     return fetch('/api/me').then(function (r) { return r.ok ? r.json() : null; });
+ *   });
+ *   SirsiMaster.session.user();     // → { name, email, avatarUrl, roles, permissions } or null
+ */
+(function (root, factory) {
+  var session = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = session;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.session = session;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var STORAGE_KEY = 'sirsimaster.session';
+
+  var adapter = null;
+  var currentUser = null;
+  var currentStatus = 'none';
+  var unsubscribe = null;
+  var loads = 0; // a newer use() or refresh() drops the result of an older load
+  var setsAccess = false; // the access context came from the session
+  var logoutRegistered = false;
+
+  function parseList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    return String(value).split(',').map(function (part) { return part.trim(); }).filter(Boolean);
+  }
+
+  /**
+   * Bring a provider's user into one shape; null when there is no one signed in.
+   */
+  function normalizeUser(user) {
+    if (!user) return null;
+    var email = user.email ? String(user.email) : '';
+    return {
+      name: String(user.name || user.displayName || email.split('@')[0] || ''),
+      email: email,
+      avatarUrl: String(user.avatarUrl || user.photoURL || user.picture || ''),
+      roles: parseList(user.roles),
+      permissions: parseList(user.permissions)
+    };
+  }
+
+  function toAdapter(provider) {
+    if (typeof provider === 'function') return { load: provider };
+    if (provider && typeof provider.load === 'function') return provider;
+    throw new TypeError('A session provider is a function or an object with load()');
+  }
+
+  function apply(user, status) {
+    currentUser = normalizeUser(user);
+    currentStatus = status || (currentUser ? 'authenticated' : 'anonymous');
+
+    // Roles and permissions of the session user drive role-based navigation
+    var access = window && window.SirsiMaster && window.SirsiMaster.access;
+    var grants = currentUser && (currentUser.roles.length || currentUser.permissions.length);
+    if (access && (grants || setsAccess)) {
+      setsAccess = !!grants;
+      access.setUser(grants ? { roles: currentUser.roles, permissions: currentUser.permissions } : null);
+    }
+
+    if (window && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+      window.dispatchEvent(new CustomEvent('sirsiMasterSessionChange', {
+        detail: { user: currentUser, status: currentStatus }
+      }));
+    }
+  }
+
+  /**
+   * Ask the provider for the user again. Resolves with the user (or null); a provider
+   * that throws or rejects leaves the session anonymous.
+   */
+  function refresh() {
+    if (!adapter) return Promise.resolve(null);
+    var load = ++loads;
+    // Nobody known yet: neither the sign-in buttons nor the user menu until it answers
+    if (!currentUser && currentStatus !== 'loading') apply(null, 'loading');
+    return Promise.resolve()
+      .then(function () { return adapter.load(); })
+      .then(function (user) {
+        if (load === loads) apply(user);
+        return currentUser;
+      }, function (err) {
+        console.error('Failed to load the user session:', err);
+        if (load === loads) apply(null);
+        return null;
+      });
+  }
+
+  // The menus' data-action="logout" signs out of the provider unless the page registers
+  // its own 'logout' handler. core/actions.js may load after this file (it does in the
+  // bundle), in which case the handler is registered once the document is parsed.
+  function registerLogout() {
+    var actions = window && window.SirsiMaster && window.SirsiMaster.actions;
+    if (!actions) {
+      if (window && window.document && window.document.readyState === 'loading') {
+        window.document.addEventListener('DOMContentLoaded', registerLogout);
+      }
+      return;
+    }
+    if (logoutRegistered || actions.has('logout')) return;
+    logoutRegistered = true;
+    actions.register('logout', function () {
+      if (adapter) signOut();
+    });
+  }
+
+  /**
+   * Use provider for the session (a function or an adapter object; null removes it).
+   * Resolves with the user once it is known.
+   */
+  function use(provider) {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    adapter = provider ? toAdapter(provider) : null;
+    if (!adapter) {
+      loads++;
+      apply(null, 'none');
+      return Promise.resolve(null);
+    }
+    registerLogout();
+    if (typeof adapter.subscribe === 'function') {
+      unsubscribe = adapter.subscribe(function (user) {
+        loads++;
+        apply(user);
+      }) || null;
+    }
+    return refresh();
+  }
+
+  /**
+   * Sign user in (after a login form, say); adapters with save() keep it. null signs out.
+   */
+  function set(user) {
+    if (!user) return signOut();
+    loads++;
+    var saving = adapter && typeof adapter.save === 'function' ? adapter.save(user) : null;
+    apply(user);
+    return Promise.resolve(saving).then(function () { return currentUser; });
+  }
+
+  /**
+   * Sign out: the adapter's clear() (remove the stored token, auth.signOut()) and an
+   * anonymous session.
+   */
+  function signOut() {
+    loads++;
+    var clearing = adapter && typeof adapter.clear === 'function' ? adapter.clear() : null;
+    apply(null, 'anonymous');
+    return Promise.resolve(clearing).then(function () { return null; });
+  }
+
+  // ---- Adapters ----
+
+  // Claims of a JWT, or null when it is not one or has expired
+  function decodeJwt(token) {
+    var parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    try {
+      var base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+      while (base64.length % 4) base64 += '=';
+      var json = typeof window.atob === 'function' ? window.atob(base64) : Buffer.from(base64, 'base64').toString('binary');
+      var claims = JSON.parse(decodeURIComponent(json.split('').map(function (c) {
+        return '%' + ('0' + c.charCodeAt(0).toString(16)).slice(-2);
+      }).join('')));
+      if (claims.exp && claims.exp * 1000 < Date.now()) return null;
+      return claims;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function readCookie(name) {
+    var cookies = (window.document && window.document.cookie) || '';
+    var found = null;
+    cookies.split(';').forEach(function (cookie) {
+      var index = cookie.indexOf('=');
+      if (index !== -1 && cookie.slice(0, index).trim() === name) found = decodeURIComponent(cookie.slice(index + 1).trim());
+    });
+    return found;
+  }
+
+  /**
+   * Session kept by the page: a JSON user or a JWT in localStorage (options.key, default
+   * 'sirsimaster.session'), or a JWT in the cookie options.cookie. options.claims maps
+   * user fields to other JWT claim names, e.g. { roles: 'https://acme.dev/roles' }.
+   */
+  function storage(options) {
+    options = options || {};
+    var key = options.key || STORAGE_KEY;
+    var claims = options.claims || {};
+
+    function fromValue(value) {
+      if (!value) return null;
+      if (value.charAt(0) === '{') {
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return null;
+        }
+      }
+      var payload = decodeJwt(value);
+      if (!payload) return null;
+      var claim = function (field, fallback) { return payload[claims[field] || fallback]; };
+      return {
+        name: claim('name', 'name') || [payload.given_name, payload.family_name].filter(Boolean).join(' '),
+        email: claim('email', 'email'),
+        avatarUrl: claim('avatarUrl', 'picture'),
+        roles: claim('roles', 'roles'),
+        permissions: claim('permissions', 'permissions')
+      };
+    }
+
+    function stored() {
+      try {
+        return window.localStorage.getItem(key);
+      } catch (e) {
+        return null; // storage disabled
+      }
+    }
+
+    return {
+      load: function () {
+        return fromValue(stored()) || (options.cookie ? fromValue(readCookie(options.cookie)) : null);
+      },
+      // Other tabs signing in or out
+      subscribe: function (callback) {
+        var onStorage = function (event) {
+          if (event.key === key || event.key === null) callback(fromValue(event.newValue));
+        };
+        window.addEventListener('storage', onStorage);
+        return function () { window.removeEventListener('storage', onStorage); };
+      },
+      save: function (user) {
+        try {
+          window.localStorage.setItem(key, JSON.stringify(normalizeUser(user)));
+        } catch (e) {
+          // storage disabled: the user stays signed in for this page only
+        }
+      },
+      clear: function () {
+        try {
+          window.localStorage.removeItem(key);
+        } catch (e) {
+          // storage disabled
+        }
+        if (options.cookie) window.document.cookie = options.cookie + '=; Max-Age=0; path=/';
+      }
+    };
+  }
+
+  /**
+   * Session from Firebase Auth (or a stub with the same shape): auth.onAuthStateChanged()
+   * and auth.signOut(). Roles and permissions are read from custom claims when the user
+   * has getIdTokenResult().
+   */
+  function firebase(auth) {
+    function fromUser(user) {
+      if (!user) return Promise.resolve(null);
+      var claims = typeof user.getIdTokenResult === 'function'
+        ? user.getIdTokenResult().then(function (result) { return result.claims || {}; }, function () { return {}; })
+        : Promise.resolve({});
+      return claims.then(function (found) {
+        return {
+          name: user.displayName,
+          email: user.email,
+          avatarUrl: user.photoURL,
+          roles: found.roles,
+          permissions: found.permissions
+        };
+      });
+    }
+
+    return {
+      // The first auth state Firebase reports, once it has restored the session
+      load: function () {
+        return new Promise(function (resolve) {
+          var done = false;
+          var stop = auth.onAuthStateChanged(function (user) {
+            if (done) return;
+            done = true;
+            if (stop) stop();
+            resolve(user);
+          });
+          if (done && stop) stop(); // reported synchronously
+        }).then(fromUser);
+      },
+      subscribe: function (callback) {
+        var first = true;
+        return auth.onAuthStateChanged(function (user) {
+          if (first) {
+            first = false; // reported to load()
+            return;
+          }
+          fromUser(user).then(callback);
+        });
+      },
+      clear: function () {
+        return typeof auth.signOut === 'function' ? auth.signOut() : null;
+      }
+    };
+  }
+
+  // Opt-in through SirsiMasterConfig.session: { adapter: 'storage', ... } or a provider.
+  // A mistake is logged and leaves the session anonymous rather than throwing, so the
+  // scripts after this one (the rest of the bundle) still run.
+  var ADAPTERS = { storage: storage };
+  var configured = window && window.document && window.SirsiMasterConfig && window.SirsiMasterConfig.session;
+  if (configured) {
+    if (configured.adapter && Object.prototype.hasOwnProperty.call(ADAPTERS, configured.adapter)) {
+      use(ADAPTERS[configured.adapter](configured));
+    } else if (!configured.adapter && (typeof configured === 'function' || typeof configured.load === 'function')) {
+      use(configured);
+    } else {
+      console.error(configured.adapter
+        ? 'Unknown session adapter "' + configured.adapter + '" in SirsiMasterConfig.session (use \'storage\', or SirsiMaster.session.use() for others)'
+        : 'SirsiMasterConfig.session needs adapter: \'storage\', a function or an object with load()');
+      apply(null, 'anonymous');
+    }
+  }
+
+  return {
+    use: use,
+    refresh: refresh,
+    set: set,
+    signOut: signOut,
+    user: function () { return currentUser; },
+    status: function () { return currentStatus; },
+    normalizeUser: normalizeUser,
+    adapters: {
+      storage: storage,
+      firebase: firebase
+    }
+  };
+});
@@ -0,0 +1,293 @@
+/**
+ * Template Engine
+ *
+ * How it works:
+ * - One token syntax for every navigation template, rendered by navigation/render.js:
+ *     [[TITLE]]                          the value, HTML-escaped
+ *     [[LOGO | raw]]                     the value as is; only for trusted markup
+ *     [[USER_NAME | initials]]           filters run left to right: [[TYPE | trim | upper]]
+ *     [[LABEL | default:"Untitled"]]     filter arguments follow ':' (numbers or quoted text)
+ *     [[link.href | url]]                the value unless it is a link other than http(s),
+ *                                        mailto, relative, '/' or '#'; then '#'
+ *     [[#if SHOW_AUTH]] ... [[else]] ... [[/if]]      [[#unless X]] is the inverse
+ *     [[#each NAV_ITEMS as link]] [[link.label]] [[/each]]   [[else]] renders for an empty list
+ * - Inside #each, [[@index]], [[@first]] and [[@last]] describe the current item; names
+ *   resolve in the innermost loop first, then in the data; dotted paths read nested
+ *   values and a missing nested value renders empty
+ * - #if is false for '', null, undefined, false, 0 and empty arrays
+ * - A name that is neither in the data nor a loop variable, an unknown filter or an
+ *   unbalanced block throws a TemplateError naming the template and line, so a typo
+ *   fails loudly instead of showing "[[TOKEN]]" to users
+ * - The legacy slice syntax [[USER_NAME:0:2]] still works and means
+ *   [[USER_NAME | slice:0:2 | upper]]
+ *
+ * Usage:
+ *   SirsiMaster.templateEngine.render('<a href="[[BASE]]/">[[NAME | upper]]</a>',
+ *     { BASE: '..', NAME: 'Acme' }, { name: 'logo' });
+ *   SirsiMaster.templateEngine.filter('money', function (value) { return '$' + value; });
+ */
+(function (root, factory) {
+  var engine = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = engine;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.templateEngine = engine;
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  var TOKEN_PATTERN = /\[\[\s*([\s\S]*?)\s*\]\]/g;
+  var compiled = {}; // first line + source → parsed nodes
+
+  /**
+   * Thrown for template mistakes; template and line say where.
+   */
+  function TemplateError(message, template, line) {
+    this.name = 'TemplateError';
+    this.message = message + ' in ' + (template || 'template') + (line ? ', line ' + line : '');
+    this.template = template || null;
+    this.line = line || null;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, TemplateError);
+  }
+  TemplateError.prototype = Object.create(Error.prototype);
+  TemplateError.prototype.constructor = TemplateError;
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // ---- Filters ----
+
+  function text(value) {
+    return value == null ? '' : String(value);
+  }
+
+  var SAFE_SCHEMES = ['http', 'https', 'mailto'];
+
+  /**
+   * The URL when it is safe to link to: http(s), mailto, relative, '/' or '#'. Anything
+   * else (javascript:, data:, ...) gives fallback, '#' by default.
+   */
+  function safeUrl(value, fallback) {
+    var url = text(value);
+    // Browsers skip leading spaces and control characters and drop tabs and newlines
+    var scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/^[\u0000-\u0020]+/, '').replace(/[\t\n\r]/g, ''));
+    if (!scheme || SAFE_SCHEMES.indexOf(scheme[1].toLowerCase()) !== -1) return url;
+    return fallback === undefined ? '#' : fallback;
+  }
+
+  var filters = {
+    upper: function (value) { return text(value).toUpperCase(); },
+    lower: function (value) { return text(value).toLowerCase(); },
+    trim: function (value) { return text(value).trim(); },
+    // 'Jane van Dyke' → 'JD', 'Madonna' → 'M'
+    initials: function (value) {
+      var words = text(value).trim().split(/\s+/).filter(Boolean);
+      if (!words.length) return '';
+      if (words.length === 1) return words[0].charAt(0).toUpperCase();
+      return (words[0].charAt(0) + words[words.length - 1].charAt(0)).toUpperCase();
+    },
+    slice: function (value, start, end) {
+      return (Array.isArray(value) ? value : text(value)).slice(start, end);
+    },
+    'default': function (value, fallback) {
+      return value == null || value === '' ? fallback : value;
+    },
+    json: function (value) { return JSON.stringify(value); },
+    url: function (value) { return safeUrl(value); }
+  };
+
+  /**
+   * Add a filter: fn(value, ...arguments) returns the new value.
+   */
+  function filter(name, fn) {
+    if (!/^\w+$/.test(name) || name === 'raw') throw new Error('Invalid filter name: ' + name);
+    filters[name] = fn;
+  }
+
+  // ---- Parsing ----
+
+  function lineAt(source, index, firstLine) {
+    return source.slice(0, index).split('\n').length + firstLine - 1;
+  }
+
+  function parseArgument(arg, fail) {
+    if (/^-?\d+(\.\d+)?$/.test(arg)) return Number(arg);
+    var quoted = /^"([^"]*)"$|^'([^']*)'$/.exec(arg);
+    if (!quoted) fail('Filter arguments must be numbers or quoted text: ' + arg);
+    return quoted[1] !== undefined ? quoted[1] : quoted[2];
+  }
+
+  // 'USER_NAME | slice:0:2 | upper' → { path: ['USER_NAME'], filters: [...], raw }
+  function parseOutput(expression, fail) {
+    var legacy = /^([A-Z][A-Z0-9_]*):(\d+):(\d+)$/.exec(expression);
+    if (legacy) {
+      return {
+        type: 'output',
+        path: [legacy[1]],
+        filters: [{ name: 'slice', args: [Number(legacy[2]), Number(legacy[3])] }, { name: 'upper', args: [] }],
+        raw: false
+      };
+    }
+
+    var parts = expression.match(/(?:"[^"]*"|'[^']*'|[^|])+/g) || [''];
+    var node = { type: 'output', path: parsePath(parts[0].trim(), fail), filters: [], raw: false };
+    parts.slice(1).forEach(function (part) {
+      var pieces = part.trim().match(/(?:"[^"]*"|'[^']*'|[^:])+/g) || [''];
+      var name = pieces[0].trim();
+      if (name === 'raw') {
+        node.raw = true;
+        return;
+      }
+      if (!Object.prototype.hasOwnProperty.call(filters, name)) fail('Unknown filter "' + name + '" in [[' + expression + ']]');
+      node.filters.push({ name: name, args: pieces.slice(1).map(function (arg) { return parseArgument(arg.trim(), fail); }) });
+    });
+    return node;
+  }
+
+  function parsePath(name, fail) {
+    if (!/^@?[A-Za-z_][\w-]*(\.[\w-]+)*$/.test(name)) fail('Invalid token [[' + name + ']]');
+    return name.split('.');
+  }
+
+  /**
+   * Parse a template into nodes: text, output, if (with then/otherwise) and each.
+   */
+  function parse(source, name, firstLine) {
+    var rootNodes = [];
+    var stack = [{ nodes: rootNodes }];
+    var index = 0;
+    var match;
+
+    function current() {
+      var top = stack[stack.length - 1];
+      return top.inElse ? top.node.otherwise : top.nodes;
+    }
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(source))) {
+      var line = lineAt(source, match.index, firstLine);
+      var fail = function (message) { throw new TemplateError(message, name, line); };
+      if (match.index > index) current().push({ type: 'text', value: source.slice(index, match.index) });
+      index = match.index + match[0].length;
+
+      var expression = match[1];
+      var block = /^#(if|unless|each)\s+(.+)$/.exec(expression);
+      if (block) {
+        var node = { type: block[1] === 'each' ? 'each' : 'if', negate: block[1] === 'unless', nodes: [], otherwise: [], line: line };
+        if (block[1] === 'each') {
+          var loop = /^(\S+)\s+as\s+([A-Za-z_]\w*)$/.exec(block[2].trim());
+          if (!loop) fail('[[#each ' + block[2] + ']] needs "as <name>"');
+          node.path = parsePath(loop[1], fail);
+          node.alias = loop[2];
+        } else {
+          node.path = parsePath(block[2].trim(), fail);
+        }
+        node.keyword = block[1];
+        current().push(node);
+        stack.push({ node: node, nodes: node.nodes, inElse: false });
+      } else if (expression === 'else') {
+        if (stack.length === 1 || stack[stack.length - 1].inElse) fail('[[else]] outside of #if, #unless or #each');
+        stack[stack.length - 1].inElse = true;
+      } else if (/^\/(if|unless|each)$/.test(expression)) {
+        var open = stack[stack.length - 1].node;
+        if (!open || '/' + open.keyword !== expression) {
+          fail('[[' + expression + ']] does not close ' + (open ? '[[#' + open.keyword + ']] from line ' + open.line : 'any block'));
+        }
+        stack.pop();
+      } else {
+        var output = parseOutput(expression, fail);
+        output.line = line;
+        current().push(output);
+      }
+    }
+
+    if (stack.length > 1) {
+      var unclosed = stack[stack.length - 1].node;
+      throw new TemplateError('[[#' + unclosed.keyword + ']] is never closed', name, unclosed.line);
+    }
+    if (index < source.length) rootNodes.push({ type: 'text', value: source.slice(index) });
+    return rootNodes;
+  }
+
+  // ---- Rendering ----
+
+  function lookup(path, scope, name, line) {
+    var first = path[0];
+    var frame = scope;
+    while (frame && !Object.prototype.hasOwnProperty.call(frame.vars, first)) frame = frame.parent;
+    if (!frame) {
+      var known = [];
+      for (var s = scope; s; s = s.parent) known = known.concat(Object.keys(s.vars));
+      throw new TemplateError('Unknown token [[' + path.join('.') + ']] (known: ' + known.join(', ') + ')', name, line);
+    }
+    var value = frame.vars[first];
+    for (var i = 1; i < path.length && value != null; i++) value = value[path[i]];
+    return value;
+  }
+
+  function truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  function renderNodes(nodes, scope, name) {
+    var out = '';
+    nodes.forEach(function (node) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'output') {
+        var value = lookup(node.path, scope, name, node.line);
+        node.filters.forEach(function (f) {
+          value = filters[f.name].apply(null, [value].concat(f.args));
+        });
+        out += node.raw ? text(value) : escapeHtml(value);
+      } else if (node.type === 'if') {
+        var test = truthy(lookup(node.path, scope, name, node.line));
+        out += renderNodes(test !== node.negate ? node.nodes : node.otherwise, scope, name);
+      } else {
+        var list = lookup(node.path, scope, name, node.line);
+        if (list != null && !Array.isArray(list)) {
+          throw new TemplateError('[[#each ' + node.path.join('.') + ']] needs a list', name, node.line);
+        }
+        if (!list || !list.length) {
+          out += renderNodes(node.otherwise, scope, name);
+          return;
+        }
+        list.forEach(function (item, index) {
+          var vars = { '@index': index, '@first': index === 0, '@last': index === list.length - 1 };
+          vars[node.alias] = item;
+          out += renderNodes(node.nodes, { vars: vars, parent: scope }, name);
+        });
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Render source with data. options.name names the template in errors; options.firstLine
+   * is the line source starts on in its file (default 1).
+   */
+  function render(source, data, options) {
+    var name = options && options.name;
+    var firstLine = (options && options.firstLine) || 1;
+    var key = firstLine + '\n' + source;
+    var nodes = compiled[key];
+    if (!nodes) {
+      nodes = parse(source, name, firstLine);
+      compiled[key] = nodes;
+    }
+    return renderNodes(nodes, { vars: data || {}, parent: null }, name);
+  }
+
+  return {
+    render: render,
+    filter: filter,
+    escape: escapeHtml,
+    safeUrl: safeUrl,
+    TemplateError: TemplateError
+  };
+});
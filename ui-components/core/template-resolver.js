@@ -0,0 +1,390 @@
+/**
+ * Shared Template Resolver
+ *
+ * How it works:
+ * - Navigation loaders ask for a template by name ('admin-header', 'sidebar', ...)
+ *   instead of hard-coding relative paths for one site layout
+ * - Candidate URLs are tried in this order; the first successful response wins:
+ *   1. data-template-src on the placeholder element
+ *   2. Site manifest (window.SirsiMasterConfig.manifest): route prefixes mapped to
+ *      { templateName: url }; the longest prefix matching location.pathname wins.
+ *      May be an object or the URL of a JSON file with the same shape.
+ *   3. window.SirsiMasterConfig.templateBase + '/' + name + '.html'
+ *   4. The directory the loader script itself was served from
+ *   5. 'components/' + name + '.html' relative to the page (legacy default)
+ * - Every attempt is logged with its source; a failure lists every URL tried
+ * - Templates registered inline (the dist bundle does this at build time) are used
+ *   without any request, unless the page opts back into fetching with
+ *   data-template-src, a matching manifest entry or SirsiMasterConfig.fetchTemplates
+ * - Requests time out, and network errors and 5xx responses are retried with backoff
+ *   (SirsiMasterConfig.loading); a 404 moves straight on to the next URL
+ * - The last template that loaded is kept in localStorage. When every URL fails the
+ *   loader renders, in order: that copy, the inline template, or the offline fallback
+ *   from SirsiMasterConfig.loading.fallbacks; a sirsiMasterTemplateError event on
+ *   window reports the failure either way
+ * - skeleton(name, el) fills a placeholder with a loading skeleton until the loader
+ *   replaces it
+ *
+ * Usage:
+ *   <script>
+ *     window.SirsiMasterConfig = {
+ *       templateBase: '/shared/components',
+ *       manifest: { '/admin/': { sidebar: '/admin/components/sidebar.html' } },
+ *       loading: { timeout: 10000, retries: 2, retryDelay: 500 }
+ *     };
+ *   </script>
+ *   <script src="../core/template-resolver.js"></script>
+ *   <script src="../navigation/sidebar.js"></script>
+ */
+(function (root, factory) {
+  var templates = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = templates;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.templates = templates;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var manifestRequest = null;
+  var inlineTemplates = {};
+  var CACHE_PREFIX = 'sirsimaster.template:';
+  var DEFAULTS = { timeout: 10000, retries: 2, retryDelay: 500, cache: true, fallbacks: {}, skeletons: {} };
+
+  // Shown in a placeholder while its template loads (styled by the layout CSS)
+  var SKELETONS = {
+    'admin-header': '<div class="sm-skeleton sm-skeleton-admin-header" aria-hidden="true">' +
+      '<span class="sm-skeleton-bar sm-skeleton-title"></span>' +
+      '<span class="sm-skeleton-bar sm-skeleton-search"></span>' +
+      '<span class="sm-skeleton-circle"></span></div>',
+    'sidebar': '<div class="sm-skeleton sm-skeleton-sidebar" aria-hidden="true">' +
+      '<span class="sm-skeleton-bar sm-skeleton-logo"></span>' +
+      new Array(7).join('<span class="sm-skeleton-bar"></span>') + '</div>',
+    'universal-header': '<div class="sm-skeleton sm-skeleton-universal-header" aria-hidden="true">' +
+      '<span class="sm-skeleton-bar sm-skeleton-logo"></span>' +
+      '<span class="sm-skeleton-bar sm-skeleton-nav"></span>' +
+      '<span class="sm-skeleton-circle"></span></div>'
+  };
+
+  function getConfig() {
+    return (window && window.SirsiMasterConfig) || {};
+  }
+
+  // SirsiMasterConfig.loading over the defaults
+  function loadingSettings() {
+    var loading = getConfig().loading || {};
+    var settings = {};
+    Object.keys(DEFAULTS).forEach(function (key) {
+      settings[key] = loading[key] !== undefined ? loading[key] : DEFAULTS[key];
+    });
+    return settings;
+  }
+
+  function currentPath(options) {
+    if (options && options.pathname) return options.pathname;
+    return window && window.location ? window.location.pathname : '/';
+  }
+
+  function joinUrl(base, file) {
+    return base.replace(/\/$/, '') + '/' + file;
+  }
+
+  function scriptDirectory(scriptSrc) {
+    if (!scriptSrc) return '';
+    return scriptSrc.replace(/[?#].*$/, '').replace(/[^\/]*$/, '');
+  }
+
+  /**
+   * GET url as text. callback(err, text); err.status is the HTTP status (0 for network
+   * errors and timeouts). timeout defaults to SirsiMasterConfig.loading.timeout.
+   */
+  function requestText(url, callback, timeout) {
+    var xhr = new XMLHttpRequest();
+    var done = false;
+    var timer = null;
+    if (timeout === undefined) timeout = loadingSettings().timeout;
+
+    function finish(err, text) {
+      if (done) return;
+      done = true;
+      if (timer) clearTimeout(timer);
+      callback(err, text);
+    }
+
+    xhr.open('GET', url);
+    xhr.onreadystatechange = function () {
+      if (xhr.readyState === 4) {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          finish(null, xhr.responseText);
+        } else {
+          var err = new Error('HTTP ' + xhr.status + ' ' + xhr.statusText);
+          err.status = xhr.status;
+          finish(err);
+        }
+      }
+    };
+    if (timeout > 0) {
+      timer = setTimeout(function () {
+        var err = new Error('Timed out after ' + timeout + 'ms');
+        err.status = 0;
+        finish(err);
+        xhr.abort();
+      }, timeout);
+    }
+    xhr.send();
+  }
+
+  // Network errors, timeouts and server errors may succeed on a later attempt
+  function retryable(err) {
+    var status = err.status || 0;
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+  }
+
+  function offline() {
+    return !!(window && window.navigator && window.navigator.onLine === false);
+  }
+
+  function loadManifest(callback) {
+    var manifest = getConfig().manifest;
+    if (!manifest || typeof manifest !== 'string') {
+      callback(manifest || null);
+      return;
+    }
+
+    if (!manifestRequest) {
+      var waiting = [];
+      manifestRequest = { done: false, value: null, waiting: waiting };
+      requestText(manifest, function (err, text) {
+        var value = null;
+        if (err) {
+          console.warn('Failed to load template manifest from:', manifest, err.message);
+        } else {
+          try {
+            value = JSON.parse(text);
+          } catch (e) {
+            console.warn('Failed to parse template manifest:', manifest, e);
+          }
+        }
+        manifestRequest.done = true;
+        manifestRequest.value = value;
+        waiting.forEach(function (fn) { fn(value); });
+      });
+    }
+
+    if (manifestRequest.done) {
+      callback(manifestRequest.value);
+    } else {
+      manifestRequest.waiting.push(callback);
+    }
+  }
+
+  function matchManifest(manifest, name, pathname) {
+    if (!manifest) return null;
+    var best = null;
+    Object.keys(manifest).forEach(function (prefix) {
+      var entry = manifest[prefix];
+      if (!entry || !entry[name] || pathname.indexOf(prefix) !== 0) return;
+      if (!best || prefix.length > best.prefix.length) {
+        best = { prefix: prefix, url: entry[name] };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * List the URLs to try for a template, in fallback order.
+   * Each candidate is { source, url } so callers can report where a URL came from.
+   */
+  function candidates(name, root, options, manifest) {
+    options = options || {};
+    var config = getConfig();
+    var pathname = currentPath(options);
+    var file = name + '.html';
+    var list = [];
+
+    var explicit = root && root.getAttribute && root.getAttribute('data-template-src');
+    if (explicit && explicit.trim()) {
+      list.push({ source: 'data-template-src', url: explicit.trim() });
+    }
+
+    var match = matchManifest(manifest, name, pathname);
+    if (match) {
+      list.push({ source: 'manifest (' + match.prefix + ')', url: match.url });
+    }
+
+    if (config.templateBase) {
+      list.push({ source: 'SirsiMasterConfig.templateBase', url: joinUrl(config.templateBase, file) });
+    }
+
+    var scriptDir = scriptDirectory(options.scriptSrc);
+    if (scriptDir) {
+      list.push({ source: 'loader script directory', url: scriptDir + file });
+    }
+
+    list.push({ source: 'default', url: 'components/' + file });
+
+    var seen = {};
+    return list.filter(function (candidate) {
+      if (seen[candidate.url]) return false;
+      seen[candidate.url] = true;
+      return true;
+    });
+  }
+
+  /**
+   * Register a template so it can be rendered without a network request.
+   */
+  function register(name, html) {
+    inlineTemplates[name] = html;
+  }
+
+  function has(name) {
+    return Object.prototype.hasOwnProperty.call(inlineTemplates, name);
+  }
+
+  // Inline templates win unless the page explicitly asks for a fetched one
+  function wantsFetch(name, root, options, manifest) {
+    if (getConfig().fetchTemplates) return true;
+    if (root && root.getAttribute && root.getAttribute('data-template-src')) return true;
+    return !!matchManifest(manifest, name, currentPath(options));
+  }
+
+  // ---- Last good copy (localStorage) ----
+
+  // Keyed by the URL the page prefers, so pages with different templates don't mix
+  function cacheKey(name, list) {
+    return CACHE_PREFIX + name + ':' + list[0].url;
+  }
+
+  function remember(key, html) {
+    try {
+      window.localStorage.setItem(key, html);
+    } catch (e) {
+      console.warn('Could not cache template:', e.message);
+    }
+  }
+
+  function recall(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (e) {
+      return null; // storage blocked
+    }
+  }
+
+  // What to render when every URL failed: the cached copy, the inline template or the
+  // configured offline fallback
+  function recover(name, key, settings) {
+    var cached = settings.cache ? recall(key) : null;
+    if (cached) return { html: cached, candidate: { source: 'cache', url: null } };
+    if (has(name)) return { html: inlineTemplates[name], candidate: { source: 'inline', url: null } };
+    var fallback = settings.fallbacks && settings.fallbacks[name];
+    if (fallback) return { html: fallback, candidate: { source: 'fallback', url: null } };
+    return null;
+  }
+
+  function reportFailure(name, error, tried, recovered) {
+    if (window && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+      window.dispatchEvent(new CustomEvent('sirsiMasterTemplateError', {
+        detail: { name: name, error: error, tried: tried, recovered: recovered }
+      }));
+    }
+  }
+
+  /**
+   * Load a template, trying each candidate URL in order.
+   * callback(err, html, candidate) — err lists every URL that was tried. When they all
+   * fail, a cached, inline or fallback template is passed instead (candidate.source
+   * 'cache', 'inline' or 'fallback') and err is null.
+   */
+  function load(name, root, options, callback) {
+    loadManifest(function (manifest) {
+      if (has(name) && !wantsFetch(name, root, options, manifest)) {
+        callback(null, inlineTemplates[name], { source: 'inline', url: null });
+        return;
+      }
+
+      var settings = loadingSettings();
+      var list = candidates(name, root, options, manifest);
+      var key = cacheKey(name, list);
+      var tried = [];
+
+      function fail() {
+        var error = new Error('Unable to load ' + name + ' template (tried ' + tried.length + ' URLs)');
+        var recovered = recover(name, key, settings);
+        console.error('Failed to load ' + name + ' template. Tried:\n' + tried.map(function (entry) {
+          return '  ' + entry.url + ' (' + entry.source + '): ' + entry.message;
+        }).join('\n'));
+        reportFailure(name, error, tried, recovered ? recovered.candidate.source : null);
+        if (recovered) {
+          console.warn('Using ' + recovered.candidate.source + ' ' + name + ' template instead');
+          callback(null, recovered.html, recovered.candidate);
+        } else {
+          callback(error);
+        }
+      }
+
+      function attempt(index, retry) {
+        if (index >= list.length) {
+          fail();
+          return;
+        }
+
+        var candidate = list[index];
+        console.log('Loading ' + name + ' template from:', candidate.url, '(' + candidate.source + ')');
+        requestText(candidate.url, function (err, html) {
+          if (!err) {
+            if (settings.cache) remember(key, html);
+            callback(null, html, candidate);
+            return;
+          }
+          if (retry < settings.retries && retryable(err) && !offline()) {
+            var delay = settings.retryDelay * Math.pow(2, retry);
+            console.warn('Retrying ' + name + ' template from:', candidate.url, 'in ' + delay + 'ms (' + err.message + ')');
+            setTimeout(function () { attempt(index, retry + 1); }, delay);
+            return;
+          }
+          tried.push({ url: candidate.url, source: candidate.source, message: err.message });
+          attempt(index + 1, 0);
+        }, settings.timeout);
+      }
+
+      attempt(0, 0);
+    });
+  }
+
+  /**
+   * Fill an empty placeholder element with the loading skeleton for name (custom markup
+   * from SirsiMasterConfig.loading.skeletons, false for none). Returns a function that
+   * restores the placeholder; call it before replacing the element.
+   */
+  function skeleton(name, el) {
+    var markup = loadingSettings().skeletons;
+    markup = markup === false ? null : (markup && markup[name] !== undefined ? markup[name] : SKELETONS[name]);
+    if (!markup || !el || el.nodeType !== 1 || el.firstElementChild) return function () {};
+
+    var previous = el.innerHTML;
+    var busy = el.getAttribute('aria-busy');
+    el.innerHTML = markup;
+    el.setAttribute('aria-busy', 'true');
+    el.setAttribute('data-loading', name);
+
+    var shown = true;
+    return function () {
+      if (!shown) return;
+      shown = false;
+      el.innerHTML = previous;
+      el.removeAttribute('data-loading');
+      if (busy === null) el.removeAttribute('aria-busy');
+      else el.setAttribute('aria-busy', busy);
+    };
+  }
+
+  return {
+    fetchText: requestText,
+    candidates: candidates,
+    register: register,
+    has: has,
+    load: load,
+    skeleton: skeleton
+  };
+});
@@ -0,0 +1,149 @@
+/**
+ * Theme Switcher
+ *
+ * How it works:
+ * - tokens/tokens.css (compiled from tokens/tokens.json) defines every color as a CSS
+ *   custom property, with a light and a dark theme
+ * - The theme follows the operating system (prefers-color-scheme) until the user picks
+ *   one; SirsiMaster.theme.set('light' | 'dark' | 'system') sets data-theme on <html>
+ *   and remembers the choice in localStorage
+ * - The header loaders attach the switcher in the user dropdown ([data-theme-switcher])
+ * - Every change dispatches 'sirsiMasterThemeChange' on window
+ *   (detail: { theme, resolved }), also when the system theme changes
+ *
+ * Load this script in <head> so the saved theme applies before the page paints.
+ * Default for new visitors: window.SirsiMasterConfig.theme (default 'system').
+ */
+(function (root, factory) {
+  var theme = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = theme;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.theme = theme;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var THEMES = ['light', 'dark', 'system'];
+  var STORAGE_KEY = 'sirsimaster.theme';
+  var DARK_QUERY = '(prefers-color-scheme: dark)';
+
+  var current = null; // 'light' | 'dark' | 'system'
+
+  function stored() {
+    try {
+      return window.localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      return null; // storage unavailable (private mode)
+    }
+  }
+
+  function systemDark() {
+    return !!(window.matchMedia && window.matchMedia(DARK_QUERY).matches);
+  }
+
+  /**
+   * The chosen theme: 'light', 'dark' or 'system'.
+   */
+  function get() {
+    if (current) return current;
+    var config = (window.SirsiMasterConfig && window.SirsiMasterConfig.theme) || 'system';
+    var saved = stored();
+    current = THEMES.indexOf(saved) !== -1 ? saved : (THEMES.indexOf(config) !== -1 ? config : 'system');
+    return current;
+  }
+
+  /**
+   * The theme in effect: 'light' or 'dark'.
+   */
+  function resolved() {
+    var theme = get();
+    if (theme === 'system') return systemDark() ? 'dark' : 'light';
+    return theme;
+  }
+
+  function apply() {
+    var html = window.document.documentElement;
+    if (get() === 'system') html.removeAttribute('data-theme');
+    else html.setAttribute('data-theme', get());
+  }
+
+  function changed() {
+    window.dispatchEvent(new CustomEvent('sirsiMasterThemeChange', {
+      detail: { theme: get(), resolved: resolved() }
+    }));
+  }
+
+  /**
+   * Switch theme and remember the choice.
+   */
+  function set(theme) {
+    if (THEMES.indexOf(theme) === -1) {
+      throw new RangeError('Unknown theme "' + theme + '" (expected ' + THEMES.join(', ') + ')');
+    }
+    current = theme;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, theme);
+    } catch (e) {
+      console.warn('Could not persist theme:', e.message);
+    }
+    apply();
+    changed();
+  }
+
+  function toggle() {
+    set(resolved() === 'dark' ? 'light' : 'dark');
+  }
+
+  /**
+   * Wire a [data-theme-switcher]: its [data-theme-option] buttons call set() and show
+   * the current choice with aria-pressed. Returns a function that detaches it.
+   */
+  function attach(container) {
+    if (!container) return function () {};
+    var options = container.querySelectorAll('[data-theme-option]');
+
+    function sync() {
+      Array.prototype.forEach.call(options, function (option) {
+        // Radio items when the switcher sits in a menu (navigation/menu.js)
+        var state = option.getAttribute('role') === 'menuitemradio' ? 'aria-checked' : 'aria-pressed';
+        option.setAttribute(state, String(option.getAttribute('data-theme-option') === get()));
+      });
+    }
+
+    function onClick(event) {
+      var option = event.target.closest('[data-theme-option]');
+      if (option && container.contains(option)) set(option.getAttribute('data-theme-option'));
+    }
+
+    sync();
+    container.hidden = false;
+    container.addEventListener('click', onClick);
+    window.addEventListener('sirsiMasterThemeChange', sync);
+
+    return function detach() {
+      container.removeEventListener('click', onClick);
+      window.removeEventListener('sirsiMasterThemeChange', sync);
+      container.hidden = true;
+    };
+  }
+
+  if (window && window.document) {
+    apply();
+    if (window.matchMedia) {
+      var query = window.matchMedia(DARK_QUERY);
+      var onSystemChange = function () {
+        if (get() === 'system') changed();
+      };
+      if (query.addEventListener) query.addEventListener('change', onSystemChange);
+      else if (query.addListener) query.addListener(onSystemChange);
+    }
+  }
+
+  return {
+    get: get,
+    resolved: resolved,
+    set: set,
+    toggle: toggle,
+    attach: attach
+  };
+});
@@ -0,0 +1,186 @@
+/**
+ * Framework Mount
+ *
+ * How it works:
+ * - The React and Vue bindings render one empty element and hand it to mount(); the
+ *   navigation loaders render inside it with SirsiMaster.adminHeader / sidebar /
+ *   universalHeader .create(), so the framework never diffs markup the loaders own
+ * - Props are read where the loaders read data-* attributes: userName is data-user-name;
+ *   objects and arrays are passed as JSON, userRoles / userPermissions as lists
+ * - update() compares the props with the previous call: header changes re-render through
+ *   refresh(), a new sidebar active item goes through setActive(); other sidebar changes
+ *   and a new base, brand, templateSrc, navSrc or project build the component again
+ * - Callback props are called from events bubbling out of the rendered component:
+ *     onAction(detail, event)        'sirsiMasterAction' (core/actions.js)
+ *     onSearch(query, event)         typing in a header search input
+ *     onSearchSelect(detail, event)  'sirsiMasterSearchSelect' (navigation/search.js)
+ *     onSearchSubmit(detail, event)  'sirsiMasterSearchSubmit'
+ *     onReady(element)               after every render
+ *   Calling event.preventDefault() in onAction or onSearchSelect skips the default
+ *   handling; an onAction prop also stands in for actions without a registered handler
+ *
+ * The loaders (or dist/sirsimaster-ui.js) must be loaded on the page; mount() only uses
+ * their create() functions.
+ */
+(function (root, factory) {
+  var mount = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = mount;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.mount = mount;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var LOADERS = {
+    'admin-header': 'adminHeader',
+    'sidebar': 'sidebar',
+    'universal-header': 'universalHeader'
+  };
+  var CALLBACKS = ['onAction', 'onSearch', 'onSearchSelect', 'onSearchSubmit', 'onReady'];
+  var LISTS = ['userRoles', 'userPermissions']; // comma-separated in data-* (core/access.js)
+  // Read once when the component is created: changing them builds it again
+  var REBUILD = ['base', 'brand', 'templateSrc', 'navSrc', 'project'];
+  // Framework props that are not configuration
+  var IGNORED = ['children', 'className', 'class', 'style', 'key', 'ref'];
+
+  // 'data-user-name' → 'userName'
+  function propName(attribute) {
+    return attribute.slice(5).replace(/-([a-z])/g, function (match, letter) { return letter.toUpperCase(); });
+  }
+
+  function attributeValue(prop, value) {
+    if (value === undefined || value === null) return null;
+    if (LISTS.indexOf(prop) !== -1 && Array.isArray(value)) return value.join(',');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  // Configuration props as attribute strings, for comparing renders
+  function snapshot(props) {
+    var values = {};
+    Object.keys(props || {}).forEach(function (prop) {
+      if (CALLBACKS.indexOf(prop) !== -1 || IGNORED.indexOf(prop) !== -1) return;
+      if (typeof props[prop] === 'function') return;
+      values[prop] = attributeValue(prop, props[prop]);
+    });
+    return values;
+  }
+
+  function propSource(getProps) {
+    return {
+      getAttribute: function (name) {
+        if (name.indexOf('data-') !== 0) return null;
+        var prop = propName(name);
+        return attributeValue(prop, (getProps() || {})[prop]);
+      },
+      hasAttribute: function (name) {
+        return this.getAttribute(name) !== null;
+      }
+    };
+  }
+
+  /**
+   * Render component ('admin-header', 'sidebar' or 'universal-header') inside container,
+   * configured by getProps(). Returns { update, instance, destroy }; instance() is the
+   * API returned by the loader's create().
+   */
+  function mount(component, container, getProps) {
+    if (!LOADERS[component]) throw new RangeError('Unknown navigation component "' + component + '"');
+    var api = window.SirsiMaster && window.SirsiMaster[LOADERS[component]];
+    if (!api || !api.create) {
+      console.error('mount.js requires navigation/' + component + '.js (or dist/sirsimaster-ui.js) to be loaded first');
+      return { update: function () {}, instance: function () { return null; }, destroy: function () {} };
+    }
+
+    var source = propSource(getProps);
+    var anchor = document.createElement('div');
+    var last = snapshot(getProps());
+    var instance = null;
+    var listeners = [];
+
+    function callback(name) {
+      var props = getProps() || {};
+      return typeof props[name] === 'function' ? props[name] : null;
+    }
+
+    function create() {
+      instance = api.create(anchor, {
+        source: source,
+        onRender: function (element) {
+          var onReady = callback('onReady');
+          if (onReady) onReady(element);
+        }
+      });
+    }
+
+    function listen(type, listener) {
+      container.addEventListener(type, listener);
+      listeners.push([type, listener]);
+    }
+
+    listen('sirsiMasterAction', function (event) {
+      var onAction = callback('onAction');
+      if (!onAction) return;
+      onAction(event.detail, event);
+      var actions = window.SirsiMaster.actions;
+      var detail = event.detail;
+      // Handled by the prop: no "No handler registered" warning for plain buttons
+      if (detail.name && !detail.action.href && actions && !actions.has(detail.name)) event.preventDefault();
+    });
+    listen('sirsiMasterSearchSelect', function (event) {
+      var onSearchSelect = callback('onSearchSelect');
+      if (onSearchSelect) onSearchSelect(event.detail, event);
+    });
+    listen('sirsiMasterSearchSubmit', function (event) {
+      var onSearchSubmit = callback('onSearchSubmit');
+      if (onSearchSubmit) onSearchSubmit(event.detail, event);
+    });
+    listen('input', function (event) {
+      var onSearch = callback('onSearch');
+      if (onSearch && event.target.hasAttribute('data-search-input')) onSearch(event.target.value, event);
+    });
+
+    container.appendChild(anchor);
+    create();
+
+    /**
+     * Apply changed props to the rendered component.
+     */
+    function update() {
+      if (!instance) return;
+      var next = snapshot(getProps());
+      var changed = Object.keys(next).concat(Object.keys(last)).filter(function (prop, index, all) {
+        return all.indexOf(prop) === index && next[prop] !== last[prop];
+      });
+      last = next;
+      if (!changed.length) return;
+
+      var rebuild = changed.some(function (prop) { return REBUILD.indexOf(prop) !== -1; });
+      if (component !== 'sidebar' && !rebuild) {
+        instance.refresh(changed);
+      } else if (component === 'sidebar' && changed.length === 1 && changed[0] === 'active') {
+        instance.setActive(next.active || '');
+      } else {
+        instance.destroy();
+        create();
+      }
+    }
+
+    function destroy() {
+      listeners.forEach(function (entry) { container.removeEventListener(entry[0], entry[1]); });
+      listeners = [];
+      if (instance) instance.destroy();
+      instance = null;
+      if (anchor.parentNode) anchor.parentNode.removeChild(anchor);
+    }
+
+    return {
+      update: update,
+      instance: function () { return instance; },
+      destroy: destroy
+    };
+  }
+
+  mount.components = Object.keys(LOADERS);
+  return mount;
+});
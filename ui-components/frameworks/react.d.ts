@@ -0,0 +1,38 @@
+import * as React from 'react';
+import {
+  ActionDetail,
+  AdminHeaderProps,
+  HeaderApi,
+  SearchSelectDetail,
+  SearchSubmitDetail,
+  SidebarApi,
+  SidebarProps,
+  UniversalHeaderProps
+} from './types';
+
+export * from './types';
+
+export interface CallbackProps {
+  className?: string;
+  /** A click on a header action; event.preventDefault() skips the registered handler */
+  onAction?(detail: ActionDetail, event: CustomEvent<ActionDetail>): void;
+  /** Typing in a header search input */
+  onSearch?(query: string, event: Event): void;
+  /** A search result was chosen; event.preventDefault() keeps the page */
+  onSearchSelect?(detail: SearchSelectDetail, event: CustomEvent<SearchSelectDetail>): void;
+  onSearchSubmit?(detail: SearchSubmitDetail, event: CustomEvent<SearchSubmitDetail>): void;
+  /** After every render, with the rendered element */
+  onReady?(element: HTMLElement): void;
+}
+
+export const AdminHeader: React.ForwardRefExoticComponent<AdminHeaderProps & CallbackProps & React.RefAttributes<HeaderApi>>;
+export const Sidebar: React.ForwardRefExoticComponent<SidebarProps & Pick<CallbackProps, 'className' | 'onReady'> & React.RefAttributes<SidebarApi>>;
+export const UniversalHeader: React.ForwardRefExoticComponent<UniversalHeaderProps & CallbackProps & React.RefAttributes<HeaderApi>>;
+
+export function useNavigation<P extends object>(
+  component: 'admin-header' | 'sidebar' | 'universal-header',
+  props: P
+): {
+  ref: React.RefObject<HTMLElement>;
+  instance(): HeaderApi | SidebarApi | null;
+};
@@ -0,0 +1,96 @@
+/**
+ * React Bindings
+ *
+ * How it works:
+ * - <AdminHeader>, <Sidebar> and <UniversalHeader> render one empty element that React
+ *   owns; frameworks/mount.js renders the navigation template inside it with the same
+ *   loaders, templates and CSS as the vanilla components
+ * - Props mirror the data-* attributes (title, subtitle, actions, userName, active, ...;
+ *   see react.d.ts) and callbacks replace the window events:
+ *     <AdminHeader title="Orders" actions={actions} onAction={(detail) => ...} />
+ *     <Sidebar active={route} ref={sidebarRef} />   sidebarRef.current.setBadge('orders', 3)
+ *     <UniversalHeader type="client" userName={user.name} onSearch={setQuery} />
+ * - useNavigation(component, props) is the hook behind them, for rendering into an
+ *   element of your own: const { ref } = useNavigation('sidebar', props)
+ *
+ * Load the navigation scripts (or dist/sirsimaster-ui.js) on the page, then:
+ *   import { AdminHeader, Sidebar } from '@sirsimaster/component-library/react';
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(root, require('react'), require('./mount'));
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.react = factory(root, root.React, root.SirsiMaster.mount);
+  }
+})(typeof window !== 'undefined' ? window : this, function (window, React, mount) {
+  var METHODS = {
+    'admin-header': ['update', 'ready', 'element'],
+    'sidebar': ['toggle', 'open', 'close', 'isOpen', 'setRail', 'isRail', 'toggleSection', 'setActive', 'setBadge', 'ready', 'element'],
+    'universal-header': ['update', 'ready', 'element']
+  };
+
+  /**
+   * Render component into the element given to the returned ref. Props are re-read on
+   * every render; callbacks always see the latest props.
+   */
+  function useNavigation(component, props) {
+    var ref = React.useRef(null);
+    var propsRef = React.useRef(props);
+    var controller = React.useRef(null);
+    propsRef.current = props;
+
+    React.useEffect(function () {
+      if (!ref.current) return undefined;
+      var mounted = mount(component, ref.current, function () { return propsRef.current; });
+      controller.current = mounted;
+      return function () {
+        mounted.destroy();
+        controller.current = null;
+      };
+    }, [component]);
+
+    // After every render: mount() compares the props with the previous ones
+    React.useEffect(function () {
+      if (controller.current) controller.current.update();
+    });
+
+    return {
+      ref: ref,
+      instance: function () { return controller.current ? controller.current.instance() : null; }
+    };
+  }
+
+  function define(component, displayName) {
+    var Component = React.forwardRef(function (props, forwardedRef) {
+      var navigation = useNavigation(component, props);
+
+      // The loader's API on the ref; calls before the component is mounted return undefined
+      React.useImperativeHandle(forwardedRef, function () {
+        var handle = {};
+        METHODS[component].forEach(function (method) {
+          handle[method] = function () {
+            var instance = navigation.instance();
+            return instance ? instance[method].apply(null, arguments) : undefined;
+          };
+        });
+        return handle;
+      }, []);
+
+      return React.createElement('div', {
+        ref: navigation.ref,
+        className: props.className,
+        style: { display: 'contents' }
+      });
+    });
+    Component.displayName = displayName;
+    return Component;
+  }
+
+  return {
+    AdminHeader: define('admin-header', 'AdminHeader'),
+    Sidebar: define('sidebar', 'Sidebar'),
+    UniversalHeader: define('universal-header', 'UniversalHeader'),
+    useNavigation: useNavigation
+  };
+});
@@ -0,0 +1,145 @@
+// Props shared by the React and Vue bindings; each mirrors a data-* attribute of the
+// vanilla placeholders (userName is data-user-name). See ui-components/navigation/README.md.
+
+export interface HeaderAction {
+  label: string;
+  icon?: string;
+  action?: string;
+  href?: string;
+  primary?: boolean;
+  roles?: string | string[];
+  permissions?: string | string[];
+  whenDenied?: 'hide' | 'disable';
+}
+
+export interface MenuItem {
+  label?: string;
+  href?: string;
+  action?: string;
+  icon?: string;
+  /** A separator line instead of an item */
+  divider?: boolean;
+  roles?: string | string[];
+  permissions?: string | string[];
+  whenDenied?: 'hide' | 'disable';
+}
+
+export interface Breadcrumb {
+  label: string;
+  href?: string;
+}
+
+export interface NavItem {
+  label: string;
+  href: string;
+}
+
+export interface Brand {
+  name?: string;
+  subtitle?: string | { admin?: string; client?: string; public?: string };
+  logo?: string;
+  home?: string;
+  nav?: NavItem[];
+  auth?: { signIn?: string; signUp?: string };
+}
+
+export interface ActionDetail {
+  name: string | null;
+  action: HeaderAction;
+  component: string;
+  element: HTMLElement;
+}
+
+export interface SearchResult {
+  title: string;
+  description?: string;
+  url?: string;
+  action?: string;
+  [key: string]: unknown;
+}
+
+export interface SearchSelectDetail {
+  query: string;
+  result: SearchResult;
+  provider: string;
+  component: string;
+}
+
+export interface SearchSubmitDetail {
+  query: string;
+  component: string;
+}
+
+export interface CommonProps {
+  /** data-base: site root for [[BASE]] links */
+  base?: string;
+  /** data-template-src: URL of a customised template */
+  templateSrc?: string;
+  /** data-user-roles / data-user-permissions (core/access.js) */
+  userRoles?: string | string[];
+  userPermissions?: string | string[];
+}
+
+export interface AdminHeaderProps extends CommonProps {
+  title?: string;
+  subtitle?: string;
+  /** Shown when no session provider is set (core/session.js) */
+  userName?: string;
+  userEmail?: string;
+  userAvatar?: string;
+  searchPlaceholder?: string;
+  actions?: HeaderAction[];
+  /** Replaces the template's user menu items */
+  userMenu?: MenuItem[];
+  /** Explicit trail instead of the one derived from the URL */
+  breadcrumbs?: Breadcrumb[];
+}
+
+export interface SidebarProps extends CommonProps {
+  /** data-key of the active item; empty matches the URL */
+  active?: string;
+  /** URL of a navigation schema (JSON) */
+  navSrc?: string;
+  /** Key for the persisted collapsed and rail state */
+  project?: string;
+}
+
+export interface UniversalHeaderProps extends CommonProps {
+  type?: 'admin' | 'client' | 'public';
+  title?: string;
+  subtitle?: string;
+  userName?: string;
+  userEmail?: string;
+  userAvatar?: string;
+  searchPlaceholder?: string;
+  showAuth?: boolean;
+  actions?: HeaderAction[];
+  /** Replaces the template's user menu items */
+  userMenu?: MenuItem[];
+  /** Product name, brand object or URL of a brand JSON file */
+  brand?: string | Brand;
+  navItems?: NavItem[];
+  /** Widths in pixels at and below which the links and the search fold (navigation/mobile-nav.js) */
+  navBreakpoint?: number;
+  searchBreakpoint?: number;
+}
+
+export interface HeaderApi {
+  update(changes: { title?: string; subtitle?: string; searchPlaceholder?: string; actions?: HeaderAction[] }): Promise<HTMLElement>;
+  ready(): Promise<HTMLElement | null>;
+  element(): HTMLElement | null;
+}
+
+export interface SidebarApi {
+  toggle(): void;
+  open(): void;
+  close(): void;
+  isOpen(): boolean;
+  setRail(rail: boolean): void;
+  isRail(): boolean;
+  toggleSection(key: string, collapsed?: boolean): void;
+  setActive(key: string | null): void;
+  setBadge(key: string, value: string | number | null): void;
+  ready(): Promise<HTMLElement | null>;
+  element(): HTMLElement | null;
+}
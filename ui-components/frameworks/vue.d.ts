@@ -0,0 +1,31 @@
+import { DefineComponent, Plugin } from 'vue';
+import {
+  ActionDetail,
+  AdminHeaderProps,
+  SearchSelectDetail,
+  SearchSubmitDetail,
+  SidebarProps,
+  UniversalHeaderProps
+} from './types';
+
+export * from './types';
+
+export interface HeaderEmits {
+  action(detail: ActionDetail, event: CustomEvent<ActionDetail>): void;
+  search(query: string, event: Event): void;
+  'search-select'(detail: SearchSelectDetail, event: CustomEvent<SearchSelectDetail>): void;
+  'search-submit'(detail: SearchSubmitDetail, event: CustomEvent<SearchSubmitDetail>): void;
+  ready(element: HTMLElement): void;
+}
+
+// Component instances also expose HeaderApi / SidebarApi (see types.d.ts)
+export const AdminHeader: DefineComponent<AdminHeaderProps, {}, {}, {}, {}, {}, {}, HeaderEmits>;
+export const Sidebar: DefineComponent<SidebarProps, {}, {}, {}, {}, {}, {}, { ready(element: HTMLElement): void }>;
+export const UniversalHeader: DefineComponent<UniversalHeaderProps, {}, {}, {}, {}, {}, {}, HeaderEmits>;
+
+declare const SirsiMasterNavigation: Plugin & {
+  AdminHeader: typeof AdminHeader;
+  Sidebar: typeof Sidebar;
+  UniversalHeader: typeof UniversalHeader;
+};
+export default SirsiMasterNavigation;
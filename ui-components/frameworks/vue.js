@@ -0,0 +1,161 @@
+/**
+ * Vue 3 Bindings
+ *
+ * How it works:
+ * - <AdminHeader>, <Sidebar> and <UniversalHeader> render one empty element that Vue
+ *   owns; frameworks/mount.js renders the navigation template inside it with the same
+ *   loaders, templates and CSS as the vanilla components
+ * - Props mirror the data-* attributes (title, subtitle, actions, userName, active, ...;
+ *   see vue.d.ts). Events are emitted as action, search, search-select, search-submit
+ *   and ready:
+ *     <AdminHeader title="Orders" :actions="actions" @action="onAction" />
+ *     <Sidebar :active="route.name" ref="sidebar" />   this.$refs.sidebar.setBadge('orders', 3)
+ *     <UniversalHeader type="client" :user-name="user.name" @search="query = $event" />
+ * - The loader's API (update, ready, setActive, setBadge, ...) is exposed on the
+ *   component instance
+ *
+ * Load the navigation scripts (or dist/sirsimaster-ui.js) on the page, then:
+ *   import { AdminHeader, Sidebar } from '@sirsimaster/component-library/vue';
+ * or register them all with app.use(SirsiMasterNavigation).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(root, require('vue'), require('./mount'));
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.vue = factory(root, root.Vue, root.SirsiMaster.mount);
+  }
+})(typeof window !== 'undefined' ? window : this, function (window, Vue, mount) {
+  var JSON_VALUE = [Array, Object, String];
+  var LIST = [Array, String];
+  var COMMON = {
+    base: String,
+    templateSrc: String,
+    userRoles: LIST,
+    userPermissions: LIST
+  };
+  var PROPS = {
+    'admin-header': {
+      title: String,
+      subtitle: String,
+      searchPlaceholder: String,
+      userName: String,
+      userEmail: String,
+      userAvatar: String,
+      actions: JSON_VALUE,
+      userMenu: JSON_VALUE,
+      breadcrumbs: JSON_VALUE
+    },
+    'sidebar': {
+      active: String,
+      navSrc: String,
+      project: String
+    },
+    'universal-header': {
+      type: String,
+      title: String,
+      subtitle: String,
+      userName: String,
+      userEmail: String,
+      userAvatar: String,
+      searchPlaceholder: String,
+      showAuth: Boolean,
+      actions: JSON_VALUE,
+      userMenu: JSON_VALUE,
+      brand: JSON_VALUE,
+      navItems: JSON_VALUE,
+      navBreakpoint: Number,
+      searchBreakpoint: Number
+    }
+  };
+  var METHODS = {
+    'admin-header': ['update', 'ready', 'element'],
+    'sidebar': ['toggle', 'open', 'close', 'isOpen', 'setRail', 'isRail', 'toggleSection', 'setActive', 'setBadge', 'ready', 'element'],
+    'universal-header': ['update', 'ready', 'element']
+  };
+  // mount.js callback → emitted event
+  var EVENTS = {
+    onAction: 'action',
+    onSearch: 'search',
+    onSearchSelect: 'search-select',
+    onSearchSubmit: 'search-submit',
+    onReady: 'ready'
+  };
+
+  function define(component, name) {
+    var props = {};
+    Object.keys(COMMON).forEach(function (key) { props[key] = { type: COMMON[key], default: undefined }; });
+    Object.keys(PROPS[component]).forEach(function (key) {
+      props[key] = { type: PROPS[component][key], default: undefined };
+    });
+
+    return Vue.defineComponent({
+      name: name,
+      props: props,
+      emits: Object.keys(EVENTS).map(function (key) { return EVENTS[key]; }),
+      setup: function (componentProps, context) {
+        var container = Vue.ref(null);
+        var controller = null;
+        // Listeners passed by the parent (vnode props onAction, ...), checked on every event
+        var instance = Vue.getCurrentInstance();
+
+        function listening(callback) {
+          var vnodeProps = instance.vnode.props || {};
+          return typeof vnodeProps[callback] === 'function';
+        }
+
+        function current() {
+          var values = {};
+          Object.keys(componentProps).forEach(function (key) { values[key] = componentProps[key]; });
+          Object.keys(EVENTS).forEach(function (callback) {
+            if (!listening(callback)) return; // onAction only stands in for handlers when listened to
+            values[callback] = function () {
+              context.emit.apply(null, [EVENTS[callback]].concat(Array.prototype.slice.call(arguments)));
+            };
+          });
+          return values;
+        }
+
+        Vue.onMounted(function () {
+          controller = mount(component, container.value, current);
+        });
+        Vue.onBeforeUnmount(function () {
+          if (controller) controller.destroy();
+          controller = null;
+        });
+        Vue.watch(function () { return current(); }, function () {
+          if (controller) controller.update();
+        }, { deep: true });
+
+        var exposed = {};
+        METHODS[component].forEach(function (method) {
+          exposed[method] = function () {
+            var loader = controller && controller.instance();
+            return loader ? loader[method].apply(null, arguments) : undefined;
+          };
+        });
+        context.expose(exposed);
+
+        return function () {
+          return Vue.h('div', { ref: container, style: { display: 'contents' } });
+        };
+      }
+    });
+  }
+
+  var components = {
+    AdminHeader: define('admin-header', 'AdminHeader'),
+    Sidebar: define('sidebar', 'Sidebar'),
+    UniversalHeader: define('universal-header', 'UniversalHeader')
+  };
+
+  return {
+    AdminHeader: components.AdminHeader,
+    Sidebar: components.Sidebar,
+    UniversalHeader: components.UniversalHeader,
+    // app.use(SirsiMasterNavigation) registers the three components globally
+    install: function (app) {
+      Object.keys(components).forEach(function (key) { app.component(key, components[key]); });
+    }
+  };
+});
@@ -0,0 +1,96 @@
+/**
+ * The auth modal's mock adapter and adapter checks; the dialog itself needs a DOM and is
+ * not opened here.
+ */
+const i18n = require('../../core/i18n');
+
+function loadAuthModal(config) {
+  let authModal;
+  global.window = {
+    document: {},
+    SirsiMaster: { i18n },
+    SirsiMasterConfig: config ? { auth: config } : undefined,
+  };
+  try {
+    jest.isolateModules(() => { authModal = require('../auth-modal'); });
+  } finally {
+    delete global.window;
+  }
+  return authModal;
+}
+
+describe('mock adapter', () => {
+  const { mock } = loadAuthModal().adapters;
+
+  test('signs in the demo account, ignoring the case of the email', async () => {
+    const adapter = mock({ delay: 0 });
+
+    await expect(adapter.signIn({ email: 'Demo@Example.com', password: 'password123' }))
+      .resolves.toEqual({ name: 'Demo User', email: 'demo@example.com', avatarUrl: undefined, roles: undefined });
+  });
+
+  test('rejects a wrong password or an unknown email on the password field', async () => {
+    const adapter = mock({ delay: 0, users: [{ name: 'Ana', email: 'ana@acme.dev', password: 'secret', roles: ['admin'] }] });
+
+    for (const form of [{ email: 'ana@acme.dev', password: 'wrong' }, { email: 'demo@example.com', password: 'password123' }]) {
+      await expect(adapter.signIn(form)).rejects.toMatchObject({ message: 'Email or password is incorrect', field: 'password' });
+    }
+    await expect(adapter.signIn({ email: 'ana@acme.dev', password: 'secret' })).resolves.toMatchObject({ name: 'Ana', roles: ['admin'] });
+  });
+
+  test('signs up new accounts, which can then sign in; a taken email is rejected on the email field', async () => {
+    const adapter = mock({ delay: 0 });
+
+    await expect(adapter.signUp({ name: 'Bo', email: 'BO@acme.dev', password: 'longenough' }))
+      .resolves.toEqual({ name: 'Bo', email: 'bo@acme.dev', avatarUrl: undefined, roles: undefined });
+    await expect(adapter.signIn({ email: 'bo@acme.dev', password: 'longenough' })).resolves.toMatchObject({ name: 'Bo' });
+    await expect(adapter.signUp({ name: 'Bo 2', email: 'bo@acme.dev', password: 'other' }))
+      .rejects.toMatchObject({ message: 'An account with this email already exists', field: 'email' });
+  });
+
+  test('accounts are per adapter', async () => {
+    await mock({ delay: 0 }).signUp({ name: 'Cy', email: 'cy@acme.dev', password: 'longenough' });
+
+    await expect(mock({ delay: 0 }).signIn({ email: 'cy@acme.dev', password: 'longenough' })).rejects.toThrow('Email or password is incorrect');
+  });
+
+  test('password resets succeed for any address', async () => {
+    const adapter = mock({ delay: 0 });
+
+    await expect(adapter.resetPassword({ email: 'demo@example.com' })).resolves.toBeNull();
+    await expect(adapter.resetPassword({ email: 'nobody@example.com' })).resolves.toBeNull();
+  });
+
+  test('answers after options.delay, 400ms by default', async () => {
+    jest.useFakeTimers();
+    try {
+      const settled = jest.fn();
+      mock().resetPassword({ email: 'demo@example.com' }).then(settled);
+
+      await jest.advanceTimersByTimeAsync(399);
+      expect(settled).not.toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(1);
+      expect(settled).toHaveBeenCalledWith(null);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('adapters', () => {
+  test('use() needs signIn, signUp and resetPassword; null removes the adapter', () => {
+    const authModal = loadAuthModal();
+
+    expect(authModal.hasAdapter()).toBe(false);
+    expect(() => authModal.use({ signIn() {}, signUp() {} })).toThrow('An auth adapter needs signIn(), signUp() and resetPassword()');
+    authModal.use(authModal.adapters.mock());
+    expect(authModal.hasAdapter()).toBe(true);
+    authModal.use(null);
+    expect(authModal.hasAdapter()).toBe(false);
+  });
+
+  test('SirsiMasterConfig.auth = { adapter: "mock" } turns the mock adapter on', () => {
+    expect(loadAuthModal({ adapter: 'mock', delay: 0 }).hasAdapter()).toBe(true);
+    expect(loadAuthModal({ adapter: 'other' }).hasAdapter()).toBe(false);
+  });
+});
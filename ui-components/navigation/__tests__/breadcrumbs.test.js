@@ -0,0 +1,38 @@
+const breadcrumbs = require('../breadcrumbs');
+
+afterEach(() => breadcrumbs.configure(null));
+
+function jsonLdItems(html) {
+  const json = /<script type="application\/ld\+json">(.*)<\/script>/.exec(html)[1];
+  return JSON.parse(json).itemListElement.map(entry => entry.item);
+}
+
+describe('unsafe crumb links', () => {
+  test('data-breadcrumbs hrefs with other schemes are shown as text', () => {
+    const html = breadcrumbs.build('/reports/q3.html', {
+      items: [
+        { label: 'Home', href: '/' },
+        { label: 'Evil', href: 'javascript:alert(1)' },
+        { label: 'Hidden', href: ' \tJAVAscript:alert(1)' },
+        { label: 'Reports', href: 'reports/' },
+        { label: 'Q3' },
+      ],
+      origin: 'https://example.com',
+    });
+
+    expect(html).not.toMatch(/javascript/i);
+    expect(html).toContain('<span class="breadcrumb-text">Evil</span>');
+    expect(html).toContain('<span class="breadcrumb-text">Hidden</span>');
+    expect(html).toContain('<a href="reports/" class="breadcrumb-back">');
+    expect(jsonLdItems(html)).toEqual(['https://example.com/', 'reports/', 'https://example.com/reports/q3.html']);
+  });
+
+  test('route hrefs go through the same check', () => {
+    breadcrumbs.configure({ routes: { '/admin/': { label: 'Admin', href: 'data:text/html,x' } } });
+    const html = breadcrumbs.build('/admin/users.html', { origin: '' });
+
+    expect(html).toContain('<span class="breadcrumb-text">Admin</span>');
+    expect(html).not.toContain('data:text/html');
+    expect(jsonLdItems(html)).toEqual(['/', '/admin/users.html']);
+  });
+});
@@ -0,0 +1,52 @@
+const { sanitizeSvg } = require('../render');
+
+describe('sanitizeSvg', () => {
+  test('keeps allowlisted shapes and attributes', () => {
+    const logo = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" aria-hidden="true">' +
+      '<defs><linearGradient id="g"><stop offset="0" stop-color="#fff"/></linearGradient></defs>' +
+      '<g fill="url(#g)"><path d="M0 0h24v24H0z"/><circle cx="12" cy="12" r="4"></circle></g>' +
+      '<text x="2" y="20">A &amp; B</text></svg>';
+
+    expect(sanitizeSvg(logo)).toBe(logo);
+  });
+
+  test('restores the SVG spelling of element and attribute names', () => {
+    expect(sanitizeSvg('<SVG VIEWBOX="0 0 1 1"><lineargradient gradientunits="userSpaceOnUse"></lineargradient></SVG>'))
+      .toBe('<svg viewBox="0 0 1 1"><linearGradient gradientUnits="userSpaceOnUse"></linearGradient></svg>');
+  });
+
+  test('drops <script> and its content', () => {
+    expect(sanitizeSvg('<svg><script>alert(1)</script><rect width="1"/></svg>'))
+      .toBe('<svg><rect width="1"/></svg>');
+    expect(sanitizeSvg('<svg><SCRIPT type="text/javascript">alert(1)</SCRIPT></svg>')).toBe('<svg></svg>');
+  });
+
+  test('drops on* event handlers', () => {
+    expect(sanitizeSvg('<svg onload="alert(1)"><path d="M0 0" onclick=\'alert(2)\' onmouseover=alert(3) /></svg>'))
+      .toBe('<svg><path d="M0 0"/></svg>');
+  });
+
+  test('drops javascript: links on <a> and <use>', () => {
+    expect(sanitizeSvg('<svg><a href="javascript:alert(1)"><rect width="1"/></a></svg>')).toBe('<svg></svg>');
+    expect(sanitizeSvg('<svg><a xlink:href="javascript:alert(1)">x</a></svg>')).toBe('<svg></svg>');
+    expect(sanitizeSvg('<svg><use href="javascript:alert(1)"/><use xlink:href="data:image/svg+xml,x"/></svg>'))
+      .toBe('<svg></svg>');
+  });
+
+  test('drops <foreignObject> and the HTML inside it', () => {
+    expect(sanitizeSvg('<svg><foreignObject><div onclick="alert(1)"><b>x</b></div></foreignObject><rect/></svg>'))
+      .toBe('<svg><rect/></svg>');
+  });
+
+  test('a quoted ">" in an attribute value does not end the tag', () => {
+    expect(sanitizeSvg('<svg><rect width="1" class="a>b" onclick="alert(1)"/></svg>'))
+      .toBe('<svg><rect width="1" class="a&gt;b"/></svg>');
+    expect(sanitizeSvg('<svg><title data-x=\'"><script>alert(1)</script>\'>Logo</title></svg>'))
+      .toBe('<svg><title>Logo</title></svg>');
+  });
+
+  test('drops style, external url() references and closes what is left open', () => {
+    expect(sanitizeSvg('<svg style="x"><style>*{}</style><rect fill="url(https://evil.example/x)" stroke="url(#ok)">'))
+      .toBe('<svg><rect stroke="url(#ok)"></rect></svg>');
+  });
+});
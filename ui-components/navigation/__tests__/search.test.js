@@ -0,0 +1,113 @@
+/**
+ * navigation/search.js providers against a window without a document: the dropdown is
+ * not used, only staticIndex() and query().
+ */
+const i18n = require('../../core/i18n');
+
+function loadSearch(config) {
+  let search;
+  global.window = { SirsiMaster: { i18n }, SirsiMasterConfig: config ? { search: config } : undefined };
+  try {
+    jest.isolateModules(() => { search = require('../search'); });
+  } finally {
+    delete global.window;
+  }
+  return search;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('staticIndex', () => {
+  const items = [
+    { title: 'Billing history', description: 'Invoices and receipts' },
+    { title: 'Reports', description: 'Monthly billing reports' },
+    { title: 'Team billing', description: 'Seats' },
+    { title: 'Settings', description: 'Account', keywords: ['profile', 'billing address'] },
+    { title: 'Users', description: 'People' },
+  ];
+  const titles = query => loadSearch().staticIndex(items)(query).map(item => item.title);
+
+  test('ranks title prefixes, then title matches, then description and keyword matches', () => {
+    expect(titles('billing')).toEqual(['Billing history', 'Team billing', 'Reports', 'Settings']);
+  });
+
+  test('is case-insensitive and needs every word of the query', () => {
+    expect(titles('BILLING invoices')).toEqual(['Billing history']);
+    expect(titles('team seats')).toEqual(['Team billing']);
+    expect(titles('profile')).toEqual(['Settings']);
+    expect(titles('nothing')).toEqual([]);
+  });
+
+  test('an empty query or list matches nothing', () => {
+    expect(titles('  ')).toEqual([]);
+    expect(loadSearch().staticIndex(null)('billing')).toEqual([]);
+  });
+});
+
+describe('query', () => {
+  function withoutBuiltIns(search) {
+    search.unregister('pages');
+    search.unregister('index');
+    return search;
+  }
+
+  test('groups results by provider in registration order, limited and without empty groups', async () => {
+    const search = withoutBuiltIns(loadSearch({ limit: 2 }));
+    search.register('people', () => [{ title: 'Ann' }, { title: 'Bob' }, { title: 'Cy' }], { label: 'People' });
+    search.register('empty', () => []);
+    search.register('docs', query => Promise.resolve([{ title: `Doc for ${query}` }]), { label: () => 'Docs', limit: 1 });
+
+    expect(await search.query('a')).toEqual([
+      { name: 'people', label: 'People', results: [{ title: 'Ann' }, { title: 'Bob' }] },
+      { name: 'docs', label: 'Docs', results: [{ title: 'Doc for a' }] },
+    ]);
+  });
+
+  test('a provider that throws or rejects is skipped and logged; the others still answer', async () => {
+    const search = withoutBuiltIns(loadSearch());
+    const thrown = new Error('broken');
+    search.register('throws', () => { throw thrown; });
+    search.register('rejects', () => Promise.reject(new Error('offline')));
+    search.register('works', () => [{ title: 'Still here' }]);
+
+    expect(await search.query('x')).toEqual([{ name: 'works', label: 'works', results: [{ title: 'Still here' }] }]);
+    expect(console.warn).toHaveBeenCalledWith('Search provider "throws" failed:', thrown);
+    expect(console.warn).toHaveBeenCalledWith('Search provider "rejects" failed:', expect.any(Error));
+  });
+
+  test('register() replaces a provider of the same name and needs a function', async () => {
+    const search = withoutBuiltIns(loadSearch());
+    search.register('a', () => [{ title: 'old' }]);
+    search.register('a', () => [{ title: 'new' }]);
+
+    expect((await search.query('x'))[0].results).toEqual([{ title: 'new' }]);
+    expect(() => search.register('b', [])).toThrow('Search provider "b" must be a function');
+  });
+
+  test('the index provider searches SirsiMasterConfig.search.index', async () => {
+    const search = loadSearch({ index: [{ title: 'Reports', url: '/reports/' }, { title: 'Users', url: '/users/' }] });
+    search.unregister('pages');
+
+    expect(await search.query('rep')).toEqual([{ name: 'index', label: 'Results', results: [{ title: 'Reports', url: '/reports/' }] }]);
+  });
+
+  test('a search index that fails to load is skipped, and fetched again on the next query', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 500, statusText: 'Server Error' })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve([{ title: 'Reports', url: '/reports/' }]) });
+    const search = loadSearch({ index: '/search.json' });
+    search.unregister('pages');
+    search.register('other', () => [{ title: 'Other' }]);
+
+    expect((await search.query('rep')).map(group => group.name)).toEqual(['other']);
+    expect((await search.query('rep')).map(group => group.name)).toEqual(['index', 'other']);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
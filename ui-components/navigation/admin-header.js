@@ -6,188 +6,335 @@
  * - Uses data attributes for configuration:
  *   - data-title: Page title
  *   - data-subtitle: Page subtitle  
- *   - data-search-placeholder: Search input placeholder
- *   - data-actions: JSON string of action buttons
+ *   - data-search-placeholder: Search input placeholder; with navigation/search.js loaded
+ *     the input searches every registered provider (see SirsiMaster.search)
+ *   - data-actions: JSON string of action buttons [{ label, icon, action, href, primary }];
+ *     "action" names a handler registered with SirsiMaster.actions.register()
+ *   - data-user-menu: JSON user menu items [{ label, href, action, icon }] ({ divider: true }
+ *     between groups), replacing the template's; navigation/menu.js makes the menu
+ *     keyboard-operable (WAI-ARIA menu button) and runs the actions
+ *   - data-breadcrumbs: JSON trail [{ label, href }] or "false" (default: from the URL,
+ *     see navigation/breadcrumbs.js and SirsiMasterConfig.breadcrumbs)
+ *   - data-user-name / data-user-email / data-user-avatar: The user shown in the menu;
+ *     with core/session.js and a session provider the signed-in user instead, updated
+ *     on every sign-in and sign-out
+ *   - data-template-src: Explicit template URL (see core/template-resolver.js)
+ *   - data-user-roles / data-user-permissions: User context for actions with
+ *     roles/permissions (see core/access.js); re-renders on SirsiMaster.access.setUser()
+ * - Shows a loading skeleton until the template arrives; if it cannot be fetched the
+ *   resolver's cached, inline or offline fallback template is rendered instead
+ * - With navigation/notifications.js loaded the bell lists SirsiMaster.notifications
+ * - With core/theme.js loaded the user dropdown offers light, dark and system themes
+ * - Labels come from core/i18n.js; SirsiMaster.i18n.setLocale() re-renders the header
+ *   in the new language
+ * - Markup is produced by navigation/render.js, shared with the static prerender CLI;
+ *   a prerendered header is rendered from the template again on the first access, locale
+ *   or session change (with core/template-resolver.js and core/template-engine.js loaded)
+ * - Runtime API on SirsiMaster.adminHeader (and SirsiMaster.header when this is the
+ *   page's header): update({ title, subtitle, searchPlaceholder, actions }), ready(),
+ *   destroy() and init()
+ * - SirsiMaster.adminHeader.create(root, options) renders a header in place of any node;
+ *   the #admin-header-root placeholder and <sm-admin-header> (navigation/elements.js)
+ *   are both built on it
  * - Ensures consistent professional header across all admin pages
  */
 (function () {
-  function resolveBase(el) {
-    var base = el.getAttribute('data-base');
-    if (base && base.trim()) return base.replace(/\/$/, '');
+  // Captured while the script executes; used to resolve the template next to it
+  var scriptSrc = document.currentScript ? document.currentScript.src : '';
 
-    // New structure: everything is at root level
-    return '';
+  var page = null; // header of the #admin-header-root placeholder (or the prerendered one)
+  var readyState = deferred();
+
+  function deferred() {
+    var d = {};
+    d.promise = new Promise(function (resolve, reject) {
+      d.resolve = resolve;
+      d.reject = reject;
+    });
+    d.promise.catch(function () {}); // callers of ready() still see the rejection
+    return d;
   }
 
-  function createBreadcrumb(pathParts) {
-    if (pathParts.length <= 1) return null;
-    
-    var breadcrumbItems = [];
-    var currentPath = '';
-    
-    // Add back button for nested pages (depth > 2)
-    if (pathParts.length > 2) {
-      var parentPath = '/' + pathParts.slice(0, -1).join('/') + '/';
-      var backButton = '<a href="' + parentPath + '" class="breadcrumb-back">';
-      backButton += '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"></polyline></svg>';
-      backButton += 'Back</a>';
-      breadcrumbItems.push(backButton);
-    }
-    
-    // Add home/root
-    breadcrumbItems.push('<a href="/">Home</a>');
-    
-    // Build breadcrumb trail
-    for (var i = 0; i < pathParts.length; i++) {
-      currentPath += '/' + pathParts[i];
-      var label = pathParts[i];
-      
-      // Format the label (capitalize, replace hyphens/underscores)
-      label = label.replace(/[-_]/g, ' ');
-      label = label.charAt(0).toUpperCase() + label.slice(1);
-      
-      // Special case labels
-      if (label === 'Admin') label = 'Admin Portal';
-      if (label === 'Development') label = 'Development';
-      if (label === 'Contracts') label = 'Contracts';
-      if (label.includes('.html')) {
-        label = label.replace('.html', '');
-        label = label.charAt(0).toUpperCase() + label.slice(1);
-        if (label === 'Sirsi contract') label = 'Sirsi Contract';
-        if (label === 'Payment structure') label = 'Payment Structure';
-      }
-      
-      // Add separator and link
-      if (i < pathParts.length - 1) {
-        // Not the last item - make it a link
-        breadcrumbItems.push('<span class="breadcrumb-separator">/</span>');
-        breadcrumbItems.push('<a href="' + currentPath + '/">' + label + '</a>');
-      } else {
-        // Last item - current page (not a link)
-        breadcrumbItems.push('<span class="breadcrumb-separator">/</span>');
-        breadcrumbItems.push('<span class="breadcrumb-current">' + label + '</span>');
+  /**
+   * Render an admin header in place of root and keep it current. A prerendered
+   * header (data-prerendered) is hydrated and rendered again from the template on the
+   * first access, locale or session change.
+   * options.source: where the data-* configuration is read (default root)
+   * options.onRender(header): called after every render
+   * Returns { update, refresh, ready, element, destroy }.
+   */
+  function create(root, options) {
+    options = options || {};
+    var source = options.source || root;
+    var headerEl = null; // the live <header class="admin-header">
+    var config = null; // current configuration; update() changes it
+    var overrides = {}; // values set through update(), kept when the configuration is re-read
+    var draw = null; // renders config; set once the template is loaded
+    var redraw = null; // access-change, locale-change and session-change listener
+    var destroyed = false; // late template loads are dropped
+    var cleanups = []; // detaches the user menu and the widgets of the current render
+    var hideSkeleton = function () {}; // restores the placeholder shown while loading
+    var prerendered = root.hasAttribute && root.hasAttribute('data-prerendered');
+    var instanceReady = deferred();
+
+    function bindActions(container) {
+      var actions = window.SirsiMaster.actions;
+      if (!config.actions.length) return;
+      if (!actions) {
+        console.error('admin-header.js requires core/actions.js to handle header actions');
+        return;
       }
+      actions.bind(container, config.actions, 'admin-header');
     }
-    
-    return breadcrumbItems.join('');
-  }
 
-  function injectHeader(root, base, config) {
-    var xhr = new XMLHttpRequest();
-    // Determine the correct path based on current page location
-    var path = window.location.pathname;
-    var headerPath;
-    
-    // Check if we're in development subfolder
-    if (path.includes('/assiduousflip/admin/development/backups/')) {
-      headerPath = '../../../components/admin-header.html';
-    } else if (path.includes('/admin/development/backups/')) {
-      headerPath = '../../../components/admin-header.html';
-    } else if (path.includes('/assiduousflip/admin/development/') || path.includes('/assiduousflip/admin/contracts/')) {
-      headerPath = '../../components/admin-header.html';
-    } else if (path.includes('/admin/development/') || path.includes('/admin/contracts/')) {
-      headerPath = '../../components/admin-header.html';
-    } else if (path.includes('/assiduousflip/admin/')) {
-      headerPath = '../components/admin-header.html';
-    } else if (path.includes('/admin/') || path.includes('/client/') || path.includes('/docs/')) {
-      headerPath = '../components/admin-header.html';
-    } else if (path.includes('/assiduousflip/')) {
-      headerPath = 'components/admin-header.html';
-    } else {
-      // Root level
-      headerPath = 'components/admin-header.html';
+    // The user menu (navigation/menu.js) and the optional widgets: navigation/search.js,
+    // navigation/notifications.js and core/theme.js (attached after the menu, which makes
+    // its options radio items)
+    function attachWidgets(header) {
+      var menu = window.SirsiMaster.menu;
+      var search = window.SirsiMaster.search;
+      var notifications = window.SirsiMaster.notifications;
+      var theme = window.SirsiMaster.theme;
+      var userMenu = header.querySelector('[data-menu]');
+      var input = header.querySelector('[data-search-input]');
+      var bell = header.querySelector('[data-notifications]');
+      var switcher = header.querySelector('[data-theme-switcher]');
+      if (menu && userMenu) cleanups.push(menu.attach(userMenu, { items: config.userMenu, component: 'admin-header' }));
+      else if (userMenu) console.error('admin-header.js requires navigation/menu.js to open the user menu');
+      if (search && input) cleanups.push(search.attach(input, { component: 'admin-header' }));
+      if (notifications && bell) cleanups.push(notifications.attach(bell, { component: 'admin-header' }));
+      if (theme && switcher) cleanups.push(theme.attach(switcher));
     }
-    
-    console.log('Loading header from:', headerPath);
-    
-    xhr.open('GET', headerPath);
-    xhr.onreadystatechange = function () {
-      if (xhr.readyState === 4) {
-        if (xhr.status >= 200 && xhr.status < 300) {
-          var html = xhr.responseText.replace(/\[\[BASE\]\]/g, base);
-          root.outerHTML = '<header class="admin-header" data-base="' + base + '">' + html + '</header>';
-          
-          // Configure the header after injection
-          setTimeout(function() {
-            configureHeader(config);
-          }, 0);
-        } else {
-          console.error('Failed to load admin header template:', xhr.status, xhr.statusText);
-        }
-      }
-    };
-    xhr.send();
-  }
 
-  function configureHeader(config) {
-    // Add back button if we're in a subdirectory
-    var path = window.location.pathname;
-    var pathParts = path.split('/').filter(function(p) { return p; });
-    
-    // Set page title and subtitle
-    var titleEl = document.querySelector('[data-header-title]');
-    var subtitleEl = document.querySelector('[data-header-subtitle]');
-    var searchInput = document.querySelector('[data-search-input]');
-    var actionsContainer = document.querySelector('[data-header-actions]');
-
-    // Add breadcrumb navigation for nested pages
-    if (pathParts.length > 1) {
-      var breadcrumbContainer = document.querySelector('[data-breadcrumb-container]');
-      if (breadcrumbContainer) {
-        var breadcrumb = createBreadcrumb(pathParts);
-        if (breadcrumb) {
-          breadcrumbContainer.innerHTML = breadcrumb;
-          breadcrumbContainer.style.display = 'flex';
+    function teardown() {
+      cleanups.forEach(function (cleanup) { cleanup(); });
+      cleanups = [];
+    }
+
+    function mounted(header) {
+      headerEl = header;
+      bindActions(header);
+      attachWidgets(header);
+      if (options.onRender) options.onRender(header);
+      instanceReady.resolve(header);
+    }
+
+    // Configuration from the attributes, with the update() values on top; reset lists
+    // keys whose update() values are dropped
+    function read(reset) {
+      config = window.SirsiMaster.render.parseAdminHeaderConfig(source);
+      (reset || []).forEach(function (key) { delete overrides[key]; });
+      for (var key in overrides) config[key] = overrides[key];
+    }
+
+    function applyUpdate(changes) {
+      var render = window.SirsiMaster.render;
+      var title = headerEl.querySelector('[data-header-title]');
+      var subtitle = headerEl.querySelector('[data-header-subtitle]');
+      var search = headerEl.querySelector('[data-search-input]');
+
+      if (changes.title !== undefined) {
+        config.title = overrides.title = changes.title;
+        if (title) title.textContent = changes.title;
+      }
+      if (changes.subtitle !== undefined) {
+        config.subtitle = overrides.subtitle = changes.subtitle;
+        if (subtitle) subtitle.textContent = changes.subtitle;
+      }
+      if (changes.searchPlaceholder !== undefined) {
+        config.searchPlaceholder = overrides.searchPlaceholder = changes.searchPlaceholder;
+        if (search) search.setAttribute('placeholder', changes.searchPlaceholder);
+      }
+      if (changes.actions) {
+        config.actions = overrides.actions = changes.actions;
+        var container = headerEl.querySelector('[data-header-actions]');
+        if (container) {
+          container.innerHTML = render.renderActions(config.actions, config.user);
+          bindActions(container);
         }
       }
+      return headerEl;
     }
 
-    if (titleEl && config.title) {
-      titleEl.textContent = config.title;
+    /**
+     * Change the rendered header in place. Resolves with the header element; calls made
+     * before the header is rendered are applied once it is.
+     */
+    function update(changes) {
+      return instanceReady.promise.then(function () {
+        return applyUpdate(changes || {});
+      });
     }
 
-    if (subtitleEl && config.subtitle) {
-      subtitleEl.textContent = config.subtitle;
+    /**
+     * Re-read the configuration (after its attributes changed) and render again.
+     */
+    function refresh(reset) {
+      if (destroyed || !config) return;
+      read(reset);
+      if (draw) draw();
     }
 
-    if (searchInput && config.searchPlaceholder) {
-      searchInput.placeholder = config.searchPlaceholder;
+    // Render config with template in place of root (then of the previous render); root
+    // stays the (detached) placeholder so its data-user-* attributes keep applying
+    function useTemplate(template) {
+      var render = window.SirsiMaster.render;
+      // New structure: everything is at root level
+      var base = render.resolveBase(source);
+      if (base === null) base = '';
+      var current = root;
+      draw = function () {
+        config.user = render.resolveUser(source);
+        var container = document.createElement('div');
+        container.innerHTML = render.adminHeader(template, base, config, window.location.pathname);
+        var header = container.firstElementChild;
+        teardown();
+        current.parentNode.replaceChild(header, current);
+        current = header;
+        mounted(header);
+      };
     }
 
-    // Add action buttons if provided
-    if (actionsContainer && config.actions && config.actions.length > 0) {
-      actionsContainer.innerHTML = config.actions.map(function(action) {
-        var classes = 'header-action-btn' + (action.primary ? ' primary' : '');
-        var icon = action.icon ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">' + action.icon + '</svg>' : '';
-        
-        if (action.href) {
-          return '<a href="' + action.href + '" class="' + classes + '">' + icon + action.label + '</a>';
-        } else {
-          return '<button class="' + classes + '" onclick="' + (action.onclick || '') + '">' + icon + action.label + '</button>';
+    // A new locale changes the default title, subtitle and placeholder, a session
+    // change (core/session.js) the user's name and avatar
+    function listen(fn) {
+      redraw = function () {
+        // Removed from the page without destroy(): stop following changes
+        if (!headerEl || !headerEl.isConnected) {
+          unlisten();
+          return;
+        }
+        try {
+          fn();
+        } catch (e) {
+          // The header on the page stays as it was
+          console.error('Failed to render admin header:', e.message);
         }
-      }).join('');
+      };
+      window.addEventListener('sirsiMasterAccessChange', redraw);
+      window.addEventListener('sirsiMasterLocaleChange', redraw);
+      window.addEventListener('sirsiMasterSessionChange', redraw);
     }
-  }
 
-  function parseConfig(root) {
-    var config = {
-      title: root.getAttribute('data-title') || 'Admin Portal',
-      subtitle: root.getAttribute('data-subtitle') || 'Manage your platform efficiently',
-      searchPlaceholder: root.getAttribute('data-search-placeholder') || 'Search across all modules...',
-      actions: []
-    };
+    function unlisten() {
+      if (redraw) {
+        window.removeEventListener('sirsiMasterAccessChange', redraw);
+        window.removeEventListener('sirsiMasterLocaleChange', redraw);
+        window.removeEventListener('sirsiMasterSessionChange', redraw);
+      }
+      redraw = null;
+    }
 
-    // Parse actions from data attribute
-    var actionsData = root.getAttribute('data-actions');
-    if (actionsData) {
-      try {
-        config.actions = JSON.parse(actionsData);
-      } catch (e) {
-        console.warn('Failed to parse header actions:', e);
+    function load() {
+      var SirsiMaster = window.SirsiMaster || {};
+      if (!SirsiMaster.templates || !SirsiMaster.templateEngine || !SirsiMaster.render) {
+        console.error('admin-header.js requires core/template-resolver.js, core/template-engine.js and navigation/render.js to be loaded first');
+        return;
       }
+
+      read();
+      hideSkeleton = SirsiMaster.templates.skeleton('admin-header', root);
+      SirsiMaster.templates.load('admin-header', source, { scriptSrc: scriptSrc }, function (err, template) {
+        hideSkeleton();
+        if (destroyed) return;
+        if (err) {
+          instanceReady.reject(err);
+          return;
+        }
+
+        useTemplate(template);
+        try {
+          draw();
+        } catch (e) {
+          // A TemplateError: the template names a token the header does not provide
+          console.error('Failed to render admin header:', e.message);
+          instanceReady.reject(e);
+          return;
+        }
+        listen(function () { refresh(); });
+      });
     }
 
-    return config;
+    // The prerendered markup cannot follow access, locale and session changes, so the
+    // first change loads the template and the header is rendered from it from then on
+    function hydrate() {
+      var SirsiMaster = window.SirsiMaster;
+      read();
+      mounted(root);
+      if (!SirsiMaster.templates || !SirsiMaster.templateEngine) return; // stays as prerendered
+
+      var loading = false; // changes while the template loads are picked up by its render
+      listen(function () {
+        if (draw) {
+          refresh();
+          return;
+        }
+        if (loading) return;
+        loading = true;
+        SirsiMaster.templates.load('admin-header', source, { scriptSrc: scriptSrc }, function (err, template) {
+          loading = false;
+          if (destroyed) return;
+          if (err) {
+            console.error('Failed to load admin header template:', err);
+            return;
+          }
+          if (!draw) useTemplate(template);
+          try {
+            refresh();
+          } catch (e) {
+            console.error('Failed to render admin header:', e.message);
+          }
+        });
+      });
+    }
+
+    /**
+     * Remove the header and its listeners; the node it replaced is put back.
+     */
+    function destroy() {
+      destroyed = true;
+      hideSkeleton();
+      teardown();
+      unlisten();
+
+      if (headerEl && headerEl.parentNode) {
+        if (prerendered) headerEl.parentNode.removeChild(headerEl);
+        else headerEl.parentNode.replaceChild(root, headerEl);
+      }
+      headerEl = null;
+    }
+
+    // Prerendered by development-tools/scripts/prerender.js: attach behaviour to it
+    // (the prerender CLI copies the placeholder's data-* attributes onto the header)
+    if (prerendered) {
+      if (!window.SirsiMaster || !window.SirsiMaster.render) {
+        console.error('admin-header.js requires navigation/render.js to be loaded first');
+      } else {
+        hydrate();
+      }
+    } else {
+      load();
+    }
+
+    return {
+      update: update,
+      refresh: refresh,
+      ready: function () { return instanceReady.promise; },
+      element: function () { return headerEl; },
+      destroy: destroy
+    };
+  }
+
+  // ---- #admin-header-root ----
+
+  /**
+   * Change the page's header in place (see create().update).
+   */
+  function update(changes) {
+    return readyState.promise.then(function (header) {
+      if (!header) throw new Error('No admin header on this page');
+      return page.update(changes);
+    });
   }
 
   function onReady(fn) {
@@ -198,14 +345,43 @@
     }
   }
 
-  onReady(function () {
-    var root = document.getElementById('admin-header-root');
-    if (!root) return; // no-op if page doesn't include the placeholder
+  function init() {
+    var root = document.querySelector('header.admin-header[data-prerendered]:not(.universal-header)') ||
+      document.getElementById('admin-header-root');
+    if (!root) {
+      readyState.resolve(null); // no-op if page doesn't include the placeholder
+      return;
+    }
+
+    window.SirsiMaster.header = api;
+    page = create(root);
+    page.ready().then(readyState.resolve, readyState.reject);
+  }
+
+  /**
+   * Remove the header and its listeners; the placeholder is put back so init() can
+   * render it again.
+   */
+  function destroy() {
+    if (page) page.destroy();
+    page = null;
+    readyState = deferred();
+  }
+
+  var api = {
+    update: update,
+    ready: function () { return readyState.promise; },
+    init: init,
+    destroy: destroy,
+    create: create
+  };
+
+  window.SirsiMaster = window.SirsiMaster || {};
+  window.SirsiMaster.adminHeader = api;
+  // SirsiMaster.header is whichever header the page renders (see init)
+  if (!window.SirsiMaster.header) window.SirsiMaster.header = api;
 
-    var base = resolveBase(root);
-    var config = parseConfig(root);
-    injectHeader(root, base, config);
-  });
+  onReady(init);
 
   // Utility functions for common header actions
   window.HeaderActions = {
@@ -227,4 +403,12 @@
       // Implement specific action logic based on type
     }
   };
+
+  // Legacy "onclick": "HeaderActions.exportData()" actions resolve to these names
+  var registry = window.SirsiMaster && window.SirsiMaster.actions;
+  if (registry) {
+    ['addProperty', 'exportData'].forEach(function (name) {
+      if (!registry.has(name)) registry.register(name, window.HeaderActions[name]);
+    });
+  }
 })();
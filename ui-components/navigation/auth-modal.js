@@ -0,0 +1,509 @@
+/**
+ * Auth Modal
+ *
+ * How it works:
+ * - A dialog with sign-in, sign-up and password-reset forms, built from the sm-form-*,
+ *   sm-btn and sm-alert styles of dist/sirsimaster-ui.css (frame: auth-modal.css)
+ * - The forms call an auth adapter set with SirsiMaster.authModal.use(adapter):
+ *     { signIn({ email, password }), signUp({ name, email, password }), resetPassword({ email }) }
+ *   each returning a promise; signIn and signUp resolve with the user
+ *   ({ name, email, avatarUrl, roles }). A rejection shows its message, next to the
+ *   field named by error.field ('name', 'email', 'password') or above the form
+ * - adapters.mock() is an in-memory adapter for local testing; window.SirsiMasterConfig.auth
+ *   = { adapter: 'mock' } turns it on without code
+ * - Fields are checked before the adapter is called (required, email format, password
+ *   length); invalid fields get aria-invalid and an error message, and are checked
+ *   again as the user types
+ * - A successful sign-in or sign-up signs the user in through core/session.js, so the
+ *   headers switch to the signed-in state, and dispatches 'sirsiMasterAuth' on window
+ *   ({ mode, user, component })
+ * - The header loaders attach the public header's [data-brand-auth] buttons: links marked
+ *   data-auth="sign-in" / "sign-up" open the modal instead of navigating. Without an
+ *   adapter they stay plain links
+ * - The dialog keeps focus inside while open; Escape, the close button or a click on the
+ *   backdrop close it and focus returns to what opened it
+ *
+ * Usage:
+ *   SirsiMaster.authModal.use({
+ *     signIn: function (form) { return api.post('/login', form); },
+ *     signUp: function (form) { return api.post('/users', form); },
+ *     resetPassword: function (form) { return api.post('/password-resets', form); }
+ *   });
+ *   SirsiMaster.authModal.open('sign-in').then(function (user) {});   // null when dismissed
+ */
+(function (root, factory) {
+  var authModal = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = authModal;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.authModal = authModal;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  var FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  // Fields, submit label and links per form
+  var MODES = {
+    'sign-in': {
+      title: 'auth.signInTitle',
+      submit: 'auth.signInSubmit',
+      fields: ['email', 'password'],
+      links: [['reset', 'auth.forgotPassword'], ['sign-up', 'auth.toSignUp']]
+    },
+    'sign-up': {
+      title: 'auth.signUpTitle',
+      submit: 'auth.signUpSubmit',
+      fields: ['name', 'email', 'newPassword'],
+      links: [['sign-in', 'auth.toSignIn']]
+    },
+    'reset': {
+      title: 'auth.resetTitle',
+      submit: 'auth.resetSubmit',
+      intro: 'auth.resetIntro',
+      fields: ['email'],
+      links: [['sign-in', 'auth.backToSignIn']]
+    }
+  };
+
+  var FIELDS = {
+    name: { name: 'name', label: 'auth.name', type: 'text', autocomplete: 'name' },
+    email: { name: 'email', label: 'auth.email', type: 'email', autocomplete: 'email' },
+    password: { name: 'password', label: 'auth.password', type: 'password', autocomplete: 'current-password' },
+    newPassword: { name: 'password', label: 'auth.password', type: 'password', autocomplete: 'new-password', help: 'auth.passwordHelp' }
+  };
+
+  var adapter = null;
+  var modal = null; // { backdrop, dialog, title, alert, body } once built
+  var state = null; // { mode, component, opener, resolve, checked, busy } while open
+
+  var missingI18n = false;
+
+  function t(key, params) {
+    var i18n = window.SirsiMaster && window.SirsiMaster.i18n;
+    if (i18n) return i18n.t(key, params);
+    if (!missingI18n) console.error('auth-modal.js requires core/i18n.js to be loaded first');
+    missingI18n = true;
+    return key;
+  }
+
+  function minPasswordLength() {
+    var config = (window.SirsiMasterConfig && window.SirsiMasterConfig.auth) || {};
+    return config.minPasswordLength || 8;
+  }
+
+  function element(tag, className, text) {
+    var el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  /**
+   * Set the auth adapter ({ signIn, signUp, resetPassword }); null removes it.
+   */
+  function use(next) {
+    if (next && (typeof next.signIn !== 'function' || typeof next.signUp !== 'function' || typeof next.resetPassword !== 'function')) {
+      throw new TypeError('An auth adapter needs signIn(), signUp() and resetPassword()');
+    }
+    adapter = next || null;
+  }
+
+  /**
+   * Whether an auth adapter is set, i.e. whether open() can show the forms.
+   */
+  function hasAdapter() {
+    return !!adapter;
+  }
+
+  // ---- Dialog ----
+
+  function build() {
+    var backdrop = element('div', 'auth-modal-backdrop');
+    backdrop.hidden = true;
+    var dialog = element('div', 'auth-modal');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'sm-auth-title');
+
+    var close = element('button', 'auth-modal-close', '×');
+    close.setAttribute('type', 'button');
+    close.addEventListener('click', function () { finish(null); });
+    var title = element('h2', 'auth-modal-title');
+    title.id = 'sm-auth-title';
+    var alert = element('div', 'sm-alert');
+    alert.setAttribute('role', 'alert');
+    alert.hidden = true;
+    var body = element('div', 'auth-modal-body');
+
+    dialog.appendChild(close);
+    dialog.appendChild(title);
+    dialog.appendChild(alert);
+    dialog.appendChild(body);
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+
+    backdrop.addEventListener('mousedown', function (event) {
+      if (event.target === backdrop) finish(null);
+    });
+    dialog.addEventListener('keydown', onKeydown);
+    return { backdrop: backdrop, dialog: dialog, close: close, title: title, alert: alert, body: body };
+  }
+
+  // Escape closes; Tab and Shift+Tab wrap around inside the dialog
+  function onKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      finish(null);
+      return;
+    }
+    if (event.key !== 'Tab') return;
+    var focusable = Array.prototype.filter.call(modal.dialog.querySelectorAll(FOCUSABLE), function (el) {
+      return !el.closest('[hidden]');
+    });
+    if (!focusable.length) return;
+    var first = focusable[0];
+    var last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  function showAlert(message, kind) {
+    modal.alert.className = 'sm-alert sm-alert-' + kind;
+    modal.alert.textContent = message;
+    modal.alert.hidden = !message;
+  }
+
+  function renderField(spec) {
+    var id = 'sm-auth-' + spec.name;
+    var group = element('div', 'sm-form-group');
+    var label = element('label', 'sm-form-label', t(spec.label));
+    label.setAttribute('for', id);
+    var input = element('input', 'sm-form-input');
+    input.id = id;
+    input.name = spec.name;
+    input.type = spec.type;
+    input.required = true;
+    input.setAttribute('autocomplete', spec.autocomplete);
+    group.appendChild(label);
+    group.appendChild(input);
+
+    var described = [];
+    if (spec.help) {
+      var help = element('p', 'sm-form-help', t(spec.help, { count: minPasswordLength() }));
+      help.id = id + '-help';
+      described.push(help.id);
+      group.appendChild(help);
+    }
+    var error = element('p', 'sm-form-error');
+    error.id = id + '-error';
+    error.hidden = true;
+    group.appendChild(error);
+    if (described.length) input.setAttribute('aria-describedby', described.join(' '));
+
+    input.addEventListener('input', function () {
+      if (state && state.checked) check(input);
+    });
+    return group;
+  }
+
+  // Draw the form for mode
+  function render(mode) {
+    var spec = MODES[mode];
+    state.mode = mode;
+    state.checked = false;
+    modal.title.textContent = t(spec.title);
+    modal.close.setAttribute('aria-label', t('auth.close'));
+    showAlert('', 'danger');
+    modal.body.innerHTML = '';
+
+    if (spec.intro) modal.body.appendChild(element('p', 'auth-modal-intro', t(spec.intro)));
+    var form = element('form', 'auth-modal-form');
+    form.noValidate = true;
+    spec.fields.forEach(function (name) { form.appendChild(renderField(FIELDS[name])); });
+    var submit = element('button', 'sm-btn sm-btn-primary auth-modal-submit', t(spec.submit));
+    submit.setAttribute('type', 'submit');
+    form.appendChild(submit);
+    form.addEventListener('submit', onSubmit);
+    modal.body.appendChild(form);
+
+    var links = element('p', 'auth-modal-links');
+    spec.links.forEach(function (link) {
+      var button = element('button', 'auth-modal-link', t(link[1]));
+      button.setAttribute('type', 'button');
+      button.addEventListener('click', function () {
+        render(link[0]);
+        focusFirst();
+      });
+      links.appendChild(button);
+    });
+    modal.body.appendChild(links);
+  }
+
+  function focusFirst() {
+    var input = modal.body.querySelector('input');
+    if (input) input.focus();
+  }
+
+  // ---- Validation ----
+
+  function setError(input, message) {
+    var error = document.getElementById(input.id + '-error');
+    var described = (input.getAttribute('aria-describedby') || '').split(' ').filter(function (id) {
+      return id && id !== error.id;
+    });
+    if (message) described.push(error.id);
+    error.textContent = message || '';
+    error.hidden = !message;
+    input.classList.toggle('is-invalid', !!message);
+    if (message) input.setAttribute('aria-invalid', 'true');
+    else input.removeAttribute('aria-invalid');
+    if (described.length) input.setAttribute('aria-describedby', described.join(' '));
+    else input.removeAttribute('aria-describedby');
+  }
+
+  // Error message for the input's value, or ''
+  function problem(input) {
+    var value = input.name === 'password' ? input.value : input.value.trim();
+    if (!value) return t('auth.error.' + input.name + 'Required');
+    if (input.name === 'email' && !EMAIL_PATTERN.test(value)) return t('auth.error.emailInvalid');
+    if (input.getAttribute('autocomplete') === 'new-password' && value.length < minPasswordLength()) {
+      return t('auth.error.passwordShort', { count: minPasswordLength() });
+    }
+    return '';
+  }
+
+  function check(input) {
+    var message = problem(input);
+    setError(input, message);
+    return !message;
+  }
+
+  // ---- Submitting ----
+
+  function setBusy(form, busy) {
+    state.busy = busy;
+    var submit = form.querySelector('[type="submit"]');
+    submit.disabled = busy;
+    submit.textContent = busy ? t('auth.working') : t(MODES[state.mode].submit);
+    form.setAttribute('aria-busy', String(busy));
+  }
+
+  function onSubmit(event) {
+    event.preventDefault();
+    var form = event.currentTarget;
+    if (state.busy) return;
+    state.checked = true;
+    showAlert('', 'danger');
+
+    var inputs = Array.prototype.slice.call(form.querySelectorAll('input'));
+    var invalid = inputs.filter(function (input) { return !check(input); });
+    if (invalid.length) {
+      invalid[0].focus();
+      return;
+    }
+
+    var values = {};
+    inputs.forEach(function (input) {
+      values[input.name] = input.name === 'password' ? input.value : input.value.trim();
+    });
+    var mode = state.mode;
+    var call = mode === 'sign-in' ? 'signIn' : mode === 'sign-up' ? 'signUp' : 'resetPassword';
+
+    setBusy(form, true);
+    Promise.resolve()
+      .then(function () { return adapter[call](values); })
+      .then(function (user) {
+        if (!state || state.mode !== mode) return; // closed or switched meanwhile
+        setBusy(form, false);
+        if (mode === 'reset') {
+          showAlert(t('auth.resetSent', { email: values.email }), 'success');
+          return;
+        }
+        signedIn(mode, user || { email: values.email, name: values.name });
+      }, function (err) {
+        if (!state || state.mode !== mode) return;
+        setBusy(form, false);
+        var message = (err && err.message) || t('auth.error.failed');
+        var input = err && err.field && form.querySelector('[name="' + err.field + '"]');
+        if (input) {
+          setError(input, message);
+          input.focus();
+        } else {
+          showAlert(message, 'danger');
+        }
+      });
+  }
+
+  function signedIn(mode, user) {
+    var session = window.SirsiMaster && window.SirsiMaster.session;
+    var component = state.component;
+    if (session) session.set(user);
+    else console.error('auth-modal.js requires core/session.js to show the signed-in user');
+    finish(session ? session.user() : user);
+    window.dispatchEvent(new CustomEvent('sirsiMasterAuth', {
+      detail: { mode: mode, user: session ? session.user() : user, component: component }
+    }));
+  }
+
+  // ---- Opening and closing ----
+
+  /**
+   * Open the dialog on mode ('sign-in', 'sign-up' or 'reset'). Resolves with the user
+   * once signed in, or null when the dialog is closed first. options.component names the
+   * header in the sirsiMasterAuth event.
+   */
+  function open(mode, options) {
+    if (!MODES[mode]) throw new RangeError('Unknown auth modal mode: ' + mode);
+    if (!adapter) {
+      console.error('auth-modal.js needs an auth adapter: SirsiMaster.authModal.use(adapter)');
+      return Promise.resolve(null);
+    }
+    if (!modal) modal = build();
+
+    var previous = state;
+    return new Promise(function (resolve) {
+      state = {
+        component: (options && options.component) || (previous && previous.component) || null,
+        opener: previous ? previous.opener : document.activeElement,
+        resolve: resolve,
+        overflow: previous ? previous.overflow : document.body.style.overflow
+      };
+      if (previous) previous.resolve(null); // reopened on another form
+      render(mode);
+      modal.backdrop.hidden = false;
+      document.body.style.overflow = 'hidden';
+      focusFirst();
+    });
+  }
+
+  function finish(user) {
+    if (!state) return;
+    var done = state;
+    state = null;
+    modal.backdrop.hidden = true;
+    modal.body.innerHTML = '';
+    document.body.style.overflow = done.overflow;
+    if (done.opener && typeof done.opener.focus === 'function' && document.contains(done.opener)) done.opener.focus();
+    done.resolve(user);
+  }
+
+  /**
+   * Close the dialog without signing in.
+   */
+  function close() {
+    finish(null);
+  }
+
+  function isOpen() {
+    return !!state;
+  }
+
+  /**
+   * Make the data-auth="sign-in" / "sign-up" links in container open the dialog (when
+   * an adapter is set). component names the header in events. Returns a function that
+   * detaches it.
+   */
+  function attach(container, attachOptions) {
+    if (!container) return function () {};
+    var component = (attachOptions && attachOptions.component) || null;
+
+    function onClick(event) {
+      var link = event.target.closest && event.target.closest('[data-auth]');
+      var mode = link && link.getAttribute('data-auth');
+      if (!link || !container.contains(link) || !MODES[mode] || !adapter) return;
+      event.preventDefault();
+      open(mode, { component: component });
+    }
+
+    container.addEventListener('click', onClick);
+    return function detach() {
+      container.removeEventListener('click', onClick);
+    };
+  }
+
+  // ---- Mock adapter ----
+
+  function authError(key, field) {
+    var err = new Error(t(key));
+    err.field = field || null;
+    return err;
+  }
+
+  /**
+   * In-memory accounts for local testing. options.users: [{ name, email, password }]
+   * (default demo@example.com / password123); options.delay: milliseconds per call
+   * (default 400), so busy states show.
+   */
+  function mock(options) {
+    options = options || {};
+    var delay = options.delay !== undefined ? options.delay : 400;
+    var accounts = (options.users || [{ name: 'Demo User', email: 'demo@example.com', password: 'password123' }])
+      .map(function (user) {
+        return { name: user.name, email: String(user.email).toLowerCase(), password: user.password, avatarUrl: user.avatarUrl, roles: user.roles };
+      });
+
+    function later(fn) {
+      return new Promise(function (resolve, reject) {
+        setTimeout(function () {
+          try {
+            resolve(fn());
+          } catch (err) {
+            reject(err);
+          }
+        }, delay);
+      });
+    }
+
+    function find(email) {
+      email = String(email).toLowerCase();
+      return accounts.filter(function (account) { return account.email === email; })[0] || null;
+    }
+
+    function publicUser(account) {
+      return { name: account.name, email: account.email, avatarUrl: account.avatarUrl, roles: account.roles };
+    }
+
+    return {
+      signIn: function (form) {
+        return later(function () {
+          var account = find(form.email);
+          if (!account || account.password !== form.password) throw authError('auth.error.invalidCredentials', 'password');
+          return publicUser(account);
+        });
+      },
+      signUp: function (form) {
+        return later(function () {
+          if (find(form.email)) throw authError('auth.error.emailTaken', 'email');
+          var account = { name: form.name, email: String(form.email).toLowerCase(), password: form.password };
+          accounts.push(account);
+          return publicUser(account);
+        });
+      },
+      // Succeeds for unknown addresses too, as real services do, so accounts cannot be probed
+      resetPassword: function () {
+        return later(function () { return null; });
+      }
+    };
+  }
+
+  var configured = window && window.document && window.SirsiMasterConfig && window.SirsiMasterConfig.auth;
+  if (configured && configured.adapter === 'mock') use(mock(configured));
+
+  return {
+    use: use,
+    hasAdapter: hasAdapter,
+    open: open,
+    close: close,
+    isOpen: isOpen,
+    attach: attach,
+    adapters: {
+      mock: mock
+    }
+  };
+});
@@ -0,0 +1,241 @@
+/**
+ * Breadcrumb Engine
+ *
+ * How it works:
+ * - A trail is a list of crumbs { label, href, current }; the last one is the current page
+ * - By default the trail is built from the URL: Home, then one crumb per path segment,
+ *   labelled from the route map or by title-casing the segment
+ *   ("payment-structure.html" → "Payment Structure"); index.html folds into its directory
+ * - Route map, keyed by path (directories with a trailing slash):
+ *     '/admin/': 'Admin Portal'                                  label
+ *     '/admin/development/': { label: 'Development', href: null }  no index page: plain text
+ *     '/admin/contracts/': { skip: true }                          left out of the trail
+ * - Segments missing from the map follow `missing`: 'link' (default, links to /segment/),
+ *   'text' or 'skip'
+ * - A page can state its trail instead: data-breadcrumbs='[{"label":"Home","href":"/"},{"label":"Q3 Report"}]'
+ *   (data-breadcrumbs="false" turns breadcrumbs off)
+ * - Output includes schema.org BreadcrumbList JSON-LD for search engines
+ * - Crumb links pass core/template-engine.js safeUrl(); a crumb whose href is not
+ *   http(s), mailto, relative, '/' or '#' is shown as text and left out of the JSON-LD
+ * - The "Home" and "Back" labels come from core/i18n.js; in right-to-left pages the back
+ *   chevron points right (admin-header.html styles)
+ *
+ * Options come from window.SirsiMasterConfig.breadcrumbs in the browser or
+ * configure() in Node (the prerender CLI):
+ *   { routes, missing, home: { label, href } | false, back: true, origin }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(root, function () { return require('../core/i18n'); },
+      function () { return require('../core/template-engine'); });
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.breadcrumbs = factory(root, function () { return root.SirsiMaster.i18n; },
+      function () { return root.SirsiMaster.templateEngine; });
+  }
+})(typeof window !== 'undefined' ? window : this, function (window, i18n, engine) {
+  var BACK_ICON = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"></polyline></svg>';
+
+  var configured = {};
+  var missingI18n = false;
+  var missingEngine = false;
+
+  function t(key) {
+    if (i18n()) return i18n().t(key);
+    if (!missingI18n) console.error('breadcrumbs.js requires core/i18n.js to be loaded first');
+    missingI18n = true;
+    return key;
+  }
+
+  // Crumb links pass the template engine's check (http(s), mailto, relative, '/', '#');
+  // any other href gives null and the crumb is shown as plain text
+  function safeHref(crumb) {
+    if (!crumb.href) return null;
+    if (engine()) return engine().safeUrl(crumb.href, null);
+    if (!missingEngine) console.error('breadcrumbs.js requires core/template-engine.js to be loaded first');
+    missingEngine = true;
+    return null;
+  }
+
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function extend(target) {
+    for (var i = 1; i < arguments.length; i++) {
+      var source = arguments[i] || {};
+      for (var key in source) {
+        if (Object.prototype.hasOwnProperty.call(source, key)) target[key] = source[key];
+      }
+    }
+    return target;
+  }
+
+  function configure(options) {
+    configured = options || {};
+  }
+
+  function defaults() {
+    var config = window && window.SirsiMasterConfig && window.SirsiMasterConfig.breadcrumbs;
+    var origin = window && window.location ? window.location.origin : undefined;
+    return extend({ origin: origin }, configured, config);
+  }
+
+  // 'payment-structure.html' → 'Payment Structure'
+  function humanize(segment) {
+    try {
+      segment = decodeURIComponent(segment);
+    } catch (e) {
+      // Malformed escape sequence: label with the raw segment
+    }
+    return segment
+      .replace(/\.html?$/, '')
+      .replace(/[-_]+/g, ' ')
+      .replace(/(^|\s)\S/g, function (letter) { return letter.toUpperCase(); });
+  }
+
+  // Route keys may be written with or without the trailing slash
+  function lookup(routes, path) {
+    if (!routes) return undefined;
+    var bare = path.replace(/\/$/, '');
+    var keys = [path, bare, bare + '/'];
+    for (var i = 0; i < keys.length; i++) {
+      if (Object.prototype.hasOwnProperty.call(routes, keys[i])) {
+        var route = routes[keys[i]];
+        return typeof route === 'string' ? { label: route } : route;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Trail from the URL path, or null for top-level pages (no trail needed).
+   */
+  function fromPath(pathname, options) {
+    var parts = pathname.split('/').filter(function (part) { return part; });
+    if (/^index\.html?$/.test(parts[parts.length - 1] || '')) parts.pop();
+    if (parts.length <= 1) return null;
+
+    var missing = options.missing || 'link';
+    var home = options.home === undefined ? { label: t('breadcrumbs.home'), href: '/' } : options.home;
+    var items = home ? [{ label: home.label, href: home.href, current: false }] : [];
+    var path = '';
+
+    parts.forEach(function (part, i) {
+      var current = i === parts.length - 1;
+      path += '/' + part;
+
+      var route = lookup(options.routes, current ? path : path + '/');
+      var href = current ? pathname : path + '/';
+      if (!current) {
+        if (route && route.skip) return;
+        if (route && route.href !== undefined) {
+          href = route.href;
+        } else if (!route && missing === 'skip') {
+          return;
+        } else if (!route && missing === 'text') {
+          href = null;
+        }
+      }
+
+      items.push({ label: (route && route.label) || humanize(part), href: href, current: current });
+    });
+
+    return items;
+  }
+
+  // Trail given by the page: the last crumb is the current page
+  function fromList(list, pathname) {
+    return list.map(function (crumb, i) {
+      var current = i === list.length - 1;
+      return { label: String(crumb.label), href: crumb.href || (current ? pathname : null), current: current };
+    });
+  }
+
+  /**
+   * Resolve the trail for a page. pageOptions.items (from data-breadcrumbs) wins over the URL.
+   */
+  function trail(pathname, pageOptions) {
+    var options = extend(defaults(), pageOptions);
+    if (options.items === false) return null;
+    if (Array.isArray(options.items) && options.items.length) return fromList(options.items, pathname);
+    return fromPath(pathname, options);
+  }
+
+  /**
+   * Breadcrumb markup: optional back link, then crumbs separated by '/'.
+   */
+  function render(items, options) {
+    options = extend(defaults(), options);
+    var html = '';
+
+    // Deep pages (Home + two or more levels) get a link back to the nearest parent page
+    if (options.back !== false && items.length > 3) {
+      for (var i = items.length - 2; i >= 0; i--) {
+        var back = safeHref(items[i]);
+        if (back) {
+          html += '<a href="' + escapeHtml(back) + '" class="breadcrumb-back">' + BACK_ICON + escapeHtml(t('breadcrumbs.back')) + '</a>';
+          break;
+        }
+      }
+    }
+
+    html += items.map(function (crumb) {
+      if (crumb.current) {
+        return '<span class="breadcrumb-current" aria-current="page">' + escapeHtml(crumb.label) + '</span>';
+      }
+      var href = safeHref(crumb);
+      if (!href) {
+        return '<span class="breadcrumb-text">' + escapeHtml(crumb.label) + '</span>';
+      }
+      return '<a href="' + escapeHtml(href) + '">' + escapeHtml(crumb.label) + '</a>';
+    }).join('<span class="breadcrumb-separator">/</span>');
+
+    return html;
+  }
+
+  /**
+   * schema.org BreadcrumbList as a JSON-LD script. Crumbs without a (safe) page are left out.
+   */
+  function jsonLd(items, origin) {
+    var base = (origin || '').replace(/\/$/, '');
+    var list = items.map(function (crumb) {
+      return { label: crumb.label, href: safeHref(crumb) };
+    }).filter(function (crumb) { return crumb.href; }).map(function (crumb, i) {
+      return {
+        '@type': 'ListItem',
+        position: i + 1,
+        name: crumb.label,
+        item: base && crumb.href.charAt(0) === '/' ? base + crumb.href : crumb.href
+      };
+    });
+
+    var data = { '@context': 'https://schema.org', '@type': 'BreadcrumbList', itemListElement: list };
+    // '<' escaped so a label can never close the script element
+    return '<script type="application/ld+json">' + JSON.stringify(data).replace(/</g, '\\u003c') + '</script>';
+  }
+
+  /**
+   * Complete breadcrumb HTML (markup + JSON-LD) for a page, or null when there is no trail.
+   */
+  function build(pathname, pageOptions) {
+    var options = extend(defaults(), pageOptions);
+    var items = trail(pathname, pageOptions);
+    if (!items) return null;
+    return render(items, options) + jsonLd(items, options.origin);
+  }
+
+  return {
+    configure: configure,
+    humanize: humanize,
+    trail: trail,
+    render: render,
+    jsonLd: jsonLd,
+    build: build
+  };
+});
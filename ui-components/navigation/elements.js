@@ -0,0 +1,223 @@
+/**
+ * Navigation Custom Elements
+ *
+ * How it works:
+ * - <sm-admin-header>, <sm-sidebar> and <sm-universal-header> render the same templates
+ *   as the #admin-header-root, #sidebar-root and #universal-header-root placeholders,
+ *   through SirsiMaster.adminHeader.create(), SirsiMaster.sidebar.create() and
+ *   SirsiMaster.universalHeader.create(); any number of them can be on a page
+ * - Configuration is the placeholder's data-* attributes; title, subtitle, active, type and
+ *   actions can also be written without the data- prefix and are observed:
+ *     <sm-admin-header title="Orders" actions='[{"label":"Export","action":"export"}]'></sm-admin-header>
+ *     <sm-sidebar active="orders"></sm-sidebar>
+ *     <sm-universal-header type="client" subtitle="Portal"></sm-universal-header>
+ *   Changing title, subtitle, type or actions re-renders the header (dropping values set
+ *   with update() for that attribute); changing active moves the sidebar's active item
+ * - Children with slot="actions" are shown in the header's action area, after the
+ *   configured actions
+ * - The boolean shadow attribute renders into a shadow root so page styles cannot leak in;
+ *   the stylesheets attribute (space-separated URLs) lists the CSS linked inside it.
+ *   Design tokens are custom properties and inherit into the shadow root.
+ *   Defaults for every element: window.SirsiMasterConfig.elements = { shadow, stylesheets }
+ * - Elements have the runtime API of their loader: update() and ready() on the headers;
+ *   toggle(), open(), close(), setActive(), setBadge() and ready() on the sidebar
+ *
+ * Load after the loaders:
+ *   <script src="[[BASE]]/components/admin-header.js"></script>
+ *   <script src="[[BASE]]/components/sidebar.js"></script>
+ *   <script src="[[BASE]]/components/universal-header.js"></script>
+ *   <script src="[[BASE]]/components/elements.js"></script>
+ */
+
+(function () {
+  if (!window.customElements) return; // browsers without custom elements keep the ID placeholders
+
+  const OBSERVED = ['title', 'subtitle', 'active', 'type', 'actions'];
+
+  function settings() {
+    return (window.SirsiMasterConfig && window.SirsiMasterConfig.elements) || {};
+  }
+
+  // The loaders read data-* attributes; an observed attribute without the prefix wins
+  function attributeSource(host) {
+    return {
+      getAttribute(name) {
+        const plain = name.replace(/^data-/, '');
+        if (plain !== name && OBSERVED.indexOf(plain) !== -1 && host.hasAttribute(plain)) {
+          return host.getAttribute(plain);
+        }
+        return host.getAttribute(name);
+      },
+      hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+      }
+    };
+  }
+
+  class NavigationElement extends HTMLElement {
+    static get observedAttributes() {
+      return OBSERVED;
+    }
+
+    // Subclasses: the SirsiMaster API whose create() renders this element, and the
+    // element that shows slot="actions" children in a render
+    loader() {
+      return null;
+    }
+
+    actionsContainer() {
+      return null;
+    }
+
+    get useShadow() {
+      return this.hasAttribute('shadow') || !!settings().shadow;
+    }
+
+    connectedCallback() {
+      if (this.instance) return;
+      const loader = this.loader();
+      if (!loader) {
+        console.error(`${this.localName} requires its loader script to be loaded before navigation/elements.js`);
+        return;
+      }
+
+      // Slotted actions are moved into each render (light DOM) or projected (shadow DOM)
+      this.slotted = Array.prototype.filter.call(this.children, child => child.getAttribute('slot') === 'actions');
+      this.container = this.useShadow ? (this.shadowRoot || this.createShadow()) : this;
+      this.anchor = document.createElement('div');
+      this.container.appendChild(this.anchor);
+
+      this.instance = loader.create(this.anchor, {
+        source: attributeSource(this),
+        onRender: rendered => this.rendered(rendered)
+      });
+    }
+
+    disconnectedCallback() {
+      if (!this.instance) return;
+      this.instance.destroy();
+      this.instance = null;
+      if (this.anchor.parentNode) this.anchor.parentNode.removeChild(this.anchor);
+      this.anchor = null;
+      // Give light-DOM actions back so a re-connected element finds them again
+      this.slotted.forEach(child => {
+        if (child.parentNode !== this) this.appendChild(child);
+      });
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (!this.instance || oldValue === value) return;
+      this.changed(name, value);
+    }
+
+    changed(name) {
+      if (this.instance.refresh) this.instance.refresh([name]);
+    }
+
+    createShadow() {
+      const shadow = this.attachShadow({ mode: 'open' });
+      const style = document.createElement('style');
+      style.textContent = ':host { display: contents; }';
+      shadow.appendChild(style);
+
+      const list = this.getAttribute('stylesheets') || settings().stylesheets || [];
+      (Array.isArray(list) ? list : list.split(/\s+/)).filter(Boolean).forEach(href => {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = href;
+        shadow.appendChild(link);
+      });
+      return shadow;
+    }
+
+    rendered(element) {
+      // The host's title attribute would otherwise be a tooltip over the whole header
+      if (this.hasAttribute('title')) element.setAttribute('title', '');
+
+      const target = this.actionsContainer(element);
+      if (!target || !this.slotted.length) return;
+      if (this.container === this) {
+        this.slotted.forEach(child => target.appendChild(child));
+      } else {
+        const slot = document.createElement('slot');
+        slot.name = 'actions';
+        target.appendChild(slot);
+      }
+    }
+
+    ready() {
+      return this.instance ? this.instance.ready() : Promise.reject(new Error(`${this.localName} is not connected`));
+    }
+
+    // New actions replace the action area, slotted ones included
+    update(changes) {
+      return this.ready()
+        .then(() => this.instance.update(changes))
+        .then(header => {
+          if (changes && changes.actions && header) this.rendered(header);
+          return header;
+        });
+    }
+  }
+
+  class SmAdminHeader extends NavigationElement {
+    loader() {
+      return window.SirsiMaster && window.SirsiMaster.adminHeader;
+    }
+
+    actionsContainer(header) {
+      return header.querySelector('[data-header-actions]');
+    }
+  }
+
+  class SmUniversalHeader extends NavigationElement {
+    loader() {
+      return window.SirsiMaster && window.SirsiMaster.universalHeader;
+    }
+
+    // The layout of the rendered type; its action area, else its right-hand side
+    actionsContainer(header) {
+      const type = this.getAttribute('type') || this.getAttribute('data-type') || 'public';
+      const layout = header.querySelector(`[data-show-if-type="${type}"]`) || header;
+      return layout.querySelector('[data-header-actions]') || layout.querySelector('.header-right');
+    }
+  }
+
+  class SmSidebar extends NavigationElement {
+    loader() {
+      return window.SirsiMaster && window.SirsiMaster.sidebar;
+    }
+
+    changed(name, value) {
+      if (name === 'active') this.instance.setActive(value || this.getAttribute('data-active') || '');
+    }
+
+    toggle() {
+      if (this.instance) this.instance.toggle();
+    }
+
+    open() {
+      if (this.instance) this.instance.open();
+    }
+
+    close() {
+      if (this.instance) this.instance.close();
+    }
+
+    setActive(key) {
+      if (this.instance) this.instance.setActive(key);
+    }
+
+    setBadge(key, value) {
+      if (this.instance) this.instance.setBadge(key, value);
+    }
+  }
+
+  [
+    ['sm-admin-header', SmAdminHeader],
+    ['sm-sidebar', SmSidebar],
+    ['sm-universal-header', SmUniversalHeader]
+  ].forEach(([name, element]) => {
+    if (!window.customElements.get(name)) window.customElements.define(name, element);
+  });
+})();
@@ -0,0 +1,214 @@
+/**
+ * Menu Button
+ *
+ * How it works:
+ * - Turns a header dropdown into a WAI-ARIA menu button. The markup marks the wrapper
+ *   [data-menu], its <button data-menu-button> and the popup [data-menu-list hidden];
+ *   the header loaders attach the user menus, and any other header dropdown can use
+ *   the same markup
+ * - The button gets aria-haspopup, aria-expanded and aria-controls; the popup gets
+ *   role="menu" with .dropdown-item / [data-menu-item] entries as menu items,
+ *   .dropdown-divider as separators and the [data-theme-option] buttons of core/theme.js
+ *   as radio items
+ * - Keyboard: Enter, Space or ↓ on the button opens the menu on its first item, ↑ on
+ *   its last. In the menu ↑/↓ move (wrapping), Home/End jump, typing a letter moves to
+ *   the next item starting with it, Enter/Space choose, Escape closes and returns focus
+ *   to the button, Tab closes and moves on
+ * - Choosing an item or clicking outside closes the menu
+ * - Items run like header actions (core/actions.js): links navigate, and data-action
+ *   (or "action" in a user menu configuration, rendered by navigation/render.js with
+ *   data-menu-index) names a handler registered with SirsiMaster.actions.register()
+ *
+ * Usage:
+ *   var detach = SirsiMaster.menu.attach(header.querySelector('[data-menu]'), {
+ *     items: config.userMenu, // the configuration the [data-menu-index] items came from
+ *     component: 'admin-header'
+ *   });
+ */
+(function (root, factory) {
+  var menu = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = menu;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.menu = menu;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var ITEM_SELECTOR = '.dropdown-item, [data-menu-item]';
+  var menus = 0; // ids for buttons and popups
+
+  // Give the popup's items their menu roles; wrappers around them become role="none"
+  function applyRoles(parent) {
+    Array.prototype.forEach.call(parent.children, function (node) {
+      if (node.matches('[data-theme-option]')) {
+        node.setAttribute('role', 'menuitemradio');
+        node.setAttribute('tabindex', '-1');
+      } else if (node.matches(ITEM_SELECTOR)) {
+        node.setAttribute('role', 'menuitem');
+        node.setAttribute('tabindex', '-1');
+      } else if (node.matches('.dropdown-divider')) {
+        node.setAttribute('role', 'separator');
+      } else {
+        if (!node.hasAttribute('role')) node.setAttribute('role', 'none');
+        applyRoles(node);
+      }
+    });
+  }
+
+  // Template items with data-action but no data-menu-index join the configured ones
+  function bindItems(list, configured, component) {
+    var actions = window.SirsiMaster && window.SirsiMaster.actions;
+    var entries = (configured || []).slice();
+    Array.prototype.forEach.call(list.querySelectorAll('[data-action]:not([data-menu-index])'), function (item) {
+      item.setAttribute('data-menu-index', entries.length);
+      entries.push({ label: item.textContent.trim(), action: item.getAttribute('data-action') });
+    });
+    if (!entries.length) return;
+    if (!actions) {
+      console.error('navigation/menu.js requires core/actions.js to run menu actions');
+      return;
+    }
+    actions.bind(list, entries, component, 'data-menu-index');
+  }
+
+  /**
+   * Make container ([data-menu]) a menu button. options.items: the user menu
+   * configuration its [data-menu-index] items were rendered from; options.component
+   * names the header in sirsiMasterAction details. Returns a function that detaches it.
+   */
+  function attach(container, options) {
+    var button = container && container.querySelector('[data-menu-button]');
+    var list = container && container.querySelector('[data-menu-list]');
+    if (!button || !list) return function () {};
+    options = options || {};
+    var id = 'sm-menu-' + (++menus);
+
+    if (!button.id) button.id = id + '-button';
+    if (!list.id) list.id = id;
+    button.setAttribute('aria-haspopup', 'menu');
+    button.setAttribute('aria-controls', list.id);
+    button.setAttribute('aria-expanded', 'false');
+    list.setAttribute('role', 'menu');
+    list.setAttribute('aria-labelledby', button.id);
+    list.hidden = true;
+    applyRoles(list);
+    bindItems(list, options.items, options.component || null);
+
+    // Items of the open menu; hidden ones (a theme switcher without theme.js) are skipped
+    function items() {
+      return Array.prototype.filter.call(list.querySelectorAll('[role="menuitem"], [role="menuitemradio"]'), function (item) {
+        return !item.closest('[hidden]');
+      });
+    }
+
+    function isOpen() {
+      return !list.hidden;
+    }
+
+    function focusItem(index) {
+      var all = items();
+      if (!all.length) return;
+      all[(index + all.length) % all.length].focus();
+    }
+
+    function open(index) {
+      list.hidden = false;
+      button.setAttribute('aria-expanded', 'true');
+      focusItem(index);
+    }
+
+    function close(returnFocus) {
+      if (!isOpen()) return;
+      list.hidden = true;
+      button.setAttribute('aria-expanded', 'false');
+      if (returnFocus) button.focus();
+    }
+
+    function onButtonClick() {
+      if (isOpen()) close(false);
+      else open(0);
+    }
+
+    function onButtonKeydown(event) {
+      if (event.key === 'ArrowDown' || event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        open(0);
+      } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        open(-1);
+      }
+    }
+
+    // Next item after the focused one whose text starts with letter
+    function focusByLetter(letter) {
+      var all = items();
+      var start = all.indexOf(document.activeElement);
+      for (var step = 1; step <= all.length; step++) {
+        var item = all[(start + step) % all.length];
+        if (item.textContent.trim().toLowerCase().indexOf(letter) === 0) {
+          item.focus();
+          return;
+        }
+      }
+    }
+
+    function onListKeydown(event) {
+      var all = items();
+      var current = all.indexOf(document.activeElement);
+      if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        focusItem(current + 1);
+      } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        focusItem(current - 1);
+      } else if (event.key === 'Home') {
+        event.preventDefault();
+        focusItem(0);
+      } else if (event.key === 'End') {
+        event.preventDefault();
+        focusItem(-1);
+      } else if (event.key === 'Escape') {
+        event.preventDefault();
+        close(true);
+      } else if (event.key === 'Tab') {
+        close(false);
+      } else if ((event.key === 'Enter' || event.key === ' ') && current !== -1) {
+        event.preventDefault();
+        all[current].click();
+      } else if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        focusByLetter(event.key.toLowerCase());
+      }
+    }
+
+    // Menu items close the menu; radio items (the theme) keep it open to show the choice
+    function onListClick(event) {
+      var item = event.target.closest('[role="menuitem"]');
+      if (item && list.contains(item) && item.getAttribute('aria-disabled') !== 'true') close(true);
+    }
+
+    // composedPath() sees into the shadow roots of the navigation custom elements
+    function onDocumentClick(event) {
+      var path = event.composedPath ? event.composedPath() : [event.target];
+      if (isOpen() && path.indexOf(container) === -1 && !container.contains(event.target)) close(false);
+    }
+
+    button.addEventListener('click', onButtonClick);
+    button.addEventListener('keydown', onButtonKeydown);
+    list.addEventListener('keydown', onListKeydown);
+    list.addEventListener('click', onListClick);
+    document.addEventListener('click', onDocumentClick);
+
+    return function detach() {
+      close(false);
+      button.removeEventListener('click', onButtonClick);
+      button.removeEventListener('keydown', onButtonKeydown);
+      list.removeEventListener('keydown', onListKeydown);
+      list.removeEventListener('click', onListClick);
+      document.removeEventListener('click', onDocumentClick);
+    };
+  }
+
+  return {
+    attach: attach
+  };
+});
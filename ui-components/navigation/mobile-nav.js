@@ -0,0 +1,261 @@
+/**
+ * Mobile Navigation
+ *
+ * How it works:
+ * - Responsive mode for the universal header, attached by the loader to the template
+ *   and to the fallback header alike. Below the navigation breakpoint the public
+ *   layout's links ([data-nav-panel]) fold behind a hamburger ([data-nav-toggle]) and
+ *   open as a panel sliding down from the header; below the search breakpoint the
+ *   search field ([data-search-panel]) folds behind a search icon ([data-search-toggle])
+ * - Breakpoints are widths in pixels at and below which a part folds: data-nav-breakpoint
+ *   and data-search-breakpoint on the placeholder, else window.SirsiMasterConfig.breakpoints
+ *   = { nav, search }, else 1024 for both (where universal-layout.css used to hide them)
+ * - The header gets data-responsive (universal-layout.css then leaves the folding to this
+ *   script) and data-nav-collapsed / data-search-collapsed while a part is folded; open
+ *   panels carry data-open
+ * - The toggles get aria-expanded and aria-controls. While the menu is open, Tab and
+ *   Shift+Tab stay within the hamburger and the menu links; Escape, following a link,
+ *   clicking outside or widening past the breakpoint closes it. The search closes on
+ *   Escape or when focus leaves it, and Escape returns focus to its icon
+ * - Without this script the toggles stay hidden and the media queries of
+ *   universal-layout.css apply
+ *
+ * Usage:
+ *   var detach = SirsiMaster.mobileNav.attach(headerEl, { breakpoints: { nav: 900, search: 640 } });
+ */
+(function (root, factory) {
+  var mobileNav = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = mobileNav;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.mobileNav = mobileNav;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var DEFAULT_BREAKPOINT = 1024;
+  var FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])';
+  var panels = 0; // ids for aria-controls
+
+  /**
+   * Breakpoints for a header: options first, then SirsiMasterConfig.breakpoints, then 1024.
+   */
+  function breakpoints(options) {
+    var configured = (window.SirsiMasterConfig && window.SirsiMasterConfig.breakpoints) || {};
+    var given = options || {};
+    var pick = function (key) {
+      var value = given[key] != null ? given[key] : configured[key];
+      return typeof value === 'number' && value >= 0 ? value : DEFAULT_BREAKPOINT;
+    };
+    return { nav: pick('nav'), search: pick('search') };
+  }
+
+  function mediaQuery(width) {
+    return window.matchMedia ? window.matchMedia('(max-width: ' + width + 'px)') : null;
+  }
+
+  function onQueryChange(query, fn) {
+    if (!query) return function () {};
+    if (query.addEventListener) query.addEventListener('change', fn);
+    else if (query.addListener) query.addListener(fn);
+    return function () {
+      if (query.removeEventListener) query.removeEventListener('change', fn);
+      else if (query.removeListener) query.removeListener(fn);
+    };
+  }
+
+  // Toggle and panel of one layout ([data-show-if-type]) are paired
+  function pairs(header, toggleSelector, panelSelector) {
+    var found = [];
+    Array.prototype.forEach.call(header.querySelectorAll(toggleSelector), function (toggle) {
+      var layout = toggle.closest('[data-show-if-type]') || header;
+      var panel = layout.querySelector(panelSelector);
+      if (!panel) return;
+      if (!panel.id) panel.id = 'sm-mobile-panel-' + (++panels);
+      toggle.setAttribute('aria-controls', panel.id);
+      found.push({ toggle: toggle, panel: panel });
+    });
+    return found;
+  }
+
+  /**
+   * Fold header's navigation and search on small screens (see above). options.breakpoints:
+   * { nav, search } in pixels. Returns a function that detaches it and unfolds the header.
+   */
+  function attach(header, options) {
+    if (!header) return function () {};
+    var widths = breakpoints(options && options.breakpoints);
+    var navQuery = mediaQuery(widths.nav);
+    var searchQuery = mediaQuery(widths.search);
+    var navs = pairs(header, '[data-nav-toggle]', '[data-nav-panel]');
+    var searches = pairs(header, '[data-search-toggle]', '[data-search-panel]');
+    var cleanups = [];
+    var openNav = null; // the pair whose menu is open
+
+    function activeElement() {
+      var rootNode = header.getRootNode ? header.getRootNode() : document;
+      return rootNode.activeElement || document.activeElement;
+    }
+
+    function setOpen(pair, open) {
+      if (open) pair.panel.setAttribute('data-open', '');
+      else pair.panel.removeAttribute('data-open');
+      pair.toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    // ---- Menu ----
+
+    function menuItems(pair) {
+      return [pair.toggle].concat(Array.prototype.filter.call(pair.panel.querySelectorAll(FOCUSABLE), function (el) {
+        return !el.closest('[hidden]');
+      }));
+    }
+
+    function closeNav(returnFocus) {
+      if (!openNav) return;
+      var pair = openNav;
+      openNav = null;
+      setOpen(pair, false);
+      if (returnFocus) pair.toggle.focus();
+    }
+
+    function openMenu(pair) {
+      openNav = pair;
+      setOpen(pair, true);
+      var items = menuItems(pair);
+      if (items.length > 1) items[1].focus();
+    }
+
+    // Escape closes; Tab and Shift+Tab cycle through the hamburger and the links (moved
+    // by hand: the hamburger comes after the menu in the markup)
+    function onNavKeydown(event) {
+      if (!openNav) return;
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeNav(true);
+        return;
+      }
+      if (event.key !== 'Tab') return;
+      var items = menuItems(openNav);
+      var current = items.indexOf(activeElement());
+      if (current === -1) return;
+      event.preventDefault();
+      items[(current + (event.shiftKey ? -1 : 1) + items.length) % items.length].focus();
+    }
+
+    // composedPath() sees into the shadow roots of the navigation custom elements
+    function onDocumentClick(event) {
+      if (!openNav) return;
+      var path = event.composedPath ? event.composedPath() : [event.target];
+      var inside = [openNav.toggle, openNav.panel].some(function (el) {
+        return path.indexOf(el) !== -1 || el.contains(event.target);
+      });
+      if (!inside) closeNav(false);
+    }
+
+    navs.forEach(function (pair) {
+      var onToggle = function () {
+        if (openNav === pair) closeNav(false);
+        else openMenu(pair);
+      };
+      // Following a link closes the menu (single-page apps stay on the page)
+      var onPanelClick = function (event) {
+        if (openNav === pair && event.target.closest('a[href]')) closeNav(false);
+      };
+      pair.toggle.addEventListener('click', onToggle);
+      pair.toggle.addEventListener('keydown', onNavKeydown);
+      pair.panel.addEventListener('keydown', onNavKeydown);
+      pair.panel.addEventListener('click', onPanelClick);
+      cleanups.push(function () {
+        pair.toggle.removeEventListener('click', onToggle);
+        pair.toggle.removeEventListener('keydown', onNavKeydown);
+        pair.panel.removeEventListener('keydown', onNavKeydown);
+        pair.panel.removeEventListener('click', onPanelClick);
+      });
+    });
+    if (navs.length) {
+      document.addEventListener('click', onDocumentClick);
+      cleanups.push(function () { document.removeEventListener('click', onDocumentClick); });
+    }
+
+    // ---- Search ----
+
+    searches.forEach(function (pair) {
+      var input = function () { return pair.panel.querySelector('input'); };
+      var close = function (returnFocus) {
+        if (!pair.panel.hasAttribute('data-open')) return;
+        setOpen(pair, false);
+        if (returnFocus) pair.toggle.focus();
+      };
+      var onToggle = function () {
+        if (pair.panel.hasAttribute('data-open')) {
+          close(false);
+          return;
+        }
+        setOpen(pair, true);
+        if (input()) input().focus();
+      };
+      var onKeydown = function (event) {
+        if (event.key === 'Escape' && pair.panel.hasAttribute('data-open')) close(true);
+      };
+      // Focus moving on to the rest of the page folds the search again
+      var onFocusOut = function (event) {
+        var next = event.relatedTarget;
+        if (next && (pair.panel.contains(next) || next === pair.toggle)) return;
+        if (next) close(false);
+      };
+      pair.toggle.addEventListener('click', onToggle);
+      pair.panel.addEventListener('keydown', onKeydown);
+      pair.panel.addEventListener('focusout', onFocusOut);
+      cleanups.push(function () {
+        pair.toggle.removeEventListener('click', onToggle);
+        pair.panel.removeEventListener('keydown', onKeydown);
+        pair.panel.removeEventListener('focusout', onFocusOut);
+      });
+    });
+
+    // ---- Breakpoints ----
+
+    function sync() {
+      var navFolded = !!(navQuery && navQuery.matches) && navs.length > 0;
+      var searchFolded = !!(searchQuery && searchQuery.matches) && searches.length > 0;
+      if (!navFolded) closeNav(false);
+
+      header.setAttribute('data-responsive', '');
+      [['data-nav-collapsed', navFolded, navs], ['data-search-collapsed', searchFolded, searches]].forEach(function (part) {
+        if (part[1]) header.setAttribute(part[0], '');
+        else header.removeAttribute(part[0]);
+        part[2].forEach(function (pair) {
+          pair.toggle.hidden = !part[1];
+          if (!part[1]) {
+            pair.toggle.removeAttribute('aria-expanded');
+            pair.panel.removeAttribute('data-open');
+          } else if (!pair.toggle.hasAttribute('aria-expanded')) {
+            pair.toggle.setAttribute('aria-expanded', 'false');
+          }
+        });
+      });
+    }
+
+    sync();
+    cleanups.push(onQueryChange(navQuery, sync));
+    cleanups.push(onQueryChange(searchQuery, sync));
+
+    return function detach() {
+      closeNav(false);
+      cleanups.forEach(function (cleanup) { cleanup(); });
+      ['data-responsive', 'data-nav-collapsed', 'data-search-collapsed'].forEach(function (name) {
+        header.removeAttribute(name);
+      });
+      navs.concat(searches).forEach(function (pair) {
+        pair.toggle.hidden = true;
+        pair.toggle.removeAttribute('aria-expanded');
+        pair.panel.removeAttribute('data-open');
+      });
+    };
+  }
+
+  return {
+    attach: attach,
+    breakpoints: breakpoints
+  };
+});
@@ -0,0 +1,394 @@
+/**
+ * Notification Center
+ *
+ * How it works:
+ * - The header templates contain a bell ([data-notifications], hidden until attached);
+ *   the header loaders attach it next to the user menu
+ * - The bell shows the unread count and opens a panel listing the notifications, newest
+ *   first, with "Mark as read" per item and "Mark all as read"
+ * - Apps feed it through the API:
+ *     var id = SirsiMaster.notifications.push({ title: 'Offer received', body: '123 Main St', url: '/admin/offers.html' });
+ *     SirsiMaster.notifications.update(id, { body: 'Countered at $250k' });
+ *     SirsiMaster.notifications.remove(id);
+ *     SirsiMaster.notifications.clear();
+ *   A notification is { id, title, body, url, action, time, read }; action names a handler
+ *   registered with SirsiMaster.actions.register() (core/actions.js). Only http(s),
+ *   mailto, relative, '/' and '#' URLs are kept (templateEngine.safeUrl)
+ * - Read state persists in localStorage per project (SirsiMasterConfig.project or the site
+ *   host), keyed by notification id: give notifications that are pushed again on every
+ *   page load a stable id
+ * - Every change dispatches 'sirsiMasterNotificationsChange' on window
+ *   (detail: { items, unread })
+ *
+ * Initial notifications can be set as window.SirsiMasterConfig.notifications = { items: [...] }.
+ */
+(function (root, factory) {
+  var notifications = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = notifications;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.notifications = notifications;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var STORAGE_PREFIX = 'sirsimaster.notifications:';
+  var MAX_STORED = 200; // read ids kept in storage
+
+  var items = []; // newest first
+  var readIds = null; // ids marked read, loaded from storage on first use
+  var nextId = 0;
+  var panels = 0; // ids for panel elements
+
+  function storageKey() {
+    var config = window.SirsiMasterConfig || {};
+    return STORAGE_PREFIX + (config.project || window.location.host || 'default');
+  }
+
+  function loadRead() {
+    if (readIds) return readIds;
+    readIds = [];
+    try {
+      readIds = JSON.parse(window.localStorage.getItem(storageKey())) || [];
+    } catch (e) {
+      // Storage unavailable (private mode) or corrupted: start unread
+    }
+    return readIds;
+  }
+
+  function saveRead() {
+    try {
+      window.localStorage.setItem(storageKey(), JSON.stringify(readIds.slice(-MAX_STORED)));
+    } catch (e) {
+      console.warn('Could not persist notification state:', e.message);
+    }
+  }
+
+  function find(id) {
+    for (var i = 0; i < items.length; i++) {
+      if (items[i].id === id) return i;
+    }
+    return -1;
+  }
+
+  function copy(item) {
+    var result = {};
+    for (var key in item) {
+      if (Object.prototype.hasOwnProperty.call(item, key)) result[key] = item[key];
+    }
+    return result;
+  }
+
+  function list() {
+    return items.map(copy);
+  }
+
+  function unreadCount() {
+    return items.filter(function (item) { return !item.read; }).length;
+  }
+
+  function changed() {
+    window.dispatchEvent(new CustomEvent('sirsiMasterNotificationsChange', {
+      detail: { items: list(), unread: unreadCount() }
+    }));
+  }
+
+  function setRead(item) {
+    item.read = true;
+    if (loadRead().indexOf(item.id) === -1) readIds.push(item.id);
+  }
+
+  var missingEngine = false;
+
+  // Notification URLs pass the template engine's check (http(s), mailto, relative, '/',
+  // '#'); any other link gives null and the notification is not a link
+  function safeUrl(url) {
+    var engine = window.SirsiMaster && window.SirsiMaster.templateEngine;
+    if (engine) return engine.safeUrl(url, null);
+    if (!missingEngine) console.error('notifications.js requires core/template-engine.js to be loaded first');
+    missingEngine = true;
+    return null;
+  }
+
+  function normalize(item) {
+    var time = item.time ? new Date(item.time) : new Date();
+    return {
+      id: item.id !== undefined && item.id !== null ? String(item.id) : 'n' + (++nextId),
+      title: String(item.title || ''),
+      body: item.body ? String(item.body) : '',
+      url: item.url ? safeUrl(item.url) : null,
+      action: item.action || null,
+      time: isNaN(time.getTime()) ? new Date() : time,
+      read: !!item.read
+    };
+  }
+
+  /**
+   * Add a notification (or replace the one with the same id). Returns its id.
+   */
+  function push(item) {
+    var entry = normalize(item || {});
+    if (loadRead().indexOf(entry.id) !== -1) {
+      entry.read = true;
+    } else if (entry.read) {
+      setRead(entry);
+      saveRead();
+    }
+
+    var existing = find(entry.id);
+    if (existing !== -1) items.splice(existing, 1);
+    items.push(entry);
+    items.sort(function (a, b) { return b.time - a.time; });
+    changed();
+    return entry.id;
+  }
+
+  /**
+   * Change fields of a notification. Returns false when there is none with that id.
+   */
+  function update(id, changes) {
+    var index = find(String(id));
+    if (index === -1) return false;
+    var merged = copy(items[index]);
+    for (var key in changes) {
+      if (Object.prototype.hasOwnProperty.call(changes, key) && key !== 'id') merged[key] = changes[key];
+    }
+    items[index] = normalize(merged);
+    if (items[index].read && readIds.indexOf(items[index].id) === -1) {
+      setRead(items[index]);
+      saveRead();
+    }
+    items.sort(function (a, b) { return b.time - a.time; });
+    changed();
+    return true;
+  }
+
+  function remove(id) {
+    var index = find(String(id));
+    if (index === -1) return false;
+    items.splice(index, 1);
+    changed();
+    return true;
+  }
+
+  /**
+   * Remove every notification. Read state stays stored.
+   */
+  function clear() {
+    items = [];
+    changed();
+  }
+
+  function markRead(id) {
+    var index = find(String(id));
+    if (index === -1 || items[index].read) return;
+    setRead(items[index]);
+    saveRead();
+    changed();
+  }
+
+  function markAllRead() {
+    items.forEach(function (item) { if (!item.read) setRead(item); });
+    saveRead();
+    changed();
+  }
+
+  // ---- Panel ----
+
+  var missingI18n = false;
+
+  function t(key, params) {
+    var i18n = window.SirsiMaster && window.SirsiMaster.i18n;
+    if (i18n) return i18n.t(key, params);
+    if (!missingI18n) console.error('notifications.js requires core/i18n.js to be loaded first');
+    missingI18n = true;
+    return key;
+  }
+
+  // '5 min ago', '3 h ago', '2 d ago', then the date
+  function timeAgo(time) {
+    var minutes = Math.floor((Date.now() - time.getTime()) / 60000);
+    var i18n = window.SirsiMaster && window.SirsiMaster.i18n;
+    if (minutes < 1) return t('time.justNow');
+    if (minutes < 60) return t('time.minutesAgo', { count: minutes });
+    if (minutes < 60 * 24) return t('time.hoursAgo', { count: Math.floor(minutes / 60) });
+    if (minutes < 60 * 24 * 7) return t('time.daysAgo', { count: Math.floor(minutes / (60 * 24)) });
+    return time.toLocaleDateString(i18n ? i18n.locale() : undefined);
+  }
+
+  function element(tag, className, text) {
+    var el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function select(item, component, event) {
+    var allowed = event.currentTarget.dispatchEvent(new CustomEvent('sirsiMasterNotificationSelect', {
+      bubbles: true,
+      cancelable: true,
+      detail: { notification: copy(item), component: component }
+    }));
+    if (!allowed) {
+      event.preventDefault();
+      return;
+    }
+    if (!item.read) {
+      setRead(item);
+      saveRead();
+      // Redraw after the click: replacing the link now would cancel its navigation
+      setTimeout(changed, 0);
+    }
+    if (item.action) {
+      var actions = window.SirsiMaster && window.SirsiMaster.actions;
+      if (actions) actions.run(item.action, { name: item.action, notification: copy(item), component: component }, event);
+      else console.error('notifications.js requires core/actions.js to run notification actions');
+    }
+  }
+
+  function renderItem(item, component) {
+    var li = element('li', 'notification-item' + (item.read ? '' : ' unread'));
+    li.setAttribute('data-notification-id', item.id);
+
+    var url = item.url ? safeUrl(item.url) : null;
+    var link = element(url ? 'a' : 'button', 'notification-link');
+    if (url) link.setAttribute('href', url);
+    else link.setAttribute('type', 'button');
+    link.appendChild(element('span', 'notification-title', item.title));
+    if (item.body) link.appendChild(element('span', 'notification-body', item.body));
+    var time = element('time', 'notification-time', timeAgo(item.time));
+    time.setAttribute('datetime', item.time.toISOString());
+    link.appendChild(time);
+    link.addEventListener('click', function (event) { select(item, component, event); });
+    li.appendChild(link);
+
+    if (!item.read) {
+      var mark = element('button', 'notification-mark-read');
+      mark.setAttribute('type', 'button');
+      mark.setAttribute('aria-label', t('notifications.markItemRead', { title: item.title }));
+      mark.title = t('notifications.markRead');
+      li.appendChild(mark);
+      mark.addEventListener('click', function () { markRead(item.id); });
+    }
+    return li;
+  }
+
+  /**
+   * Wire a [data-notifications] bell: badge, panel and keyboard handling. component
+   * names the source ('admin-header', 'universal-header') in event details. Returns a
+   * function that detaches it.
+   */
+  function attach(container, attachOptions) {
+    var toggle = container && container.querySelector('[data-notification-toggle]');
+    if (!toggle) return function () {};
+    var component = (attachOptions && attachOptions.component) || null;
+    var badge = container.querySelector('[data-notification-count]');
+    var id = 'sm-notifications-' + (++panels);
+
+    var panel = element('div', 'notification-panel');
+    panel.id = id;
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', t('notifications.label'));
+    panel.hidden = true;
+
+    var heading = element('div', 'notification-panel-header');
+    heading.appendChild(element('span', 'notification-panel-title', t('notifications.label')));
+    var markAll = element('button', 'notification-mark-all', t('notifications.markAllRead'));
+    markAll.setAttribute('type', 'button');
+    markAll.addEventListener('click', markAllRead);
+    heading.appendChild(markAll);
+    panel.appendChild(heading);
+
+    var listEl = element('ul', 'notification-list');
+    panel.appendChild(listEl);
+    container.appendChild(panel);
+
+    toggle.setAttribute('aria-controls', id);
+    toggle.setAttribute('aria-expanded', 'false');
+    container.hidden = false;
+
+    function draw() {
+      var unread = unreadCount();
+      if (badge) {
+        badge.textContent = unread > 9 ? '9+' : String(unread);
+        badge.hidden = !unread;
+      }
+      toggle.setAttribute('aria-label', unread ? t('notifications.labelUnread', { count: unread }) : t('notifications.label'));
+      markAll.disabled = !unread;
+
+      listEl.innerHTML = '';
+      if (!items.length) {
+        listEl.appendChild(element('li', 'notification-empty', t('notifications.empty')));
+        return;
+      }
+      items.forEach(function (item) { listEl.appendChild(renderItem(item, component)); });
+    }
+
+    function setOpen(expanded) {
+      panel.hidden = !expanded;
+      toggle.setAttribute('aria-expanded', String(expanded));
+    }
+
+    function onToggle() {
+      setOpen(panel.hidden);
+    }
+
+    // composedPath() sees into the shadow roots of the navigation custom elements
+    function onDocumentClick(event) {
+      var path = event.composedPath ? event.composedPath() : [event.target];
+      if (!panel.hidden && path.indexOf(container) === -1 && !container.contains(event.target)) setOpen(false);
+    }
+
+    function onKeydown(event) {
+      if (event.key === 'Escape' && !panel.hidden) {
+        setOpen(false);
+        toggle.focus();
+      }
+    }
+
+    // Re-rendering moves focus out of a replaced item; keep it inside the panel
+    function onChange() {
+      var hadFocus = panel.contains(document.activeElement);
+      draw();
+      if (!hadFocus || panel.hidden) return;
+      if (markAll.disabled) toggle.focus();
+      else markAll.focus();
+    }
+
+    draw();
+    toggle.addEventListener('click', onToggle);
+    container.addEventListener('keydown', onKeydown);
+    document.addEventListener('click', onDocumentClick);
+    window.addEventListener('sirsiMasterNotificationsChange', onChange);
+
+    return function detach() {
+      toggle.removeEventListener('click', onToggle);
+      container.removeEventListener('keydown', onKeydown);
+      document.removeEventListener('click', onDocumentClick);
+      window.removeEventListener('sirsiMasterNotificationsChange', onChange);
+      if (panel.parentNode) panel.parentNode.removeChild(panel);
+      container.hidden = true;
+    };
+  }
+
+  var initial = window && window.SirsiMasterConfig && window.SirsiMasterConfig.notifications;
+  if (initial && initial.items) {
+    initial.items.forEach(function (item) {
+      var entry = normalize(item);
+      if (entry.read || loadRead().indexOf(entry.id) !== -1) entry.read = true;
+      items.push(entry);
+    });
+    items.sort(function (a, b) { return b.time - a.time; });
+  }
+
+  return {
+    push: push,
+    update: update,
+    remove: remove,
+    clear: clear,
+    markRead: markRead,
+    markAllRead: markAllRead,
+    list: list,
+    unreadCount: unreadCount,
+    attach: attach
+  };
+});
@@ -0,0 +1,978 @@
+/**
+ * Navigation Renderers
+ *
+ * How it works:
+ * - Pure string functions: template + configuration in, final markup out
+ * - Used by admin-header.js, sidebar.js and universal-header.js in the browser and by
+ *   the static prerender CLI (development-tools/scripts/prerender.js) in Node, so a
+ *   prerendered page and a client-rendered page contain the same HTML
+ * - Configuration is read from anything with getAttribute(name), so the CLI can pass
+ *   parsed placeholder attributes and the loaders can pass the placeholder element
+ * - Prerendered roots carry data-prerendered; loaders attach behaviour to them, and the
+ *   header loaders render them again from the template once the session, locale or
+ *   access context changes
+ * - The sidebar can also be rendered from a navigation schema (see sidebarFromSchema);
+ *   schema icons come from core/icons.js
+ * - Entries with role/permission requirements are hidden or disabled for the user
+ *   context (core/access.js); sidebar sections left without items are removed
+ * - Admin header breadcrumbs come from navigation/breadcrumbs.js
+ * - Template text is translated through core/i18n.js: data-i18n="key" sets an element's
+ *   text, data-i18n-<attribute>="key" sets an attribute (aria-label, title, placeholder)
+ * - The universal header's branding (name, subtitle per header type, logo, home link,
+ *   public navigation, sign-in buttons) comes from a brand configuration (see resolveBrand)
+ * - The signed-in user (name, email, avatar, signed-in or out) comes from core/session.js
+ *   or the data-user-* attributes (see resolveIdentity)
+ * - [[TOKENS]] in the templates are filled by core/template-engine.js; the data each
+ *   template gets is listed above adminHeader, sidebar and universalHeader. Values are
+ *   escaped and an unknown token throws a TemplateError
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory({
+      engine: function () { return require('../core/template-engine'); },
+      icons: function () { return require('../core/icons'); },
+      i18n: function () { return require('../core/i18n'); },
+      access: function () { return require('../core/access'); },
+      session: function () { return require('../core/session'); },
+      breadcrumbs: function () { return require('./breadcrumbs'); }
+    });
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.render = factory({
+      engine: function () { return root.SirsiMaster.templateEngine; },
+      icons: function () { return root.SirsiMaster.icons; },
+      i18n: function () { return root.SirsiMaster.i18n; },
+      access: function () { return root.SirsiMaster.access; },
+      session: function () { return root.SirsiMaster.session; },
+      breadcrumbs: function () { return root.SirsiMaster.breadcrumbs; }
+    });
+  }
+})(typeof window !== 'undefined' ? window : this, function (deps) {
+  // Attributes of an opening tag; quoted values may contain '>'
+  var ATTRIBUTES = '(?:\\s+[^\\s=>/"\']+(?:\\s*=\\s*(?:"[^"]*"|\'[^\']*\'|[^\\s>"\']+))?)*\\s*/?';
+  var TAG_PATTERN = new RegExp('<([a-zA-Z][\\w-]*)(' + ATTRIBUTES + ')>', 'g');
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function decodeEntities(value) {
+    return value
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // ---- Inline SVG ----
+
+  var SVG_ELEMENTS = [
+    'svg', 'g', 'path', 'line', 'polyline', 'polygon', 'circle', 'rect', 'ellipse',
+    'text', 'tspan', 'title', 'desc', 'defs', 'linearGradient', 'radialGradient', 'stop'
+  ];
+  var SVG_ATTRIBUTES = [
+    'xmlns', 'viewBox', 'preserveAspectRatio', 'class', 'id', 'role', 'aria-hidden', 'aria-label',
+    'd', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'dx', 'dy', 'points',
+    'width', 'height', 'transform', 'fill', 'fill-rule', 'fill-opacity', 'clip-rule', 'stroke',
+    'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+    'stroke-opacity', 'opacity', 'offset', 'stop-color', 'stop-opacity', 'gradientUnits',
+    'gradientTransform', 'font-family', 'font-size', 'font-weight', 'text-anchor'
+  ];
+  var SVG_TOKEN = new RegExp('<!--[\\s\\S]*?-->|<(/?)([a-zA-Z][\\w:-]*)(' + ATTRIBUTES + ')>|<[^>]*>?|[^<]+', 'g');
+  var SVG_ATTRIBUTE = /([^\s=\/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g;
+
+  // Allowlisted name in its SVG spelling ('lineargradient' → 'linearGradient'), else null
+  function svgName(list, name) {
+    name = name.toLowerCase();
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].toLowerCase() === name) return list[i];
+    }
+    return null;
+  }
+
+  function svgAttributes(attrs) {
+    var out = '';
+    var match;
+    SVG_ATTRIBUTE.lastIndex = 0;
+    while ((match = SVG_ATTRIBUTE.exec(attrs))) {
+      var name = svgName(SVG_ATTRIBUTES, match[1]);
+      if (!name) continue;
+      var value = decodeEntities(match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '');
+      if (/url\s*\(\s*(?!['"]?#)/i.test(value)) continue; // only references within the SVG
+      out += ' ' + name + '="' + escapeHtml(value) + '"';
+    }
+    return out;
+  }
+
+  /**
+   * Reduce SVG markup to the allowlisted drawing elements and attributes above: scripts,
+   * styles, event handlers, links and anything inside a dropped element are removed.
+   */
+  function sanitizeSvg(markup) {
+    var out = '';
+    var open = []; // allowlisted elements not closed yet
+    var skipped = 0; // depth inside a dropped element
+    markup.replace(SVG_TOKEN, function (token, closing, tagName, attrs) {
+      if (!tagName) {
+        if (!skipped && token.charAt(0) !== '<') out += escapeHtml(decodeEntities(token));
+        return token;
+      }
+      var selfClosing = /\/$/.test(attrs);
+      var name = svgName(SVG_ELEMENTS, tagName);
+      if (skipped) {
+        if (!selfClosing) skipped += closing ? -1 : 1;
+      } else if (closing) {
+        if (name && open[open.length - 1] === name) out += '</' + open.pop() + '>';
+      } else if (!name) {
+        if (!selfClosing) skipped = 1;
+      } else {
+        out += '<' + name + svgAttributes(attrs) + (selfClosing ? '/>' : '>');
+        if (!selfClosing) open.push(name);
+      }
+      return token;
+    });
+    while (open.length) out += '</' + open.pop() + '>';
+    return out;
+  }
+
+  // ---- Markup helpers ----
+
+  /**
+   * Read an attribute from the attribute part of an opening tag.
+   * Returns null when absent and '' for boolean attributes.
+   */
+  function readAttribute(attrs, name) {
+    var pattern = new RegExp('(?:^|\\s)' + escapeRegExp(name) +
+      '(?:\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\'|([^\\s>]+)))?(?=\\s|/|$)');
+    var match = pattern.exec(attrs || '');
+    if (!match) return null;
+    var value = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+    return decodeEntities(value || '');
+  }
+
+  function removeAttribute(attrs, name) {
+    var pattern = new RegExp('\\s' + escapeRegExp(name) +
+      '(?:\\s*=\\s*(?:"[^"]*"|\'[^\']*\'|[^\\s>]+))?(?=\\s|/|$)');
+    return (attrs || '').replace(pattern, '');
+  }
+
+  function writeAttribute(attrs, name, value) {
+    attrs = removeAttribute(attrs, name);
+    return attrs.replace(/\s*$/, '') + ' ' + name + '="' + escapeHtml(value) + '"';
+  }
+
+  function addClass(attrs, className) {
+    var existing = readAttribute(attrs, 'class');
+    if (existing === null) return writeAttribute(attrs, 'class', className);
+    var classes = existing.split(/\s+/).filter(Boolean);
+    if (classes.indexOf(className) === -1) classes.push(className);
+    return writeAttribute(attrs, 'class', classes.join(' '));
+  }
+
+  /**
+   * Find the first element (at or after index from) whose opening tag passes
+   * test(tagName, attrs). Returns offsets of the opening tag, its content and the
+   * matching closing tag.
+   */
+  function findElement(html, test, from) {
+    // Usage comments in templates contain example markup; never match inside them
+    var comments = [];
+    html.replace(/<!--[\s\S]*?-->/g, function (comment, offset) {
+      comments.push([offset, offset + comment.length]);
+      return comment;
+    });
+    function inComment(index) {
+      return comments.some(function (range) { return index >= range[0] && index < range[1]; });
+    }
+
+    TAG_PATTERN.lastIndex = from || 0;
+    var match;
+    while ((match = TAG_PATTERN.exec(html))) {
+      if (inComment(match.index)) continue;
+      var name = match[1];
+      var attrs = match[2] || '';
+      if (!test(name.toLowerCase(), attrs)) continue;
+
+      var start = match.index;
+      var openEnd = start + match[0].length;
+      var nested = new RegExp('<(/?)' + escapeRegExp(name) + '\\b(' + ATTRIBUTES + ')>', 'gi');
+      nested.lastIndex = openEnd;
+      var depth = 1;
+      var tag;
+      while (depth > 0 && (tag = nested.exec(html))) {
+        if (tag[1]) depth--;
+        else if (!/\/>$/.test(tag[0])) depth++;
+      }
+      var closeStart = tag ? tag.index : html.length;
+      var end = tag ? tag.index + tag[0].length : html.length;
+      return { name: name, attrs: attrs, start: start, openEnd: openEnd, closeStart: closeStart, end: end };
+    }
+    return null;
+  }
+
+  function hasAttribute(name, value) {
+    return function (tagName, attrs) {
+      var found = readAttribute(attrs, name);
+      return value === undefined ? found !== null : found === value;
+    };
+  }
+
+  function hasClass(className) {
+    return function (tagName, attrs) {
+      var classes = readAttribute(attrs, 'class');
+      return classes !== null && classes.split(/\s+/).indexOf(className) !== -1;
+    };
+  }
+
+  // Rewrite the opening tag of the first matching element
+  function updateTag(html, test, update) {
+    var el = findElement(html, test);
+    if (!el) return html;
+    return html.slice(0, el.start) + '<' + el.name + update(el.attrs) + '>' + html.slice(el.openEnd);
+  }
+
+  // Rewrite the opening tag of every matching element
+  function updateTags(html, test, update) {
+    return html.replace(TAG_PATTERN, function (tag, name, attrs) {
+      attrs = attrs || '';
+      return test(name.toLowerCase(), attrs) ? '<' + name + update(attrs, name) + '>' : tag;
+    });
+  }
+
+  function setContent(html, test, content) {
+    var el = findElement(html, test);
+    if (!el) return html;
+    return html.slice(0, el.openEnd) + content + html.slice(el.closeStart);
+  }
+
+  // Replace the content of every matching element
+  function setEveryContent(html, test, content) {
+    var el;
+    var from = 0;
+    while ((el = findElement(html, test, from))) {
+      html = html.slice(0, el.openEnd) + content + html.slice(el.closeStart);
+      from = el.openEnd + content.length;
+    }
+    return html;
+  }
+
+  function stripLeadingComment(html) {
+    return html.replace(/^\s*<!--[\s\S]*?-->\s*/, '');
+  }
+
+  // ---- Tokens ----
+
+  /**
+   * Fill the [[TOKENS]] of a template (core/template-engine.js); name is used in errors.
+   * A template file's leading comment is dropped, keeping error line numbers true to the file.
+   */
+  function fill(template, data, name) {
+    var engine = deps.engine();
+    if (!engine) throw new Error('navigation/render.js requires core/template-engine.js to be loaded first');
+    var body = stripLeadingComment(template);
+    var firstLine = template.slice(0, template.length - body.length).split('\n').length;
+    return engine.render(body, data, { name: name, firstLine: firstLine });
+  }
+
+  // ---- Translation ----
+
+  var missingI18n = false;
+
+  function t(key, params) {
+    var i18n = deps.i18n();
+    if (i18n) return i18n.t(key, params);
+    if (!missingI18n) console.error('navigation/render.js requires core/i18n.js to be loaded first');
+    missingI18n = true;
+    return key;
+  }
+
+  var I18N_ATTRIBUTES = /\sdata-i18n-([a-z-]+)\s*=\s*"([^"]*)"/g;
+
+  /**
+   * Translate template text: data-i18n="key" replaces the element's content with the
+   * message, data-i18n-<attribute>="key" sets that attribute.
+   */
+  function translate(html) {
+    if (!deps.i18n()) return html; // keep the template's own text
+    html = updateTags(html, function (tagName, attrs) {
+      return /\sdata-i18n-[a-z-]+\s*=/.test(attrs);
+    }, function (attrs) {
+      var result = attrs;
+      attrs.replace(I18N_ATTRIBUTES, function (match, name, key) {
+        result = writeAttribute(result, name, t(key));
+        return match;
+      });
+      return result;
+    });
+
+    var el;
+    var from = 0;
+    while ((el = findElement(html, hasAttribute('data-i18n'), from))) {
+      var text = escapeHtml(t(readAttribute(el.attrs, 'data-i18n')));
+      html = html.slice(0, el.openEnd) + text + html.slice(el.closeStart);
+      from = el.openEnd + text.length;
+    }
+    return html;
+  }
+
+  // ---- Access control ----
+
+  function resolveUser(el) {
+    var access = deps.access();
+    return access ? access.resolveUser(el) : null;
+  }
+
+  // ---- Signed-in user ----
+
+  /**
+   * Who a header shows: the core/session.js user, or data-user-name, data-user-email and
+   * data-user-avatar when no session provider is set. state is 'authenticated',
+   * 'anonymous' or 'loading' (the provider has not answered yet).
+   */
+  function resolveIdentity(el) {
+    var session = deps.session();
+    var status = session ? session.status() : 'none';
+    if (status === 'none') {
+      var name = el.getAttribute('data-user-name');
+      return {
+        userName: name || t('user.defaultName'),
+        userEmail: el.getAttribute('data-user-email') || '',
+        avatarUrl: el.getAttribute('data-user-avatar') || '',
+        authState: name ? 'authenticated' : 'anonymous'
+      };
+    }
+    var user = session.user();
+    return {
+      userName: (user && user.name) || t('user.defaultName'),
+      userEmail: (user && user.email) || '',
+      avatarUrl: (user && user.avatarUrl) || '',
+      authState: status
+    };
+  }
+
+  // Show the data-show-if="authenticated" or "anonymous" elements for state; while the
+  // session loads neither is shown
+  function applyAuthState(html, state) {
+    return updateTags(html, hasAttribute('data-show-if'), function (attrs) {
+      if (readAttribute(attrs, 'data-show-if') === state) return removeAttribute(attrs, 'style');
+      return writeAttribute(attrs, 'style', 'display: none;');
+    });
+  }
+
+  /**
+   * 'show', 'hide' or 'disable' for an entry with roles/permissions/whenDenied.
+   */
+  function accessDecision(entry, user) {
+    var access = deps.access();
+    if (!access) {
+      if (entry && (entry.roles || entry.permissions)) {
+        console.warn('core/access.js is not loaded; showing restricted entry');
+      }
+      return 'show';
+    }
+    var req = access.requirement(entry);
+    return access.allows(req, user) ? 'show' : req.whenDenied;
+  }
+
+  function disableAttributes(attrs) {
+    attrs = addClass(attrs, 'disabled');
+    attrs = writeAttribute(attrs, 'aria-disabled', 'true');
+    attrs = writeAttribute(attrs, 'tabindex', '-1');
+    return attrs.replace(/\shref\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/, '');
+  }
+
+  function isRestrictedTag(tagName, attrs) {
+    return readAttribute(attrs, 'data-roles') !== null || readAttribute(attrs, 'data-permissions') !== null;
+  }
+
+  /**
+   * Apply data-roles / data-permissions / data-when-denied found in template markup.
+   */
+  function applyTemplateAccess(html, user) {
+    var from = 0;
+    var el;
+    while ((el = findElement(html, isRestrictedTag, from))) {
+      var decision = accessDecision({
+        roles: readAttribute(el.attrs, 'data-roles'),
+        permissions: readAttribute(el.attrs, 'data-permissions'),
+        whenDenied: readAttribute(el.attrs, 'data-when-denied')
+      }, user);
+
+      if (decision === 'hide') {
+        html = html.slice(0, el.start) + html.slice(el.end);
+        from = el.start;
+      } else if (decision === 'disable') {
+        var tag = '<' + el.name + disableAttributes(el.attrs) + '>';
+        html = html.slice(0, el.start) + tag + html.slice(el.openEnd);
+        from = el.start + tag.length;
+      } else {
+        from = el.openEnd;
+      }
+    }
+    return html;
+  }
+
+  // Remove .nav-section elements that no longer contain any .nav-item
+  function collapseEmptySections(html) {
+    var from = 0;
+    var el;
+    while ((el = findElement(html, hasClass('nav-section'), from))) {
+      if (!findElement(html.slice(el.openEnd, el.closeStart), hasClass('nav-item'))) {
+        html = html.slice(0, el.start) + html.slice(el.end);
+        from = el.start;
+      } else {
+        from = el.openEnd;
+      }
+    }
+    return html;
+  }
+
+  // ---- Configuration ----
+
+  function parseJsonAttribute(el, name, label) {
+    var value = el.getAttribute(name);
+    if (!value) return [];
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      console.warn('Failed to parse ' + label + ':', e);
+      return [];
+    }
+  }
+
+  // A number attribute such as data-nav-breakpoint="900"; null when absent or not a number
+  function numberAttribute(el, name) {
+    var value = el.getAttribute(name);
+    if (value === null || value.trim() === '' || isNaN(Number(value))) return null;
+    return Number(value);
+  }
+
+  // The placeholder's data-base (path from the page to the project root), or null when
+  // absent. The sidebar prefixes its links with it ([[BASE]]page.html), so it asks for a
+  // trailing slash; the headers join with one ([[BASE]]/page.html).
+  function resolveBase(el, trailingSlash) {
+    var base = el.getAttribute('data-base');
+    if (!base || !base.trim()) return null;
+    base = base.trim().replace(/\/$/, '');
+    return trailingSlash ? base + '/' : base;
+  }
+
+  function parseAdminHeaderConfig(el) {
+    var identity = resolveIdentity(el);
+    return {
+      title: el.getAttribute('data-title') || t('header.title'),
+      subtitle: el.getAttribute('data-subtitle') || t('header.subtitle'),
+      searchPlaceholder: el.getAttribute('data-search-placeholder') || t('header.searchPlaceholder'),
+      actions: parseJsonAttribute(el, 'data-actions', 'header actions'),
+      userMenu: parseJsonAttribute(el, 'data-user-menu', 'user menu'),
+      // Explicit trail, false to turn breadcrumbs off, or null to derive it from the URL
+      breadcrumbs: el.getAttribute('data-breadcrumbs') !== null ? parseJsonAttribute(el, 'data-breadcrumbs', 'breadcrumbs') : null,
+      userName: identity.userName,
+      userEmail: identity.userEmail,
+      avatarUrl: identity.avatarUrl,
+      user: resolveUser(el)
+    };
+  }
+
+  /**
+   * Universal header configuration. brand is the shared brand configuration, one object
+   * or a list (SirsiMasterConfig.brand and a data-brand JSON file, loaded by the caller);
+   * an inline data-brand and data-nav-items on the element are applied on top of it.
+   */
+  function parseUniversalHeaderConfig(el, base, brand) {
+    var resolved = resolveBrand(el, brand);
+    var identity = resolveIdentity(el);
+    return {
+      base: base,
+      type: el.getAttribute('data-type') || 'public',
+      brand: resolved,
+      title: el.getAttribute('data-title') || resolved.name,
+      subtitle: el.getAttribute('data-subtitle') || '',
+      userName: identity.userName,
+      userEmail: identity.userEmail,
+      avatarUrl: identity.avatarUrl,
+      authState: identity.authState,
+      searchPlaceholder: el.getAttribute('data-search-placeholder') || t('universal.searchPlaceholder'),
+      showAuth: el.getAttribute('data-show-auth') === 'true',
+      actions: parseJsonAttribute(el, 'data-actions', 'data-actions'),
+      userMenu: parseJsonAttribute(el, 'data-user-menu', 'user menu'),
+      breakpoints: {
+        nav: numberAttribute(el, 'data-nav-breakpoint'),
+        search: numberAttribute(el, 'data-search-breakpoint')
+      },
+      user: resolveUser(el)
+    };
+  }
+
+  // ---- Admin header ----
+
+  function breadcrumbHtml(pathname, config) {
+    var breadcrumbs = deps.breadcrumbs();
+    if (!breadcrumbs) {
+      console.warn('navigation/breadcrumbs.js is not loaded; skipping breadcrumbs');
+      return null;
+    }
+    return breadcrumbs.build(pathname, config.breadcrumbs === null ? null : { items: config.breadcrumbs });
+  }
+
+  // ---- Header actions ----
+
+  /**
+   * Handler name for an action. Legacy "onclick": "exportData()" strings are mapped to
+   * the registered action "exportData" instead of being run as code.
+   */
+  function actionName(action) {
+    if (action.action) return action.action;
+    if (!action.onclick) return null;
+
+    var legacy = /^\s*(?:HeaderActions\.)?([\w$]+)\(\)\s*;?\s*$/.exec(action.onclick);
+    console.warn('Header action "onclick" strings are no longer run; register a handler with ' +
+      'SirsiMaster.actions.register() and set "action" instead:', action.onclick);
+    return legacy ? legacy[1] : null;
+  }
+
+  var ACTION_ATTRIBUTES = 'class="header-action-btn [[action.variant]][[#if action.disabled]] disabled[[/if]]" ' +
+    'data-action-index="[[action.index]]"[[#if action.name]] data-action="[[action.name]]"[[/if]]';
+  var ACTIONS_TEMPLATE = '[[#each ACTIONS as action]]' +
+    '[[#if action.disabled]]<button type="button" ' + ACTION_ATTRIBUTES + ' disabled aria-disabled="true">[[action.label]]</button>' +
+    '[[else]][[#if action.href]]<a href="[[action.href | url]]" ' + ACTION_ATTRIBUTES + '>[[action.label]]</a>' +
+    '[[else]]<button type="button" ' + ACTION_ATTRIBUTES + '>[[action.label]]</button>' +
+    '[[/if]][[/if]][[/each]]';
+
+  /**
+   * Action buttons for both headers. Everything is escaped and unsafe hrefs become '#'
+   * (the url filter); icons are added as DOM nodes by SirsiMaster.actions.bind()
+   * (core/actions.js) when the loader attaches handlers.
+   */
+  function renderActions(actions, user) {
+    var visible = [];
+    actions.forEach(function (action, index) {
+      var decision = accessDecision(action, user);
+      if (decision === 'hide') return;
+      visible.push({
+        index: index, // position in the configuration, which actions.bind() looks up
+        name: actionName(action),
+        label: action.label,
+        href: action.href,
+        variant: action.primary ? 'primary' : 'secondary',
+        disabled: decision === 'disable'
+      });
+    });
+    return fill(ACTIONS_TEMPLATE, { ACTIONS: visible }, 'header actions');
+  }
+
+  // ---- User menu ----
+
+  var MENU_ITEM_ATTRIBUTES = 'class="dropdown-item[[#if item.disabled]] disabled[[/if]]" data-menu-index="[[item.index]]"' +
+    '[[#if item.action]] data-action="[[item.action]]"[[/if]]';
+  var MENU_TEMPLATE = '[[#each ITEMS as item]]' +
+    '[[#if item.divider]]<div class="dropdown-divider"></div>' +
+    '[[else]][[#if item.disabled]]<button type="button" ' + MENU_ITEM_ATTRIBUTES + ' aria-disabled="true">[[item.label]]</button>' +
+    '[[else]][[#if item.href]]<a href="[[item.href | url]]" ' + MENU_ITEM_ATTRIBUTES + '>[[item.label]]</a>' +
+    '[[else]]<button type="button" ' + MENU_ITEM_ATTRIBUTES + '>[[item.label]]</button>' +
+    '[[/if]][[/if]][[/if]][[/each]]';
+
+  /**
+   * User menu items ([{ label, href, action, icon, roles, permissions }], { divider: true }
+   * between groups) for the [data-user-menu] lists of both headers. Items carry
+   * data-menu-index; navigation/menu.js runs their actions through core/actions.js.
+   * Unsafe hrefs become '#' (the url filter). Dividers left at either end or next to each other by access rules are dropped.
+   */
+  function renderMenuItems(items, user) {
+    var visible = [];
+    items.forEach(function (item, index) {
+      if (item.divider) {
+        if (visible.length && !visible[visible.length - 1].divider) visible.push({ divider: true });
+        return;
+      }
+      var decision = accessDecision(item, user);
+      if (decision === 'hide') return;
+      visible.push({
+        index: index,
+        label: item.label,
+        href: item.href,
+        action: item.action,
+        disabled: decision === 'disable'
+      });
+    });
+    if (visible.length && visible[visible.length - 1].divider) visible.pop();
+    return fill(MENU_TEMPLATE, { ITEMS: visible }, 'user menu');
+  }
+
+  /**
+   * Render the complete <header class="admin-header"> element.
+   * Tokens: BASE, TITLE, SUBTITLE, SEARCH_PLACEHOLDER, USER_NAME, USER_EMAIL and
+   * AVATAR_URL (empty without an avatar image).
+   */
+  function adminHeader(template, base, config, pathname) {
+    var html = translate(fill(template, {
+      BASE: base,
+      TITLE: config.title,
+      SUBTITLE: config.subtitle,
+      SEARCH_PLACEHOLDER: config.searchPlaceholder,
+      USER_NAME: config.userName,
+      USER_EMAIL: config.userEmail,
+      AVATAR_URL: config.avatarUrl
+    }, 'admin-header template'));
+    html = applyTemplateAccess(html, config.user);
+    // Add breadcrumb navigation (navigation/breadcrumbs.js) for nested pages
+    var breadcrumb = breadcrumbHtml(pathname, config);
+    if (breadcrumb) {
+      html = setContent(html, hasAttribute('data-breadcrumb-container'), breadcrumb);
+      html = updateTag(html, hasAttribute('data-breadcrumb-container'), function (attrs) {
+        attrs = writeAttribute(attrs, 'aria-label', t('breadcrumbs.label'));
+        attrs = writeAttribute(attrs, 'role', 'navigation');
+        return writeAttribute(attrs, 'style', 'display: flex;');
+      });
+    }
+
+    if (config.title) {
+      html = setContent(html, hasAttribute('data-header-title'), escapeHtml(config.title));
+    }
+
+    if (config.subtitle) {
+      html = setContent(html, hasAttribute('data-header-subtitle'), escapeHtml(config.subtitle));
+    }
+
+    if (config.searchPlaceholder) {
+      html = updateTag(html, hasAttribute('data-search-input'), function (attrs) {
+        return writeAttribute(attrs, 'placeholder', config.searchPlaceholder);
+      });
+    }
+
+    // Add action buttons if provided
+    if (config.actions && config.actions.length > 0) {
+      html = setContent(html, hasAttribute('data-header-actions'), renderActions(config.actions, config.user));
+    }
+
+    // Configured user menu items replace the template's
+    if (config.userMenu && config.userMenu.length) {
+      html = setContent(html, hasAttribute('data-user-menu'), renderMenuItems(config.userMenu, config.user));
+    }
+
+    return '<header class="admin-header" data-base="' + escapeHtml(base) + '">' + html + '</header>';
+  }
+
+  // ---- Sidebar ----
+
+  // Mark the active item and hide or disable what the user cannot access
+  function finishSidebar(html, base, activeKey, user) {
+    html = collapseEmptySections(applyTemplateAccess(html, user));
+    if (activeKey) {
+      html = updateTag(html, hasAttribute('data-key', activeKey), function (attrs) {
+        return writeAttribute(addClass(attrs, 'active'), 'aria-current', 'page');
+      });
+    }
+    return '<aside class="sidebar" data-base="' + escapeHtml(base) + '">' + html + '</aside>';
+  }
+
+  /**
+   * Render the complete <aside class="sidebar"> element with the active item marked
+   * and entries the user cannot access hidden or disabled.
+   * Tokens: BASE, ACTIVE (the active item's key, '' when it follows the URL).
+   */
+  function sidebar(template, base, activeKey, user) {
+    var html = fill(template, { BASE: base, ACTIVE: activeKey || '' }, 'sidebar template');
+    return finishSidebar(html, base, activeKey, user);
+  }
+
+  // ---- Sidebar from a navigation schema ----
+
+  function icon(name, className) {
+    var icons = deps.icons();
+    if (!icons) {
+      console.warn('core/icons.js is not loaded; skipping icon:', name);
+      return '';
+    }
+    return icons.svg(name, { className: className });
+  }
+
+  // Relative schema and brand hrefs are resolved against the base like [[BASE]] in the
+  // templates; a leading [[BASE]] is replaced the same way. Links other than http(s),
+  // mailto, relative, '/' and '#' become '#' (templateEngine.safeUrl).
+  function resolveHref(href, base) {
+    var safeUrl = deps.engine().safeUrl;
+    if (href && href.indexOf('[[BASE]]') === 0) return safeUrl(base + href.slice('[[BASE]]'.length));
+    if (!href || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(href)) return safeUrl(href || '#');
+    if (base && !/\/$/.test(base)) base += '/';
+    return safeUrl(base + href);
+  }
+
+  function renderSchemaItem(item, base, user) {
+    var decision = accessDecision(item, user);
+    if (decision === 'hide') return '';
+
+    var attrs = decision === 'disable'
+      ? ' class="nav-item disabled" aria-disabled="true" tabindex="-1"'
+      : ' href="' + escapeHtml(resolveHref(item.href, base)) + '" class="nav-item"';
+    if (item.key) attrs += ' data-key="' + escapeHtml(item.key) + '"';
+    if (item.match) attrs += ' data-match="' + escapeHtml(item.match) + '"';
+    if (item.external && decision !== 'disable') attrs += ' target="_blank" rel="noopener noreferrer"';
+
+    var html = '<a' + attrs + '>';
+    if (item.icon) html += icon(item.icon, 'nav-icon');
+    html += '<span class="nav-label">' + escapeHtml(item.label) + '</span>';
+    if (item.badge !== undefined && item.badge !== null && item.badge !== '') {
+      html += '<span class="nav-badge">' + escapeHtml(item.badge) + '</span>';
+    }
+    if (item.external) html += icon('external-link', 'nav-external-icon');
+    return html + '</a>';
+  }
+
+  function renderSchemaSection(section, base, user) {
+    if (accessDecision(section, user) !== 'show') return '';
+
+    var items = (section.items || []).map(function (item) {
+      return renderSchemaItem(item, base, user);
+    }).join('');
+    if (!items) return ''; // nothing visible: collapse the section
+    var attrs = section.key ? ' data-section="' + escapeHtml(section.key) + '"' : '';
+    var title = section.title ? '<div class="nav-section-title">' + escapeHtml(section.title) + '</div>' : '';
+    return '<div class="nav-section"' + attrs + '>' + title + items + '</div>';
+  }
+
+  /**
+   * Render the sidebar from a navigation schema instead of an HTML template:
+   * {
+   *   brand: { label, href, icon },
+   *   sections: [{ key, title, roles, permissions,
+   *                items: [{ key, label, href, icon, badge, external, match, roles, permissions, whenDenied }] }]
+   * }
+   * Produces the same markup structure as sidebar.html, so styling is shared.
+   */
+  function sidebarFromSchema(schema, base, activeKey, user) {
+    var html = '';
+    var brand = schema.brand;
+    if (brand) {
+      html += '<div class="sidebar-header"><a href="' + escapeHtml(resolveHref(brand.href, base)) + '" class="sidebar-logo">';
+      html += brand.icon ? icon(brand.icon) : '';
+      html += '<span class="sidebar-logo-text">' + escapeHtml(brand.label || '') + '</span></a></div>';
+    }
+
+    html += '<nav class="sidebar-nav">';
+    html += (schema.sections || []).map(function (section) {
+      return renderSchemaSection(section, base, user);
+    }).join('');
+    html += '</nav>';
+
+    // Schema values are data, never template syntax: no token pass
+    return finishSidebar(html, base, activeKey, user);
+  }
+
+  // ---- Brand ----
+
+  // Neutral defaults: every product describes itself with a brand configuration.
+  // Default labels are translated for the active locale.
+  function defaultBrand() {
+    return {
+      name: 'SirsiMaster',
+      subtitle: { admin: t('brand.adminSubtitle'), client: '', public: '' },
+      logo: null, // image URL or inline <svg> markup; replaces icon
+      icon: 'grid', // core/icons.js name
+      home: null, // default: [[BASE]]/
+      nav: [], // public navigation: [{ label, href, roles, permissions }]
+      auth: { signIn: t('auth.signIn'), signInHref: 'login.html', signUp: t('auth.signUp'), signUpHref: 'register.html' }
+    };
+  }
+  var AUTH_KEYS = ['signIn', 'signInHref', 'signUp', 'signUpHref'];
+  var HEADER_TYPES = ['admin', 'client', 'public'];
+
+  /**
+   * What a data-brand value holds: inline JSON ('inline'), a JSON file to load
+   * ('url') or just the product name ('name'). Returns null for an empty value.
+   */
+  function brandSource(value) {
+    value = (value || '').trim();
+    if (!value) return null;
+    if (value.charAt(0) === '{') return { type: 'inline', value: value };
+    if (/\.json(?:[?#].*)?$/i.test(value)) return { type: 'url', value: value };
+    return { type: 'name', value: value };
+  }
+
+  // A string subtitle applies to every header type; auth: false removes the buttons
+  function mergeBrand(brand, changes) {
+    if (!changes || typeof changes !== 'object') return brand;
+    Object.keys(changes).forEach(function (key) {
+      var value = changes[key];
+      if (key === 'subtitle') {
+        HEADER_TYPES.forEach(function (type) {
+          if (typeof value === 'string') brand.subtitle[type] = value;
+          else if (value && value[type] !== undefined) brand.subtitle[type] = value[type];
+        });
+      } else if (key === 'auth' && value) {
+        var auth = brand.auth || defaultBrand().auth;
+        brand.auth = {};
+        AUTH_KEYS.forEach(function (name) {
+          brand.auth[name] = value[name] !== undefined ? value[name] : auth[name];
+        });
+      } else {
+        brand[key] = value;
+      }
+    });
+    return brand;
+  }
+
+  /**
+   * The brand for a header: defaults, then the shared brand (one object or a list,
+   * later ones winning), then the element's inline data-brand (JSON or a plain name)
+   * and data-nav-items.
+   */
+  function resolveBrand(el, shared) {
+    var brand = mergeBrand({ subtitle: {} }, defaultBrand());
+    [].concat(shared || []).forEach(function (source) { mergeBrand(brand, source); });
+
+    var source = brandSource(el.getAttribute('data-brand'));
+    if (source && source.type === 'inline') mergeBrand(brand, parseJsonAttribute(el, 'data-brand', 'data-brand'));
+    else if (source && source.type === 'name') brand.name = source.value;
+    if (el.getAttribute('data-nav-items')) brand.nav = parseJsonAttribute(el, 'data-nav-items', 'data-nav-items');
+    return brand;
+  }
+
+  // Inline SVG logos keep only drawing elements and attributes (sanitizeSvg). The icon
+  // needs core/icons.js; without it the header simply shows no logo.
+  function brandLogo(brand, base) {
+    if (brand.logo && /^\s*<svg[\s>]/i.test(brand.logo)) return sanitizeSvg(brand.logo);
+    if (brand.logo) return '<img class="brand-logo-img" src="' + escapeHtml(resolveHref(brand.logo, base)) + '" alt="">';
+    var icons = deps.icons();
+    return brand.icon && icons ? icons.svg(brand.icon, { className: 'brand-icon' }) : '';
+  }
+
+  var NAV_TEMPLATE = '[[#each LINKS as link]]<a href="[[link.href]]" class="nav-link">[[link.label]]</a>[[/each]]';
+  var AUTH_TEMPLATE = '[[#if AUTH]]' +
+    '<a href="[[AUTH.signInHref]]" class="auth-link" data-auth="sign-in">[[AUTH.signIn]]</a>' +
+    '<a href="[[AUTH.signUpHref]]" class="auth-btn" data-auth="sign-up">[[AUTH.signUp]]</a>' +
+    '[[/if]]';
+
+  // Public navigation links the user may see, with resolved hrefs
+  function brandLinks(brand, base, user) {
+    return (brand.nav || []).filter(function (link) {
+      return accessDecision(link, user) === 'show';
+    }).map(function (link) {
+      return { href: resolveHref(link.href, base), label: link.label };
+    });
+  }
+
+  function brandNav(brand, base, user) {
+    return fill(NAV_TEMPLATE, { LINKS: brandLinks(brand, base, user) }, 'brand navigation');
+  }
+
+  function brandAuth(brand, base) {
+    var auth = brand.auth;
+    return fill(AUTH_TEMPLATE, {
+      AUTH: auth && {
+        signIn: auth.signIn,
+        signInHref: resolveHref(auth.signInHref, base),
+        signUp: auth.signUp,
+        signUpHref: resolveHref(auth.signUpHref, base)
+      }
+    }, 'brand sign-in buttons');
+  }
+
+  /**
+   * Fill the [data-brand-*] elements of every layout: home link, logo, name, the
+   * subtitle for the layout's header type, public navigation and sign-in buttons.
+   */
+  function renderBrand(html, config) {
+    var brand = config.brand;
+    var base = config.base;
+    var home = brand.home ? resolveHref(brand.home, base) : base + '/';
+
+    HEADER_TYPES.forEach(function (type) {
+      var section = findElement(html, hasAttribute('data-show-if-type', type));
+      if (!section) return;
+      var part = setEveryContent(html.slice(section.start, section.end), hasAttribute('data-brand-subtitle'), escapeHtml(brand.subtitle[type] || ''));
+      html = html.slice(0, section.start) + part + html.slice(section.end);
+    });
+
+    html = updateTags(html, hasAttribute('data-brand-home'), function (attrs) {
+      return writeAttribute(attrs, 'href', home);
+    });
+    html = setEveryContent(html, hasAttribute('data-brand-logo'), brandLogo(brand, base));
+    html = setEveryContent(html, hasAttribute('data-brand-name'), escapeHtml(brand.name));
+    html = setEveryContent(html, hasAttribute('data-brand-nav'), brandNav(brand, base, config.user));
+    html = setEveryContent(html, hasAttribute('data-brand-auth'), brandAuth(brand, base));
+    return html;
+  }
+
+  // ---- Universal header ----
+
+  /**
+   * Render the <header class="universal-header"> element for config.type.
+   * Action buttons carry data-action-index; the loader binds them with SirsiMaster.actions.
+   * Tokens: BASE, TYPE, TITLE, SUBTITLE, USER_NAME, USER_EMAIL, AVATAR_URL (empty
+   * without an avatar image), SEARCH_PLACEHOLDER and SHOW_AUTH (data-show-auth="true").
+   * data-show-if="authenticated" / "anonymous" elements follow the signed-in state.
+   */
+  function universalHeader(template, config) {
+    var html = fill(template, {
+      BASE: config.base,
+      TYPE: config.type,
+      TITLE: config.title,
+      SUBTITLE: config.subtitle,
+      USER_NAME: config.userName,
+      USER_EMAIL: config.userEmail,
+      AVATAR_URL: config.avatarUrl,
+      SEARCH_PLACEHOLDER: config.searchPlaceholder,
+      SHOW_AUTH: !!config.showAuth
+    }, 'universal-header template');
+    html = applyTemplateAccess(translate(html), config.user);
+    html = applyAuthState(html, config.authState);
+    if (config.brand) html = renderBrand(html, config);
+    html = setEveryContent(html, hasAttribute('data-user-welcome'), escapeHtml(t('universal.welcome', { name: config.userName })));
+    if (config.userMenu && config.userMenu.length) {
+      html = setEveryContent(html, hasAttribute('data-user-menu'), renderMenuItems(config.userMenu, config.user));
+    }
+    var header = findElement(html, function (name) { return name === 'header'; });
+    if (header) html = html.slice(header.start, header.end);
+
+    // Show only the appropriate header type
+    html = updateTags(html, hasAttribute('data-show-if-type'), function (attrs) {
+      var visible = readAttribute(attrs, 'data-show-if-type') === config.type;
+      return writeAttribute(attrs, 'style', 'display: ' + (visible ? 'flex' : 'none') + ';');
+    });
+
+    if (config.actions && config.actions.length && config.type === 'admin') {
+      var shown = findElement(html, hasAttribute('data-show-if-type', 'admin'));
+      if (shown) {
+        var section = html.slice(shown.start, shown.end);
+        section = setContent(section, hasAttribute('data-header-actions'), renderActions(config.actions, config.user));
+        html = html.slice(0, shown.start) + section + html.slice(shown.end);
+      }
+    }
+
+    return html;
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    translate: translate,
+    readAttribute: readAttribute,
+    resolveUser: resolveUser,
+    resolveIdentity: resolveIdentity,
+    writeAttribute: writeAttribute,
+    findElement: findElement,
+    stripLeadingComment: stripLeadingComment,
+    sanitizeSvg: sanitizeSvg,
+    resolveBase: resolveBase,
+    parseAdminHeaderConfig: parseAdminHeaderConfig,
+    parseUniversalHeaderConfig: parseUniversalHeaderConfig,
+    brandSource: brandSource,
+    resolveBrand: resolveBrand,
+    renderActions: renderActions,
+    renderMenuItems: renderMenuItems,
+    adminHeader: adminHeader,
+    sidebar: sidebar,
+    sidebarFromSchema: sidebarFromSchema,
+    universalHeader: universalHeader
+  };
+});
@@ -0,0 +1,528 @@
+/**
+ * Global Search
+ *
+ * How it works:
+ * - The header loaders attach every [data-search-input] they render; typing runs a
+ *   debounced query against all registered providers and lists the results in a
+ *   dropdown under the input (ARIA combobox: ↑/↓ to move, Enter to open, Escape to close)
+ * - Ctrl/Cmd+K focuses the header search, or opens a search palette when the page has
+ *   no visible search input
+ * - Providers are functions of the query returning results, or a Promise of them:
+ *     SirsiMaster.search.register('customers', function (query) {
+ *       return fetch('/api/customers?q=' + encodeURIComponent(query)).then(function (r) { return r.json(); });
+ *     }, { label: 'Customers' });
+ *   A result is { title, url, description } or { title, action } where action names a
+ *   handler registered with SirsiMaster.actions.register() (core/actions.js); only
+ *   http(s), mailto, relative, '/' and '#' URLs are opened (templateEngine.safeUrl)
+ * - Built in: 'pages' (the sidebar's links) and 'index' (SirsiMasterConfig.search.index,
+ *   an array of results or the URL of a JSON file with one)
+ * - Choosing a result dispatches a cancellable, bubbling 'sirsiMasterSearchSelect' event
+ *   on the input; Enter without a highlighted result dispatches 'sirsiMasterSearchSubmit'
+ *
+ * Options from window.SirsiMasterConfig.search:
+ *   { index, debounce: 150, minLength: 1, limit: 5, shortcut: true }
+ */
+(function (root, factory) {
+  var search = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = search;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.search = search;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var DEFAULTS = { debounce: 150, minLength: 1, limit: 5, shortcut: true };
+
+  var providers = []; // { name, provider, label, limit } in registration order
+  var sessions = 0; // ids for listbox/option elements
+  var palette = null; // { element, input, detach, lastFocus } while the palette is open
+  var indexRequest = null; // Promise of the SirsiMasterConfig.search.index results
+
+  function settings() {
+    var config = (window && window.SirsiMasterConfig && window.SirsiMasterConfig.search) || {};
+    var result = {};
+    for (var key in DEFAULTS) result[key] = config[key] !== undefined ? config[key] : DEFAULTS[key];
+    return result;
+  }
+
+  var missingI18n = false;
+
+  function t(key, params) {
+    var i18n = window.SirsiMaster && window.SirsiMaster.i18n;
+    if (i18n) return i18n.t(key, params);
+    if (!missingI18n) console.error('search.js requires core/i18n.js to be loaded first');
+    missingI18n = true;
+    return key;
+  }
+
+  var missingEngine = false;
+
+  // Result URLs pass the template engine's check (http(s), mailto, relative, '/', '#');
+  // any other link gives null and is neither rendered nor opened
+  function safeUrl(url) {
+    var engine = window.SirsiMaster && window.SirsiMaster.templateEngine;
+    if (engine) return engine.safeUrl(url, null);
+    if (!missingEngine) console.error('search.js requires core/template-engine.js to be loaded first');
+    missingEngine = true;
+    return null;
+  }
+
+  // ---- Providers ----
+
+  function findProvider(name) {
+    for (var i = 0; i < providers.length; i++) {
+      if (providers[i].name === name) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Add a result provider (or replace the one with the same name).
+   * options: { label: group heading (or a function returning it, e.g. to translate it),
+   *            limit: results shown (default SirsiMasterConfig.search.limit) }
+   */
+  function register(name, provider, providerOptions) {
+    if (typeof provider !== 'function') {
+      throw new TypeError('Search provider "' + name + '" must be a function');
+    }
+    providerOptions = providerOptions || {};
+    var entry = { name: name, provider: provider, label: providerOptions.label || name, limit: providerOptions.limit };
+    var existing = findProvider(name);
+    if (existing === -1) providers.push(entry);
+    else providers[existing] = entry;
+  }
+
+  function unregister(name) {
+    var existing = findProvider(name);
+    if (existing !== -1) providers.splice(existing, 1);
+  }
+
+  function has(name) {
+    return findProvider(name) !== -1;
+  }
+
+  /**
+   * Case-insensitive match score of text against the query words: 0 when a word is
+   * missing, higher when the text starts with the query.
+   */
+  function score(text, query) {
+    text = String(text || '').toLowerCase();
+    query = String(query || '').toLowerCase().trim();
+    if (!query) return 0;
+    var words = query.split(/\s+/);
+    for (var i = 0; i < words.length; i++) {
+      if (text.indexOf(words[i]) === -1) return 0;
+    }
+    if (text.indexOf(query) === 0) return 3;
+    if (text.indexOf(query) !== -1) return 2;
+    return 1;
+  }
+
+  /**
+   * Provider searching a fixed list of results by title, description and keywords.
+   */
+  function staticIndex(items) {
+    return function (query) {
+      return (items || [])
+        .map(function (item) {
+          // Title matches rank above matches in the description or keywords
+          var text = [item.title, item.description].concat(item.keywords || []).join(' ');
+          return { item: item, score: score(item.title, query) * 2 || score(text, query) };
+        })
+        .filter(function (entry) { return entry.score > 0; })
+        .sort(function (a, b) { return b.score - a.score; })
+        .map(function (entry) { return entry.item; });
+    };
+  }
+
+  // Matches in the document and in the shadow roots of the navigation custom elements
+  // (navigation/elements.js)
+  function queryAll(selector) {
+    var found = Array.prototype.slice.call(document.querySelectorAll(selector));
+    Array.prototype.forEach.call(document.querySelectorAll('sm-admin-header, sm-sidebar, sm-universal-header'), function (host) {
+      if (host.shadowRoot) found = found.concat(Array.prototype.slice.call(host.shadowRoot.querySelectorAll(selector)));
+    });
+    return found;
+  }
+
+  // Links of the rendered sidebar: label, section title and href
+  function sidebarPages(query) {
+    var items = Array.prototype.map.call(
+      queryAll('.sidebar .nav-item[href]:not(.disabled)'),
+      function (link) {
+        var label = link.cloneNode(true);
+        Array.prototype.forEach.call(label.querySelectorAll('.nav-badge'), function (badge) {
+          badge.parentNode.removeChild(badge);
+        });
+        var section = link.closest('.nav-section');
+        var title = section && section.querySelector('.nav-section-title');
+        return {
+          title: label.textContent.trim(),
+          description: title ? title.textContent.trim() : '',
+          url: link.getAttribute('href')
+        };
+      }
+    );
+    return staticIndex(items)(query);
+  }
+
+  // SirsiMasterConfig.search.index: results inline, or a JSON file fetched on first use
+  function configuredIndex(query) {
+    var index = window.SirsiMasterConfig && window.SirsiMasterConfig.search && window.SirsiMasterConfig.search.index;
+    if (!index) return [];
+    if (Array.isArray(index)) return staticIndex(index)(query);
+
+    if (!indexRequest) {
+      indexRequest = fetch(index).then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status + ' ' + response.statusText);
+        return response.json();
+      });
+      indexRequest.catch(function (err) {
+        console.warn('Failed to load search index ' + index + ':', err);
+        indexRequest = null; // retried on the next query
+      });
+    }
+    return indexRequest.then(function (items) { return staticIndex(items)(query); });
+  }
+
+  /**
+   * Run every provider for query. Resolves with the non-empty groups
+   * [{ name, label, results }] in registration order; a failing provider is skipped.
+   */
+  function query(text) {
+    var limit = settings().limit;
+    return Promise.all(providers.map(function (entry) {
+      var results;
+      try {
+        results = entry.provider(text);
+      } catch (err) {
+        results = Promise.reject(err);
+      }
+      return Promise.resolve(results).then(function (list) {
+        return {
+          name: entry.name,
+          label: typeof entry.label === 'function' ? entry.label() : entry.label,
+          results: (list || []).slice(0, entry.limit || limit)
+        };
+      }, function (err) {
+        console.warn('Search provider "' + entry.name + '" failed:', err);
+        return null;
+      });
+    })).then(function (groups) {
+      return groups.filter(function (group) { return group && group.results.length; });
+    });
+  }
+
+  // ---- Dropdown ----
+
+  function dispatch(input, type, detail) {
+    return input.dispatchEvent(new CustomEvent(type, { bubbles: true, cancelable: true, detail: detail }));
+  }
+
+  function choose(input, result, group, component, event) {
+    var detail = { query: input.value, result: result, provider: group.name, component: component };
+    if (!dispatch(input, 'sirsiMasterSearchSelect', detail)) return false;
+
+    if (result.action) {
+      var actions = window.SirsiMaster && window.SirsiMaster.actions;
+      if (actions) actions.run(result.action, { name: result.action, result: result, component: component }, event);
+      else console.error('search.js requires core/actions.js to run result actions');
+    } else if (result.url) {
+      var url = safeUrl(result.url);
+      if (url) window.location.assign(url);
+      else console.warn('Search result URL not opened:', result.url);
+    }
+    return true;
+  }
+
+  /**
+   * Turn an input into a search combobox. component names the source ('admin-header',
+   * 'universal-header', 'palette') in event details. Returns a function that detaches it.
+   */
+  function attach(input, attachOptions) {
+    if (!input || input.getAttribute('data-search-attached') !== null) return function () {};
+    attachOptions = attachOptions || {};
+    var component = attachOptions.component || null;
+    var id = 'sm-search-results-' + (++sessions);
+
+    var list = document.createElement('div');
+    list.className = 'sm-search-results';
+    list.id = id;
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    (attachOptions.container || input.parentNode).appendChild(list);
+
+    input.setAttribute('data-search-attached', '');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', id);
+    input.setAttribute('autocomplete', 'off');
+
+    var timer = null;
+    var seq = 0; // drops results of superseded queries
+    var rendered = []; // { element, result, group } per result in the dropdown
+    var active = -1;
+
+    function setActive(index) {
+      if (active !== -1 && rendered[active]) rendered[active].element.setAttribute('aria-selected', 'false');
+      active = index;
+      if (active === -1) {
+        input.removeAttribute('aria-activedescendant');
+        return;
+      }
+      var option = rendered[active].element;
+      option.setAttribute('aria-selected', 'true');
+      input.setAttribute('aria-activedescendant', option.id);
+      if (option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+    }
+
+    function close() {
+      seq++;
+      clearTimeout(timer);
+      list.hidden = true;
+      list.innerHTML = '';
+      rendered = [];
+      active = -1;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    function show(groups, text) {
+      list.innerHTML = '';
+      rendered = [];
+      active = -1;
+
+      if (!groups.length) {
+        var empty = document.createElement('div');
+        empty.className = 'sm-search-empty';
+        empty.textContent = t('search.noResults', { query: text });
+        list.appendChild(empty);
+      }
+
+      groups.forEach(function (group) {
+        var heading = document.createElement('div');
+        heading.className = 'sm-search-group';
+        heading.setAttribute('role', 'presentation');
+        heading.textContent = group.label;
+        list.appendChild(heading);
+
+        group.results.forEach(function (result) {
+          var url = result.url ? safeUrl(result.url) : null;
+          var option = document.createElement(url ? 'a' : 'div');
+          option.className = 'sm-search-result';
+          option.id = id + '-' + rendered.length;
+          option.setAttribute('role', 'option');
+          option.setAttribute('aria-selected', 'false');
+          option.setAttribute('tabindex', '-1');
+          if (url) option.setAttribute('href', url);
+
+          var title = document.createElement('span');
+          title.className = 'sm-search-result-title';
+          title.textContent = result.title;
+          option.appendChild(title);
+          if (result.description) {
+            var description = document.createElement('span');
+            description.className = 'sm-search-result-description';
+            description.textContent = result.description;
+            option.appendChild(description);
+          }
+
+          var index = rendered.length;
+          rendered.push({ element: option, result: result, group: group });
+          // Keep focus in the input so the dropdown doesn't close before the click lands
+          option.addEventListener('mousedown', function (event) { event.preventDefault(); });
+          option.addEventListener('mousemove', function () { if (active !== index) setActive(index); });
+          option.addEventListener('click', function (event) {
+            event.preventDefault();
+            select(index, event);
+          });
+          list.appendChild(option);
+        });
+      });
+
+      list.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+    }
+
+    function select(index, event) {
+      var option = rendered[index];
+      if (!option) return;
+      if (choose(input, option.result, option.group, component, event)) {
+        close();
+        if (attachOptions.onSelect) attachOptions.onSelect(option.result);
+      }
+    }
+
+    function run() {
+      var text = input.value.trim();
+      var current = ++seq;
+      if (text.length < settings().minLength) {
+        close();
+        return;
+      }
+      query(text).then(function (groups) {
+        if (current === seq) show(groups, text);
+      });
+    }
+
+    function onInput() {
+      clearTimeout(timer);
+      timer = setTimeout(run, settings().debounce);
+    }
+
+    function onKeydown(event) {
+      var open = !list.hidden;
+      switch (event.key) {
+        case 'ArrowDown':
+          event.preventDefault();
+          if (!open) run();
+          else if (rendered.length) setActive(active + 1 < rendered.length ? active + 1 : 0);
+          break;
+        case 'ArrowUp':
+          event.preventDefault();
+          if (open && rendered.length) setActive(active > 0 ? active - 1 : rendered.length - 1);
+          break;
+        case 'Enter':
+          event.preventDefault();
+          if (open && active !== -1) {
+            select(active, event);
+          } else if (input.value.trim()) {
+            dispatch(input, 'sirsiMasterSearchSubmit', { query: input.value.trim(), component: component });
+          }
+          break;
+        case 'Escape':
+          if (open) {
+            event.preventDefault();
+            event.stopPropagation();
+            close();
+          } else if (attachOptions.onEscape) {
+            attachOptions.onEscape();
+          }
+          break;
+      }
+    }
+
+    function onBlur() {
+      close();
+    }
+
+    input.addEventListener('input', onInput);
+    input.addEventListener('keydown', onKeydown);
+    input.addEventListener('blur', onBlur);
+
+    return function detach() {
+      close();
+      input.removeEventListener('input', onInput);
+      input.removeEventListener('keydown', onKeydown);
+      input.removeEventListener('blur', onBlur);
+      input.removeAttribute('data-search-attached');
+      if (list.parentNode) list.parentNode.removeChild(list);
+    };
+  }
+
+  // ---- Palette ----
+
+  function isVisible(element) {
+    return !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+  }
+
+  /**
+   * Open the search palette: a dialog with its own search input, for pages without a
+   * visible header search. text pre-fills the query.
+   */
+  function open(text) {
+    if (palette) {
+      palette.input.focus();
+      return palette.element;
+    }
+
+    var element = document.createElement('div');
+    element.className = 'sm-search-palette';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', t('search.label'));
+
+    var panel = document.createElement('div');
+    panel.className = 'sm-search-palette-panel';
+    var input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'sm-search-palette-input';
+    input.setAttribute('aria-label', t('search.label'));
+    input.setAttribute('placeholder', t('header.searchPlaceholder'));
+    panel.appendChild(input);
+    element.appendChild(panel);
+
+    element.addEventListener('mousedown', function (event) {
+      if (event.target === element) close(); // backdrop
+    });
+
+    palette = {
+      element: element,
+      input: input,
+      lastFocus: document.activeElement,
+      detach: attach(input, { component: 'palette', container: panel, onSelect: close, onEscape: close })
+    };
+    document.body.appendChild(element);
+    input.focus();
+
+    if (text) {
+      input.value = text;
+      input.dispatchEvent(new Event('input'));
+    }
+    return element;
+  }
+
+  function close() {
+    if (!palette) return;
+    var current = palette;
+    palette = null;
+    current.detach();
+    if (current.element.parentNode) current.element.parentNode.removeChild(current.element);
+    if (current.lastFocus && current.lastFocus.focus && document.contains(current.lastFocus)) current.lastFocus.focus();
+  }
+
+  function isOpen() {
+    return !!palette;
+  }
+
+  // Ctrl/Cmd+K: the header's search input when one is visible, the palette otherwise
+  function onShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || String(event.key).toLowerCase() !== 'k') return;
+    if (!settings().shortcut) return;
+    event.preventDefault();
+
+    if (palette) {
+      close();
+      return;
+    }
+    var inputs = queryAll('[data-search-input]');
+    for (var i = 0; i < inputs.length; i++) {
+      if (isVisible(inputs[i])) {
+        inputs[i].focus();
+        inputs[i].select();
+        return;
+      }
+    }
+    open();
+  }
+
+  register('pages', sidebarPages, { label: function () { return t('search.pages'); } });
+  register('index', configuredIndex, { label: function () { return t('search.results'); } });
+
+  if (window && window.document) {
+    window.document.addEventListener('keydown', onShortcut);
+  }
+
+  return {
+    register: register,
+    unregister: unregister,
+    has: has,
+    staticIndex: staticIndex,
+    query: query,
+    attach: attach,
+    open: open,
+    close: close,
+    isOpen: isOpen
+  };
+});
@@ -4,22 +4,70 @@
  * How it works:
  * - On DOMContentLoaded, replaces <aside id="sidebar-root"> with the shared template
  * - Dynamically calculates correct base path for navigation links
- * - Highlights active item via data-active (data-key in template)
+ * - Highlights the active item: data-active (data-key in template) pins it, otherwise
+ *   the item whose href best matches window.location (exact, then longest prefix;
+ *   data-match="exact" opts an item out of prefix matching)
+ * - Follows SPA navigation (history.pushState/replaceState, popstate) and marks
+ *   the active item with aria-current="page"
  * - Works correctly from any location in the site hierarchy
+ * - Template URL comes from core/template-resolver.js (data-template-src,
+ *   SirsiMasterConfig.manifest/templateBase, or next to this script); a skeleton
+ *   fills the placeholder while it loads, and a failed load falls back to the
+ *   resolver's cached, inline or offline template
+ * - Navigation can instead come from a JSON schema: data-nav-src="nav.json" or
+ *   window.SirsiMasterConfig.navigation (icons by name from core/icons.js)
+ * - Entries with data-roles/data-permissions (or roles/permissions in the schema) are
+ *   hidden or disabled for the user context from core/access.js; the sidebar
+ *   re-renders when SirsiMaster.access.setUser() changes it
+ * - Markup is produced by navigation/render.js, shared with the static prerender CLI
+ * - Section titles collapse their section; on desktop the sidebar can shrink to an
+ *   icon-only rail, on phones it opens as a drawer with a backdrop and focus trap
+ * - Rail mode and collapsed sections persist in localStorage per project
+ *   (data-project, SirsiMasterConfig.project, or the site host)
+ * - Any [data-sidebar-toggle] button (the header hamburger) calls SirsiMaster.sidebar.toggle()
+ * - Runtime API on SirsiMaster.sidebar: setActive(key), setBadge(key, value), ready(),
+ *   destroy() and init() for single-page apps. It controls the page's sidebar: the
+ *   #sidebar-root one, else the first <sm-sidebar>
+ * - SirsiMaster.sidebar.create(root, options) renders a sidebar in place of any node;
+ *   the #sidebar-root placeholder and <sm-sidebar> (navigation/elements.js) are both
+ *   built on it
  */
 (function () {
+  // Captured while the script executes; used to resolve the template next to it
+  var scriptSrc = document.currentScript ? document.currentScript.src : '';
+
+  // Drawer mode below this width; matches the breakpoint in admin-layout.css
+  var MOBILE_QUERY = '(max-width: 768px)';
+  var STORAGE_PREFIX = 'sirsimaster.sidebar:';
+
+  var instances = []; // live sidebars in creation order
+  var page = null; // sidebar of the #sidebar-root placeholder (or the prerendered one)
+  var early = { badges: {}, active: null }; // API calls made before any sidebar exists
+  var readyState = deferred();
+
+  function deferred() {
+    var d = {};
+    d.promise = new Promise(function (resolve, reject) {
+      d.resolve = resolve;
+      d.reject = reject;
+    });
+    d.promise.catch(function () {}); // callers of ready() still see the rejection
+    return d;
+  }
+
+  // data-base, else the path to admin/ from the current location
   function resolveBase(el) {
-    var base = el.getAttribute('data-base');
-    if (base && base.trim()) return base.replace(/\/$/, '');
+    var base = window.SirsiMaster.render.resolveBase(el, true);
+    if (base !== null) return base;
 
     // Calculate relative path to admin root based on current location
     var path = window.location.pathname;
-    
+
     // For development subfolder pages
     if (path.includes('/admin/development/')) {
       return '../'; // Go up one level to admin/
     }
-    // For contract subfolder pages  
+    // For contract subfolder pages
     else if (path.includes('/admin/contracts/')) {
       return '../'; // Go up one level to admin/
     }
@@ -31,51 +79,568 @@
     return 'admin/';
   }
 
-  function injectSidebar(root, base, activeKey) {
-    var xhr = new XMLHttpRequest();
-    var path = window.location.pathname;
-    var sidebarPath;
-    
-    // Determine the correct path to sidebar.html based on current location
-    if (path.includes('/assiduousflip/admin/development/') || path.includes('/assiduousflip/admin/contracts/')) {
-      sidebarPath = '../../components/sidebar.html';
-    } else if (path.includes('/admin/development/') || path.includes('/admin/contracts/')) {
-      sidebarPath = '../../components/sidebar.html';
-    } else if (path.includes('/assiduousflip/admin/')) {
-      sidebarPath = '../components/sidebar.html';
-    } else if (path.includes('/admin/') || path.includes('/client/') || path.includes('/docs/')) {
-      sidebarPath = '../components/sidebar.html';
-    } else if (path.includes('/assiduousflip/')) {
-      sidebarPath = 'components/sidebar.html';
-    } else {
-      // Root level
-      sidebarPath = 'components/sidebar.html';
-    }
-    
-    console.log('Loading sidebar from:', sidebarPath);
-    
-    xhr.open('GET', sidebarPath);
-    xhr.onreadystatechange = function () {
-      if (xhr.readyState === 4) {
-        if (xhr.status >= 200 && xhr.status < 300) {
-          var html = xhr.responseText.replace(/\[\[BASE\]\]/g, base);
-          root.outerHTML = '<aside class="sidebar" data-base="' + base + '">' + html + '</aside>';
-          // Highlight active link
-          if (activeKey) {
-            var aside = document.querySelector('aside.sidebar');
-            if (aside) {
-              var link = aside.querySelector('[data-key="' + activeKey + '"]');
-              if (link) link.classList.add('active');
-            }
+  function isMobile() {
+    return !!(window.matchMedia && window.matchMedia(MOBILE_QUERY).matches);
+  }
+
+  // The sidebar the hamburger and SirsiMaster.sidebar control
+  function primary() {
+    return page || instances[0] || null;
+  }
+
+  // ---- Sections ----
+
+  // Schema sections carry data-section; template sections are identified by title
+  function sectionKey(section) {
+    var title = section.querySelector('.nav-section-title');
+    return section.getAttribute('data-section') || (title ? title.textContent.trim() : '');
+  }
+
+  function setSectionCollapsed(section, collapsed) {
+    section.classList.toggle('collapsed', collapsed);
+    var title = section.querySelector('.nav-section-title');
+    if (title) title.setAttribute('aria-expanded', String(!collapsed));
+  }
+
+  // ---- Active item ----
+
+  // Compare paths without index.html or trailing slashes
+  function normalizePath(path) {
+    return path.replace(/\/index\.html?$/, '/').replace(/\/+$/, '') || '/';
+  }
+
+  /**
+   * How well an item's link matches the current location: -1 for no match,
+   * otherwise longer (more specific) prefixes score higher and exact matches win.
+   */
+  function matchScore(item, location) {
+    var href = item.getAttribute('href');
+    if (!href || href.charAt(0) === '#' || item.origin !== location.origin) return -1;
+
+    var itemPath = normalizePath(item.pathname);
+    var current = normalizePath(location.pathname);
+    if (itemPath === current) return 100000 + itemPath.length;
+    if (item.getAttribute('data-match') === 'exact' || itemPath === '/') return -1;
+
+    // '/admin/users.html' also owns '/admin/users/42'
+    var prefix = itemPath.replace(/\.html?$/, '');
+    return current.indexOf(prefix + '/') === 0 ? prefix.length : -1;
+  }
+
+  // Navigation schema from data-nav-src (URL) or window.SirsiMasterConfig.navigation;
+  // callback(null) means no schema, so the HTML template is used
+  function loadSchema(root, fetchText, callback) {
+    var src = root.getAttribute('data-nav-src');
+    if (!src) {
+      callback((window.SirsiMasterConfig || {}).navigation || null);
+      return;
+    }
+
+    console.log('Loading sidebar navigation schema from:', src);
+    fetchText(src, function (err, text) {
+      var schema = null;
+      if (err) {
+        console.error('Failed to load sidebar navigation schema:', src, err.message);
+      } else {
+        try {
+          schema = JSON.parse(text);
+        } catch (e) {
+          console.error('Failed to parse sidebar navigation schema:', src, e);
+        }
+      }
+      callback(schema);
+    });
+  }
+
+  /**
+   * Render a sidebar in place of root and keep it current. A prerendered sidebar
+   * (data-prerendered) is only enhanced.
+   * options.source: where the data-* configuration is read (default root)
+   * options.onRender(aside): called after every render
+   * Returns the sidebar's API (toggle, open, close, setActive, setBadge, ... and
+   * element(), ready(), destroy()).
+   */
+  function create(root, options) {
+    options = options || {};
+    var source = options.source || root;
+    var sidebarEl = null; // the live <aside class="sidebar">
+    var storageKey = null;
+    var state = { rail: false, collapsed: [] };
+    var drawerOpen = false;
+    var lastFocus = null;
+    var pinnedKey = source.getAttribute('data-active') || ''; // fixes the active item instead of matching the URL
+    var badges = {}; // setBadge() values, re-applied when the sidebar re-renders
+    var overlay = null; // drawer backdrop
+    var redraw = null; // access-change listener of the mounted sidebar
+    var destroyed = false; // late template loads are dropped
+    var hideSkeleton = function () {}; // restores the placeholder shown while loading
+    var prerendered = root.hasAttribute && root.hasAttribute('data-prerendered');
+    var id = instances.length ? 'sidebar-' + (instances.length + 1) : 'sidebar';
+    var instanceReady = deferred();
+    var instance;
+
+    // ---- Persisted state ----
+
+    function projectKey(el) {
+      var config = window.SirsiMasterConfig || {};
+      return el.getAttribute('data-project') || config.project || window.location.host || 'default';
+    }
+
+    function loadState(el) {
+      storageKey = STORAGE_PREFIX + projectKey(el);
+      try {
+        var saved = JSON.parse(window.localStorage.getItem(storageKey));
+        if (saved) {
+          state = { rail: !!saved.rail, collapsed: saved.collapsed || [] };
+        }
+      } catch (e) {
+        // Storage blocked or unreadable: keep the expanded default
+      }
+    }
+
+    function saveState() {
+      if (!storageKey) return; // sidebar not loaded yet
+      try {
+        window.localStorage.setItem(storageKey, JSON.stringify(state));
+      } catch (e) {
+        console.warn('Could not persist sidebar state:', e.message);
+      }
+    }
+
+    // ---- Sections ----
+
+    function findSection(key) {
+      if (!sidebarEl) return null;
+      var sections = sidebarEl.querySelectorAll('.nav-section');
+      for (var i = 0; i < sections.length; i++) {
+        if (sectionKey(sections[i]) === key) return sections[i];
+      }
+      return null;
+    }
+
+    /**
+     * Collapse or expand a section by key; toggles when collapsed is omitted.
+     */
+    function toggleSection(key, collapsed) {
+      var section = findSection(key);
+      if (!section) return;
+      if (typeof collapsed !== 'boolean') collapsed = !section.classList.contains('collapsed');
+
+      setSectionCollapsed(section, collapsed);
+      state.collapsed = state.collapsed.filter(function (k) { return k !== key; });
+      if (collapsed) state.collapsed.push(key);
+      saveState();
+    }
+
+    // ---- Active item ----
+
+    function findActiveItem() {
+      var items = sidebarEl.querySelectorAll('.nav-item:not(.disabled)');
+      var best = null;
+      var bestScore = -1;
+      for (var i = 0; i < items.length; i++) {
+        if (pinnedKey) {
+          if (items[i].getAttribute('data-key') === pinnedKey) return items[i];
+          continue;
+        }
+        var score = matchScore(items[i], window.location);
+        if (score > bestScore) {
+          best = items[i];
+          bestScore = score;
+        }
+      }
+      return best;
+    }
+
+    function syncActive() {
+      if (!sidebarEl) return;
+      var active = findActiveItem();
+
+      Array.prototype.forEach.call(sidebarEl.querySelectorAll('.nav-item.active, .nav-item[aria-current]'), function (item) {
+        if (item === active) return;
+        item.classList.remove('active');
+        item.removeAttribute('aria-current');
+      });
+      if (!active) return;
+
+      active.classList.add('active');
+      active.setAttribute('aria-current', 'page');
+      // Reveal it without changing the saved collapsed state
+      var section = active.closest('.nav-section');
+      if (section && section.classList.contains('collapsed')) setSectionCollapsed(section, false);
+    }
+
+    function findItem(key) {
+      if (!sidebarEl) return null;
+      var items = sidebarEl.querySelectorAll('.nav-item');
+      for (var i = 0; i < items.length; i++) {
+        if (items[i].getAttribute('data-key') === key) return items[i];
+      }
+      return null;
+    }
+
+    /**
+     * Pin the active item to key; a falsy key goes back to matching the URL.
+     */
+    function setActive(key) {
+      pinnedKey = key || '';
+      syncActive();
+    }
+
+    // ---- Badges ----
+
+    function applyBadge(key) {
+      var item = findItem(key);
+      if (!item) return;
+
+      var badge = item.querySelector('.nav-badge');
+      if (!Object.prototype.hasOwnProperty.call(badges, key)) {
+        if (badge) badge.parentNode.removeChild(badge);
+        return;
+      }
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'nav-badge';
+        item.insertBefore(badge, item.querySelector('.nav-external-icon'));
+      }
+      badge.textContent = badges[key];
+    }
+
+    /**
+     * Show value in the item's badge; 0, null or '' removes the badge.
+     */
+    function setBadge(key, value) {
+      if (value === null || value === undefined || value === '' || value === 0) {
+        delete badges[key];
+      } else {
+        badges[key] = String(value);
+      }
+      applyBadge(key);
+    }
+
+    // ---- Rail ----
+
+    function applyRail() {
+      sidebarEl.classList.toggle('sidebar-rail', state.rail);
+      // Labels are hidden in the rail, so expose them as tooltips
+      Array.prototype.forEach.call(sidebarEl.querySelectorAll('.nav-item'), function (item) {
+        if (state.rail) item.setAttribute('title', item.textContent.trim());
+        else item.removeAttribute('title');
+      });
+    }
+
+    function setRail(rail) {
+      state.rail = !!rail;
+      if (sidebarEl) applyRail();
+      saveState();
+      updateToggles();
+    }
+
+    // ---- Mobile drawer ----
+
+    // Next to the sidebar's document or shadow root, so it gets the same styles
+    function backdrop() {
+      if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.className = 'sidebar-backdrop';
+        overlay.addEventListener('click', close);
+        var rootNode = sidebarEl.getRootNode ? sidebarEl.getRootNode() : document;
+        (rootNode === document ? document.body : rootNode).appendChild(overlay);
+      }
+      return overlay;
+    }
+
+    function activeElement() {
+      var rootNode = sidebarEl.getRootNode ? sidebarEl.getRootNode() : document;
+      return rootNode.activeElement || document.activeElement;
+    }
+
+    function focusableItems() {
+      return Array.prototype.filter.call(sidebarEl.querySelectorAll('a[href], button:not([disabled]), [tabindex="0"]'), function (el) {
+        return !(el.classList.contains('nav-item') && el.closest('.nav-section.collapsed'));
+      });
+    }
+
+    function onDrawerKeydown(e) {
+      if (e.key === 'Escape') {
+        close();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      // Keep focus inside the drawer while it is open
+      var items = focusableItems();
+      if (!items.length) return;
+      var first = items[0];
+      var last = items[items.length - 1];
+      if (e.shiftKey && activeElement() === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && activeElement() === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    function open() {
+      if (!sidebarEl || drawerOpen) return;
+      drawerOpen = true;
+      lastFocus = document.activeElement;
+      sidebarEl.classList.add('mobile-open');
+      backdrop().classList.add('visible');
+      document.addEventListener('keydown', onDrawerKeydown);
+      updateToggles();
+
+      var items = focusableItems();
+      if (items.length) items[0].focus();
+    }
+
+    function close() {
+      if (!sidebarEl || !drawerOpen) return;
+      drawerOpen = false;
+      sidebarEl.classList.remove('mobile-open');
+      backdrop().classList.remove('visible');
+      document.removeEventListener('keydown', onDrawerKeydown);
+      updateToggles();
+
+      if (lastFocus && lastFocus.focus) lastFocus.focus();
+      lastFocus = null;
+    }
+
+    /**
+     * Hamburger behaviour: open/close the drawer on phones, switch rail mode on desktop.
+     */
+    function toggle() {
+      if (isMobile()) {
+        if (drawerOpen) close();
+        else open();
+      } else {
+        setRail(!state.rail);
+      }
+    }
+
+    // The hamburgers belong to the page's sidebar
+    function updateToggles() {
+      if (primary() !== instance) return;
+      var expanded = isMobile() ? drawerOpen : !state.rail;
+      Array.prototype.forEach.call(document.querySelectorAll('[data-sidebar-toggle]'), function (button) {
+        button.setAttribute('aria-expanded', String(expanded));
+        if (sidebarEl) button.setAttribute('aria-controls', sidebarEl.id);
+      });
+    }
+
+    function onBreakpoint() {
+      if (!isMobile()) close();
+      updateToggles();
+    }
+
+    // ---- Wiring ----
+
+    // Attach behaviour to a freshly rendered (or prerendered) sidebar
+    function enhance(aside) {
+      sidebarEl = aside;
+      if (!aside.id) aside.id = id;
+      syncActive();
+
+      Array.prototype.forEach.call(aside.querySelectorAll('.nav-section'), function (section) {
+        var title = section.querySelector('.nav-section-title');
+        if (!title) return;
+
+        var key = sectionKey(section);
+        title.setAttribute('role', 'button');
+        title.setAttribute('tabindex', '0');
+        // Never hide the current page behind a collapsed section
+        setSectionCollapsed(section, state.collapsed.indexOf(key) !== -1 && !section.querySelector('.nav-item.active'));
+
+        title.addEventListener('click', function () {
+          toggleSection(key);
+        });
+        title.addEventListener('keydown', function (e) {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            toggleSection(key);
           }
-        } else {
-          console.error('Failed to load sidebar template:', xhr.status, xhr.statusText, 'from path:', sidebarPath);
+        });
+      });
+
+      aside.addEventListener('click', function (e) {
+        if (drawerOpen && e.target.closest('.nav-item')) close();
+      });
+
+      Object.keys(badges).forEach(applyBadge);
+      if (drawerOpen) aside.classList.add('mobile-open');
+      applyRail();
+      updateToggles();
+      if (options.onRender) options.onRender(aside);
+      instanceReady.resolve(aside);
+    }
+
+    // Render, then re-render whenever the access user context changes.
+    // root stays the (detached) placeholder so its data-user-* attributes keep applying.
+    function mount(build) {
+      var current = root;
+      function draw() {
+        var container = document.createElement('div');
+        container.innerHTML = build(window.SirsiMaster.render.resolveUser(source));
+        var sidebar = container.firstElementChild;
+        current.parentNode.replaceChild(sidebar, current);
+        current = sidebar;
+        enhance(sidebar);
+      }
+      try {
+        draw();
+      } catch (e) {
+        // A TemplateError: the template names a token the sidebar does not provide
+        console.error('Failed to render sidebar:', e.message);
+        instanceReady.reject(e);
+        return;
+      }
+      redraw = function () {
+        // Removed from the page without destroy(): stop following access changes
+        if (!current.isConnected) {
+          window.removeEventListener('sirsiMasterAccessChange', redraw);
+          redraw = null;
+          return;
+        }
+        try {
+          draw();
+        } catch (e) {
+          // The sidebar on the page stays as it was
+          console.error('Failed to render sidebar:', e.message);
         }
+      };
+      window.addEventListener('sirsiMasterAccessChange', redraw);
+    }
+
+    function load() {
+      var SirsiMaster = window.SirsiMaster || {};
+      if (!SirsiMaster.templates || !SirsiMaster.templateEngine || !SirsiMaster.render) {
+        console.error('sidebar.js requires core/template-resolver.js, core/template-engine.js and navigation/render.js to be loaded first');
+        return;
       }
+
+      var render = SirsiMaster.render;
+      var base = resolveBase(source);
+      loadState(source);
+
+      hideSkeleton = SirsiMaster.templates.skeleton('sidebar', root);
+      loadSchema(source, SirsiMaster.templates.fetchText, function (schema) {
+        if (destroyed) return; // destroyed while loading
+        if (schema) {
+          hideSkeleton();
+          mount(function (user) {
+            return render.sidebarFromSchema(schema, base, pinnedKey, user);
+          });
+          return;
+        }
+
+        SirsiMaster.templates.load('sidebar', source, { scriptSrc: scriptSrc }, function (err, template) {
+          hideSkeleton();
+          if (destroyed) return;
+          if (err) {
+            instanceReady.reject(err);
+            return;
+          }
+          mount(function (user) {
+            return render.sidebar(template, base, pinnedKey, user);
+          });
+        });
+      });
+    }
+
+    var mobileQuery = window.matchMedia ? window.matchMedia(MOBILE_QUERY) : null;
+
+    /**
+     * Remove the sidebar and its listeners; the node it replaced is put back. Calling it
+     * again does nothing.
+     */
+    function destroy() {
+      if (destroyed) return;
+      close();
+      destroyed = true;
+      hideSkeleton();
+      if (redraw) window.removeEventListener('sirsiMasterAccessChange', redraw);
+      redraw = null;
+      window.removeEventListener('sirsiMasterRouteChange', syncActive);
+      window.removeEventListener('popstate', syncActive);
+      if (mobileQuery && mobileQuery.removeEventListener) mobileQuery.removeEventListener('change', onBreakpoint);
+      else if (mobileQuery && mobileQuery.removeListener) mobileQuery.removeListener(onBreakpoint);
+
+      if (sidebarEl && sidebarEl.parentNode) {
+        if (prerendered) sidebarEl.parentNode.removeChild(sidebarEl);
+        else sidebarEl.parentNode.replaceChild(root, sidebarEl);
+      }
+      if (overlay && overlay.parentNode) overlay.parentNode.removeChild(overlay);
+      overlay = null;
+      sidebarEl = null;
+      instances.splice(instances.indexOf(instance), 1);
+    }
+
+    instance = {
+      toggle: toggle,
+      open: open,
+      close: close,
+      isOpen: function () { return drawerOpen; },
+      setRail: setRail,
+      isRail: function () { return state.rail; },
+      toggleSection: toggleSection,
+      setActive: setActive,
+      setBadge: setBadge,
+      ready: function () { return instanceReady.promise; },
+      element: function () { return sidebarEl; },
+      destroy: destroy
     };
-    xhr.send();
+    instances.push(instance);
+
+    window.addEventListener('sirsiMasterRouteChange', syncActive);
+    window.addEventListener('popstate', syncActive);
+    if (mobileQuery && mobileQuery.addEventListener) mobileQuery.addEventListener('change', onBreakpoint);
+    else if (mobileQuery && mobileQuery.addListener) mobileQuery.addListener(onBreakpoint);
+
+    // Prerendered by development-tools/scripts/prerender.js: only attach behaviour
+    if (prerendered) {
+      loadState(root);
+      enhance(root);
+    } else {
+      load();
+    }
+    return instance;
+  }
+
+  // [data-sidebar-toggle] buttons, also inside the shadow roots of custom elements
+  function toggleButton(e) {
+    var path = e.composedPath ? e.composedPath() : [];
+    for (var i = 0; i < path.length; i++) {
+      if (path[i].hasAttribute && path[i].hasAttribute('data-sidebar-toggle')) return path[i];
+    }
+    return e.target.closest ? e.target.closest('[data-sidebar-toggle]') : null;
   }
 
+  document.addEventListener('click', function (e) {
+    if (!toggleButton(e)) return;
+    e.preventDefault();
+    if (primary()) primary().toggle();
+  });
+
+  // history.pushState/replaceState fire no event; announce them so SPA and
+  // Turbo-style navigation can update the active item (and anything else listening)
+  ['pushState', 'replaceState'].forEach(function (method) {
+    var original = window.history[method];
+    if (typeof original !== 'function' || original.sirsiMasterRouteWatch) return;
+
+    var patched = function () {
+      var result = original.apply(this, arguments);
+      window.dispatchEvent(new CustomEvent('sirsiMasterRouteChange', {
+        detail: { method: method, pathname: window.location.pathname }
+      }));
+      return result;
+    };
+    patched.sirsiMasterRouteWatch = true;
+    window.history[method] = patched;
+  });
+
+  // ---- #sidebar-root ----
+
   function onReady(fn) {
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', fn);
@@ -84,13 +649,56 @@
     }
   }
 
-  onReady(function () {
-    var root = document.getElementById('sidebar-root');
-    if (!root) return; // no-op if page doesn't include the placeholder
+  function init() {
+    var root = document.querySelector('aside.sidebar[data-prerendered]') || document.getElementById('sidebar-root');
+    if (!root) {
+      readyState.resolve(null); // no-op if page doesn't include the placeholder
+      return;
+    }
 
-    var base = resolveBase(root);
-    var active = root.getAttribute('data-active') || '';
-    injectSidebar(root, base, active);
-  });
-})();
+    page = create(root);
+    if (early.active !== null) page.setActive(early.active);
+    Object.keys(early.badges).forEach(function (key) { page.setBadge(key, early.badges[key]); });
+    early = { badges: {}, active: null };
+    page.ready().then(readyState.resolve, readyState.reject);
+  }
+
+  /**
+   * Remove the sidebar and its listeners; the placeholder is put back so init() can
+   * render it again.
+   */
+  function destroy() {
+    if (page) page.destroy();
+    page = null;
+    readyState = deferred();
+  }
 
+  // Calls on the page's sidebar; before it exists, setActive/setBadge are kept for it
+  function delegate(name, fallback) {
+    return function () {
+      var sidebar = primary();
+      return sidebar ? sidebar[name].apply(null, arguments) : fallback.apply(null, arguments);
+    };
+  }
+
+  function noop() {}
+
+  onReady(init);
+
+  window.SirsiMaster = window.SirsiMaster || {};
+  window.SirsiMaster.sidebar = {
+    toggle: delegate('toggle', noop),
+    open: delegate('open', noop),
+    close: delegate('close', noop),
+    isOpen: delegate('isOpen', function () { return false; }),
+    setRail: delegate('setRail', noop),
+    isRail: delegate('isRail', function () { return false; }),
+    toggleSection: delegate('toggleSection', noop),
+    setActive: delegate('setActive', function (key) { early.active = key || ''; }),
+    setBadge: delegate('setBadge', function (key, value) { early.badges[key] = value; }),
+    ready: function () { return readyState.promise; },
+    init: init,
+    destroy: destroy,
+    create: create
+  };
+})();
@@ -12,241 +12,537 @@
  *           data-title="Page Title"
  *           data-subtitle="Page subtitle"
  *           data-user-name="John Smith"
+ *           data-user-avatar="/images/john.jpg"
  *           data-search-placeholder="Search..."
  *           data-show-auth="true"></header>
+ *
+ * Branding comes from a brand configuration instead of the template: data-brand holds
+ * the product name, inline JSON or the URL of a JSON file, and window.SirsiMasterConfig.brand
+ * can set it for the whole site (object or URL):
+ *   { "name": "Acme", "subtitle": { "admin": "Admin", "client": "Portal" }, "logo": "logo.svg",
+ *     "home": "index.html", "nav": [{ "label": "Pricing", "href": "pricing.html" }],
+ *     "auth": { "signIn": "Log in", "signUp": "Start free" } }
+ * data-nav-items='[{ "label", "href" }]' overrides the public navigation links.
+ *   <script src="[[BASE]]/components/i18n.js"></script>
+ *   <script src="[[BASE]]/components/template-resolver.js"></script>
+ *   <script src="[[BASE]]/components/template-engine.js"></script>
+ *   <script src="[[BASE]]/components/session.js"></script>
+ *   <script src="[[BASE]]/components/render.js"></script>
+ *   <script src="[[BASE]]/components/menu.js"></script>
  *   <script src="[[BASE]]/components/universal-header.js"></script>
+ *
+ * With navigation/search.js loaded the search inputs list results from every provider
+ * registered with SirsiMaster.search (Ctrl/Cmd+K focuses them). With
+ * navigation/notifications.js loaded the admin and client layouts show a notification bell.
+ * With core/theme.js loaded the user dropdowns offer light, dark and system themes.
+ * With navigation/mobile-nav.js loaded the public links fold behind a hamburger menu and
+ * the search behind an icon on small screens, at and below data-nav-breakpoint and
+ * data-search-breakpoint (pixels; default SirsiMasterConfig.breakpoints, then 1024).
+ * With core/session.js and a session provider the header shows the signed-in user
+ * (name, avatar image or initials) instead of data-user-name, and the public layout
+ * swaps the sign-in buttons for the user menu; sign-ins and sign-outs re-render it.
+ * With navigation/auth-modal.js and an auth adapter the sign-in and sign-up buttons open
+ * a sign-in / sign-up / password-reset dialog instead of navigating.
+ * Labels come from core/i18n.js; SirsiMaster.i18n.setLocale() re-renders the header in
+ * the new language.
+ *
+ * The user menus are WAI-ARIA menu buttons (navigation/menu.js). data-user-menu replaces
+ * their items: '[{"label":"Profile","href":"profile.html"},{"divider":true},
+ * {"label":"Log out","action":"logout"}]', where "action" names a registered handler.
+ *
+ * Header actions name a handler registered with SirsiMaster.actions.register()
+ * (core/actions.js): data-actions='[{"label":"Export","icon":"download","action":"export"}]'.
+ * Actions with roles/permissions are filtered for the user context from
+ * core/access.js (data-user-roles / data-user-permissions or SirsiMaster.access.setUser()).
+ *
+ * The template is located through core/template-resolver.js; set data-template-src
+ * on the root to point at a customised copy. A skeleton fills the root while it loads.
+ * If it cannot be fetched, the resolver's cached, inline or offline fallback template
+ * is rendered, and failing those the built-in public header. Markup is produced by
+ * navigation/render.js, shared with the static prerender CLI; prerendered headers are
+ * hydrated and, on the first session, locale or access change, rendered again from the
+ * template.
+ *
+ * Runtime API on SirsiMaster.universalHeader (and SirsiMaster.header when this is the
+ * page's header): update({ title, subtitle, searchPlaceholder, actions }), ready(),
+ * destroy() and init(). SirsiMaster.universalHeader.create(root, options) renders a
+ * header in place of any node; the #universal-header-root placeholder and
+ * <sm-universal-header> (navigation/elements.js) are both built on it.
  */
 
 (function () {
-  const baseTokenRegex = /\\[\\[BASE\\]\\]/g;
-  const typeTokenRegex = /\\[\\[TYPE\\]\\]/g;
-  const titleTokenRegex = /\\[\\[TITLE\\]\\]/g;
-  const subtitleTokenRegex = /\\[\\[SUBTITLE\\]\\]/g;
-  const userNameTokenRegex = /\\[\\[USER_NAME(?::(\\d+):(\\d+))?\\]\\]/g;
-  const searchPlaceholderTokenRegex = /\\[\\[SEARCH_PLACEHOLDER\\]\\]/g;
-
-  function resolveBase() {
+  // Captured while the script executes; used to resolve the template next to it
+  const scriptSrc = document.currentScript ? document.currentScript.src : '';
+
+  let page = null; // header of the #universal-header-root placeholder (or the prerendered one)
+
+  // Re-render on SirsiMaster.access.setUser() (user context), SirsiMaster.i18n.setLocale()
+  // (default labels are translated) and core/session.js sign-ins and sign-outs
+  const CHANGE_EVENTS = ['sirsiMasterAccessChange', 'sirsiMasterLocaleChange', 'sirsiMasterSessionChange'];
+
+  // Minimal public layout for when the template cannot be loaded (rendered by render.js)
+  const FALLBACK_TEMPLATE = `
+    <header class="universal-header public-header">
+      <div class="header-public" data-show-if-type="public">
+        <div class="header-public-inner">
+          <div class="header-left">
+            <a href="[[BASE]]/" class="header-branding" data-brand-home>
+              <span class="brand-logo" data-brand-logo></span>
+              <span class="brand-text">
+                <span class="brand-name" data-brand-name></span>
+                <span class="brand-subtitle" data-brand-subtitle></span>
+              </span>
+            </a>
+          </div>
+          <div class="header-center" data-nav-panel>
+            <nav class="main-nav" data-brand-nav aria-label="Main" data-i18n-aria-label="universal.mainNav"></nav>
+          </div>
+          <div class="header-right">
+            [[#if SHOW_AUTH]]<div class="auth-buttons" data-brand-auth data-show-if="anonymous"></div>[[/if]]
+            <div class="user-menu" data-menu data-show-if="authenticated" style="display: none;">
+              <button type="button" class="user-avatar" data-menu-button aria-label="User menu" data-i18n-aria-label="menu.userMenu">[[#if AVATAR_URL]]<img class="avatar-image" src="[[AVATAR_URL]]" alt="">[[else]][[USER_NAME | initials]][[/if]]</button>
+              <div class="user-dropdown" data-menu-list hidden>
+                <div class="dropdown-items" data-user-menu>
+                  <button type="button" class="dropdown-item" data-action="logout" data-i18n="menu.logout">Logout</button>
+                </div>
+              </div>
+            </div>
+            <button type="button" class="nav-toggle" data-nav-toggle aria-label="Menu" data-i18n-aria-label="universal.menu" hidden>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <line x1="3" y1="12" x2="21" y2="12"></line>
+                <line x1="3" y1="6" x2="21" y2="6"></line>
+                <line x1="3" y1="18" x2="21" y2="18"></line>
+              </svg>
+            </button>
+          </div>
+        </div>
+      </div>
+    </header>`;
+
+  const deferred = () => {
+    const d = {};
+    d.promise = new Promise((resolve, reject) => {
+      d.resolve = resolve;
+      d.reject = reject;
+    });
+    d.promise.catch(() => {}); // callers of ready() still see the rejection
+    return d;
+  };
+  let readyState = deferred();
+
+  function resolveBase(root) {
+    const explicit = root.getAttribute('data-base');
+    if (explicit && explicit.trim()) return explicit.replace(/\/$/, '');
+
     // Attempt to infer base from script tag src
     const script = document.currentScript || document.querySelector('script[src$="universal-header.js"]');
-    if (!script) {
-      // Fallback to current page location
-      const currentPath = window.location.pathname;
-      if (currentPath.includes('/')) {
-        return window.location.origin + '/assiduousflip';
-      }
-      return window.location.origin;
-    }
+    if (!script) return '';
     const src = script.getAttribute('src');
     if (src) {
-      // Handle relative paths
-      if (src.startsWith('components/')) {
-        const currentPath = window.location.pathname;
-        if (currentPath.includes('/')) {
-          return window.location.origin + '/assiduousflip';
-        }
-        return window.location.origin;
-      }
+      // components/ next to the page: the page's directory is the project root
+      if (src.startsWith('components/')) return '.';
+      // Bundled builds (dist/sirsimaster-ui.js) carry no path information
+      if (!/universal-header\.js$/.test(src)) return '';
       // Handle absolute paths
       return src.replace(/\/components\/universal-header\.js$/, '');
     }
     return '';
   }
 
-  function processTokens(html, config) {
-    // Replace base path
-    html = html.replace(baseTokenRegex, config.base);
-    
-    // Replace type
-    html = html.replace(typeTokenRegex, config.type);
-    
-    // Replace title and subtitle
-    html = html.replace(titleTokenRegex, config.title);
-    html = html.replace(subtitleTokenRegex, config.subtitle);
-    
-    // Replace search placeholder
-    html = html.replace(searchPlaceholderTokenRegex, config.searchPlaceholder);
-    
-    // Replace user name with substring support
-    html = html.replace(userNameTokenRegex, (match, start, end) => {
-      if (!config.userName) return '';
-      if (start !== undefined && end !== undefined) {
-        return config.userName.substring(parseInt(start), parseInt(end)).toUpperCase();
-      }
-      return config.userName;
-    });
-    
-    return html;
-  }
+  // Shared brand: the SirsiMasterConfig.brand object, then a JSON file from
+  // data-brand="brand.json" (or SirsiMasterConfig.brand as a URL); callback([]) means the
+  // defaults. Inline data-brand values are applied by render.parseUniversalHeaderConfig().
+  function loadBrand(root, callback) {
+    const configured = (window.SirsiMasterConfig || {}).brand || null;
+    const shared = configured && typeof configured === 'object' ? [configured] : [];
+    const render = window.SirsiMaster && window.SirsiMaster.render;
+    const source = render && render.brandSource(root.getAttribute('data-brand'));
+    const src = source && source.type === 'url' ? source.value : (typeof configured === 'string' ? configured : null);
+    const resolver = window.SirsiMaster && window.SirsiMaster.templates;
+    if (!src || !resolver) {
+      callback(shared);
+      return;
+    }
 
-  function showOnlyHeaderType(container, type) {
-    // Hide all header types
-    const headerTypes = container.querySelectorAll('[data-show-if-type]');
-    headerTypes.forEach(element => {
-      if (element.getAttribute('data-show-if-type') === type) {
-        element.style.display = 'flex';
+    console.log('Loading universal header brand from:', src);
+    resolver.fetchText(src, (err, text) => {
+      if (err) {
+        console.error('Failed to load universal header brand:', src, err.message);
       } else {
-        element.style.display = 'none';
+        try {
+          shared.push(JSON.parse(text));
+        } catch (e) {
+          console.error('Failed to parse universal header brand:', src, e);
+        }
       }
+      callback(shared);
     });
   }
 
-  function setupInteractivity(container, config) {
-    // User menu dropdown
-    const userMenu = container.querySelector('.user-menu');
-    const userAvatar = container.querySelector('.user-avatar');
-    const userDropdown = container.querySelector('.user-dropdown');
-    
-    if (userMenu && userAvatar && userDropdown) {
-      userAvatar.addEventListener('click', (e) => {
-        e.stopPropagation();
-        userDropdown.style.display = userDropdown.style.display === 'block' ? 'none' : 'block';
-      });
-      
-      // Close dropdown when clicking outside
-      document.addEventListener('click', () => {
-        userDropdown.style.display = 'none';
+  // cleanups collects functions that remove document-level listeners of this render
+  function setupInteractivity(container, config, cleanups) {
+    // User menus (one per layout): WAI-ARIA menu buttons from navigation/menu.js
+    const menus = container.querySelectorAll('[data-menu]');
+    const menu = window.SirsiMaster && window.SirsiMaster.menu;
+    if (menu) {
+      menus.forEach(el => {
+        cleanups.push(menu.attach(el, { items: config.userMenu, component: 'universal-header' }));
       });
+    } else if (menus.length) {
+      console.error('universal-header.js requires navigation/menu.js to open the user menu');
     }
 
-    // Search functionality
-    const searchInput = container.querySelector('[data-search-input]');
-    if (searchInput) {
+    // Small screens: hamburger menu and folding search, from navigation/mobile-nav.js
+    const mobileNav = window.SirsiMaster && window.SirsiMaster.mobileNav;
+    if (mobileNav) {
+      cleanups.push(mobileNav.attach(container, { breakpoints: config.breakpoints }));
+    }
+
+    // Search functionality: results dropdown from navigation/search.js when loaded;
+    // keystrokes are still re-emitted for pages listening to universalHeaderSearch
+    const search = window.SirsiMaster && window.SirsiMaster.search;
+    container.querySelectorAll('[data-search-input]').forEach(searchInput => {
+      if (search) cleanups.push(search.attach(searchInput, { component: 'universal-header' }));
       searchInput.addEventListener('input', (e) => {
         // Dispatch custom search event
         window.dispatchEvent(new CustomEvent('universalHeaderSearch', {
           detail: { query: e.target.value, type: config.type }
         }));
       });
+    });
+
+    // Notification bells (admin and client layouts), from navigation/notifications.js when loaded
+    const notifications = window.SirsiMaster && window.SirsiMaster.notifications;
+    if (notifications) {
+      container.querySelectorAll('[data-notifications]').forEach(bell => {
+        cleanups.push(notifications.attach(bell, { component: 'universal-header' }));
+      });
     }
 
-    // Action buttons setup
-    if (config.actions && config.type === 'admin') {
-      const actionsContainer = container.querySelector('[data-header-actions]');
-      if (actionsContainer) {
-        config.actions.forEach(action => {
-          const button = document.createElement('button');
-          button.className = `header-action-btn ${action.primary ? 'primary' : 'secondary'}`;
-          button.innerHTML = `${action.icon || ''} ${action.label}`;
-          if (action.onclick) {
-            button.addEventListener('click', () => eval(action.onclick));
-          }
-          actionsContainer.appendChild(button);
-        });
+    // Sign-in / sign-up buttons (public layout) open navigation/auth-modal.js when loaded
+    const authModal = window.SirsiMaster && window.SirsiMaster.authModal;
+    if (authModal) {
+      container.querySelectorAll('[data-brand-auth]').forEach(buttons => {
+        cleanups.push(authModal.attach(buttons, { component: 'universal-header' }));
+      });
+    }
+
+    // Theme switchers in the user dropdowns, from core/theme.js when loaded (after the
+    // menus, which make their options radio items)
+    const theme = window.SirsiMaster && window.SirsiMaster.theme;
+    if (theme) {
+      container.querySelectorAll('[data-theme-switcher]').forEach(switcher => {
+        cleanups.push(theme.attach(switcher));
+      });
+    }
+
+    // Action buttons (rendered by navigation/render.js, handlers from core/actions.js)
+    if (config.actions && config.actions.length && config.type === 'admin') {
+      const actions = window.SirsiMaster && window.SirsiMaster.actions;
+      if (actions) {
+        actions.bind(container, config.actions, 'universal-header');
+      } else {
+        console.error('universal-header.js requires core/actions.js to handle header actions');
       }
     }
   }
 
-  function injectHeader() {
-    const root = document.getElementById('universal-header-root');
-    if (!root) return;
-
-    const base = resolveBase();
-    const type = root.getAttribute('data-type') || 'public';
-    const title = root.getAttribute('data-title') || 'Assiduous Properties';
-    const subtitle = root.getAttribute('data-subtitle') || '';
-    const userName = root.getAttribute('data-user-name') || 'User';
-    const searchPlaceholder = root.getAttribute('data-search-placeholder') || 'Search...';
-    const showAuth = root.getAttribute('data-show-auth') === 'true';
-    
-    let actions = [];
-    try {
-      const actionsAttr = root.getAttribute('data-actions');
-      if (actionsAttr) {
-        actions = JSON.parse(actionsAttr);
+  function announceLoaded(config) {
+    window.dispatchEvent(new CustomEvent('universalHeaderLoaded', {
+      detail: { type: config.type, config }
+    }));
+  }
+
+  /**
+   * Render a universal header in place of root and keep it current. A prerendered
+   * header (data-prerendered) is hydrated and rendered again from the template on the
+   * first CHANGE_EVENTS event.
+   * options.source: where the data-* configuration is read (default root)
+   * options.onRender(header): called after every render
+   * Returns { update, refresh, ready, element, destroy }.
+   */
+  function create(root, options = {}) {
+    const source = options.source || root;
+    const prerendered = root.hasAttribute && root.hasAttribute('data-prerendered');
+    const render = window.SirsiMaster && window.SirsiMaster.render;
+    const base = resolveBase(source);
+    const instanceReady = deferred();
+    let headerEl = null; // the live <header class="universal-header">
+    let config = null; // current configuration; update() changes it
+    let overrides = {}; // values set through update(), kept when the configuration is re-read
+    let brand = [];
+    let draw = null; // renders config; set once the template is loaded
+    let redraw = null; // listener for CHANGE_EVENTS
+    let destroyed = false; // late template loads are dropped
+    let cleanups = []; // removes document-level listeners of the current render
+    let hideSkeleton = () => {}; // restores the placeholder shown while loading
+
+    const teardown = () => {
+      cleanups.forEach(cleanup => cleanup());
+      cleanups = [];
+    };
+
+    const listen = fn => {
+      redraw = fn;
+      CHANGE_EVENTS.forEach(name => window.addEventListener(name, redraw));
+    };
+
+    const mounted = headerElement => {
+      headerEl = headerElement;
+      setupInteractivity(headerElement, config, cleanups);
+      if (options.onRender) options.onRender(headerElement);
+      instanceReady.resolve(headerElement);
+    };
+
+    // Configuration from the attributes, with the update() values on top; reset lists
+    // keys whose update() values are dropped
+    const read = (reset = []) => {
+      reset.forEach(key => { delete overrides[key]; });
+      config = Object.assign(render.parseUniversalHeaderConfig(source, base, brand), overrides);
+    };
+
+    const applyUpdate = changes => {
+      if (!config) return headerEl; // fallback header: nothing to update
+      ['title', 'subtitle', 'searchPlaceholder'].forEach(key => {
+        if (changes[key] !== undefined) config[key] = overrides[key] = changes[key];
+      });
+
+      // Client and public layouts stay in the markup (hidden), so update every copy
+      if (changes.title !== undefined) {
+        headerEl.querySelectorAll('[data-header-title]').forEach(el => { el.textContent = changes.title; });
       }
-    } catch (e) {
-      console.warn('Failed to parse data-actions:', e);
-    }
+      if (changes.subtitle !== undefined) {
+        headerEl.querySelectorAll('[data-header-subtitle]').forEach(el => { el.textContent = changes.subtitle; });
+      }
+      if (changes.searchPlaceholder !== undefined) {
+        headerEl.querySelectorAll('[data-search-input]').forEach(el => el.setAttribute('placeholder', changes.searchPlaceholder));
+      }
+      if (changes.actions && config.type === 'admin') {
+        config.actions = overrides.actions = changes.actions;
+        const container = headerEl.querySelector('[data-show-if-type="admin"] [data-header-actions]');
+        if (container && window.SirsiMaster.actions) {
+          container.innerHTML = render.renderActions(config.actions, config.user);
+          window.SirsiMaster.actions.bind(container, config.actions, 'universal-header');
+        }
+      }
+      return headerEl;
+    };
+
+    /**
+     * Change the rendered header in place. Resolves with the header element; calls made
+     * before the header is rendered are applied once it is.
+     */
+    const update = changes => instanceReady.promise.then(() => applyUpdate(changes || {}));
 
-    const config = {
-      base,
-      type,
-      title,
-      subtitle,
-      userName,
-      searchPlaceholder,
-      showAuth,
-      actions
+    /**
+     * Re-read the configuration (after its attributes changed) and render again.
+     */
+    const refresh = reset => {
+      if (destroyed || !draw) return;
+      read(reset);
+      draw();
     };
 
-    // Debug: log the fetch URL
-    const fetchUrl = base + '/components/universal-header.html';
-    console.log('Universal Header: Attempting to fetch from:', fetchUrl);
-    console.log('Base path resolved as:', base);
-    console.log('Current location:', window.location.href);
-    
-    // Create a more robust fallback header first
+    // Public header used when the template cannot be loaded; branded like the template
+    // and, like it, showing the signed-in user
     const createFallbackHeader = () => {
-      const fallbackHtml = `
-        <header class="universal-header public-header" style="background: white; border-bottom: 1px solid #e5e7eb; padding: 1rem 1.5rem; display: flex; justify-content: space-between; align-items: center;">
-          <div style="display: flex; align-items: center; gap: 0.5rem;">
-            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#60A3D9" stroke-width="2">
-              <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"></path>
-              <polyline points="9 22 9 12 15 12 15 22"></polyline>
-            </svg>
-            <div>
-              <span style="font-size: 1.125rem; font-weight: 700; color: #111827;">Assiduous</span><br>
-              <span style="font-size: 0.75rem; color: #6b7280; text-transform: uppercase; letter-spacing: 0.05em;">Properties</span>
-            </div>
-          </div>
-          <div style="display: flex; align-items: center; gap: 1rem;">
-            <nav style="display: flex; gap: 1.5rem;">
-              <a href="${base}/" style="color: #6b7280; text-decoration: none; font-size: 0.875rem;">Home</a>
-              <a href="${base}/properties.html" style="color: #6b7280; text-decoration: none; font-size: 0.875rem;">Properties</a>
-              <a href="${base}/agents.html" style="color: #6b7280; text-decoration: none; font-size: 0.875rem;">Find Agents</a>
-              <a href="${base}/about.html" style="color: #6b7280; text-decoration: none; font-size: 0.875rem;">About</a>
-            </nav>
-            <div style="display: flex; gap: 0.75rem;">
-              <a href="#" onclick="showLogin()" style="color: #6b7280; text-decoration: none; font-size: 0.875rem;">Sign In</a>
-              <a href="#" onclick="showSignup()" style="background: #60A3D9; color: white; padding: 0.5rem 1rem; border-radius: 0.375rem; text-decoration: none; font-size: 0.875rem;">Get Started</a>
-            </div>
-          </div>
-        </header>
-      `;
-      root.outerHTML = fallbackHtml;
+      if (!render || !window.SirsiMaster.templateEngine) {
+        instanceReady.resolve(null);
+        return;
+      }
+      let current = root;
+      const drawFallback = () => {
+        const fallbackConfig = Object.assign(render.parseUniversalHeaderConfig(source, base, brand), { type: 'public', actions: [] });
+        const container = document.createElement('div');
+        container.innerHTML = render.universalHeader(FALLBACK_TEMPLATE, fallbackConfig);
+        teardown();
+        headerEl = container.firstElementChild;
+        current.parentNode.replaceChild(headerEl, current);
+        current = headerEl;
+        setupInteractivity(headerEl, fallbackConfig, cleanups);
+        if (options.onRender) options.onRender(headerEl);
+      };
+      drawFallback();
+      listen(drawFallback);
+      instanceReady.resolve(headerEl);
     };
-    
-    // Fetch the header template
-    fetch(fetchUrl)
-      .then(response => {
-        console.log('Fetch response status:', response.status);
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        return response.text();
-      })
-      .then(html => {
-        console.log('Successfully fetched header template');
-        // Process tokens
-        html = processTokens(html, config);
-        
-        // Create container and inject HTML
+
+    // Load the header template (inline when bundled, fetched otherwise)
+    const loadTemplate = () => new Promise((resolve, reject) => {
+      const resolver = window.SirsiMaster && window.SirsiMaster.templates;
+      if (!resolver || !window.SirsiMaster.templateEngine || !render) {
+        reject(new Error('universal-header.js requires core/template-resolver.js, core/template-engine.js and navigation/render.js to be loaded first'));
+        return;
+      }
+      resolver.load('universal-header', source, { scriptSrc }, (err, html) => {
+        if (err) reject(err);
+        else resolve(html);
+      });
+    });
+
+    // Brand and template, loaded once
+    let sources = null;
+    const loadSources = () => {
+      if (!sources) {
+        sources = new Promise(resolve => loadBrand(source, resolve)).then(loaded => {
+          brand = loaded;
+          return loadTemplate();
+        });
+      }
+      return sources;
+    };
+
+    // Render config with html in place of root (then of the previous render)
+    const useTemplate = html => {
+      let current = root;
+      draw = () => {
         const container = document.createElement('div');
-        container.innerHTML = html;
+        container.innerHTML = render.universalHeader(html, config); // a TemplateError falls back below
         const headerElement = container.firstElementChild;
-        
-        // Show only the appropriate header type
-        showOnlyHeaderType(headerElement, type);
-        
-        // Replace the root element
-        root.parentNode.replaceChild(headerElement, root);
-        
+
+        // Replace the root element (or the previous render)
+        teardown();
+        current.parentNode.replaceChild(headerElement, current);
+        current = headerElement;
+
         // Setup interactivity
-        setupInteractivity(headerElement, config);
-        
-        // Dispatch loaded event
-        window.dispatchEvent(new CustomEvent('universalHeaderLoaded', {
-          detail: { type, config }
-        }));
-      })
-      .catch(err => {
-        console.error('Failed to load universal header:', err);
-        console.log('Using fallback header instead');
-        // Use the robust fallback header
-        createFallbackHeader();
+        mounted(headerElement);
+      };
+    };
+
+    const load = () => {
+      const resolver = window.SirsiMaster && window.SirsiMaster.templates;
+      if (resolver) hideSkeleton = resolver.skeleton('universal-header', root);
+
+      loadSources()
+        .then(html => {
+          hideSkeleton();
+          if (destroyed) return; // destroyed while loading
+
+          // Render tokens, brand, header type and action buttons
+          read();
+          useTemplate(html);
+          draw();
+
+          // Re-render on CHANGE_EVENTS; root stays the detached placeholder so its data-*
+          // attributes keep applying
+          listen(() => refresh());
+
+          // Dispatch loaded event
+          announceLoaded(config);
+        })
+        .catch(err => {
+          hideSkeleton();
+          if (destroyed) return;
+          console.error('Failed to load universal header:', err);
+          console.log('Using fallback header instead');
+          createFallbackHeader();
+        });
+    };
+
+    // The prerendered markup cannot follow CHANGE_EVENTS, so the first one loads the brand
+    // and template and the header is rendered from them from then on
+    const hydrate = () => {
+      read();
+      mounted(root);
+      announceLoaded(config);
+      if (!window.SirsiMaster.templates || !window.SirsiMaster.templateEngine) return; // stays as prerendered
+      listen(() => {
+        loadSources()
+          .then(html => {
+            if (destroyed) return;
+            if (!draw) useTemplate(html);
+            refresh();
+          })
+          .catch(err => console.error('Failed to re-render universal header:', err));
       });
+    };
+
+    /**
+     * Remove the header and its listeners; the node it replaced is put back.
+     */
+    const destroy = () => {
+      destroyed = true;
+      hideSkeleton();
+      teardown();
+      if (redraw) CHANGE_EVENTS.forEach(name => window.removeEventListener(name, redraw));
+      redraw = null;
+
+      if (headerEl && headerEl.parentNode) {
+        if (prerendered) headerEl.parentNode.removeChild(headerEl);
+        else headerEl.parentNode.replaceChild(root, headerEl);
+      }
+      headerEl = null;
+    };
+
+    // Prerendered: the prerender CLI copies the placeholder's data-* attributes onto the header
+    if (prerendered) {
+      if (!render) {
+        console.error('universal-header.js requires navigation/render.js to be loaded first');
+        instanceReady.resolve(null);
+      } else {
+        hydrate();
+      }
+    } else {
+      load();
+    }
+
+    return {
+      update,
+      refresh,
+      ready: () => instanceReady.promise,
+      element: () => headerEl,
+      destroy
+    };
   }
 
+  // ---- #universal-header-root ----
+
+  /**
+   * Change the page's header in place (see create().update).
+   */
+  const update = changes => readyState.promise.then(header => {
+    if (!header) throw new Error('No universal header on this page');
+    return page.update(changes);
+  });
+
+  function injectHeader() {
+    // Prerendered by development-tools/scripts/prerender.js: hydrated (see create())
+    const root = document.querySelector('header.universal-header[data-prerendered]') ||
+      document.getElementById('universal-header-root');
+    if (!root) {
+      readyState.resolve(null);
+      return;
+    }
+
+    window.SirsiMaster.header = api;
+    page = create(root);
+    page.ready().then(readyState.resolve, readyState.reject);
+  }
+
+  /**
+   * Remove the header and its listeners; the placeholder is put back so init() can
+   * render it again.
+   */
+  function destroy() {
+    if (page) page.destroy();
+    page = null;
+    readyState = deferred();
+  }
+
+  const api = {
+    update,
+    ready: () => readyState.promise,
+    init: injectHeader,
+    destroy,
+    create
+  };
+
+  window.SirsiMaster = window.SirsiMaster || {};
+  window.SirsiMaster.universalHeader = api;
+  // SirsiMaster.header is whichever header the page renders (see injectHeader)
+  if (!window.SirsiMaster.header) window.SirsiMaster.header = api;
+
   // Load header when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', injectHeader);
@@ -0,0 +1,130 @@
+/**
+ * Service Worker Registration
+ *
+ * How it works:
+ * - Registers the optional SirsiMaster service worker (dist/sirsimaster-sw.js, see
+ *   service-worker/worker.js), which precaches the templates, stylesheets and scripts
+ *   and serves them stale-while-revalidate
+ * - Registers on window load when window.SirsiMasterConfig.serviceWorker is set: the
+ *   worker URL, or { url, scope, base, flat }; or call SirsiMaster.serviceWorker.register()
+ * - When a deploy activates a new library version the worker tells every open page,
+ *   and a sirsiMasterUpdate event ({ version, previous, hash }) is dispatched on window
+ *   so the app can offer a reload
+ * - Does nothing where service workers are unavailable (old browsers, plain http)
+ *
+ * Usage:
+ *   <script>
+ *     window.SirsiMasterConfig = { serviceWorker: '/sirsimaster-sw.js' };
+ *     window.addEventListener('sirsiMasterUpdate', function (e) {
+ *       if (confirm('Version ' + e.detail.version + ' is available. Reload?')) location.reload();
+ *     });
+ *   </script>
+ *   <script src="../service-worker/register.js"></script>
+ */
+(function (root, factory) {
+  var serviceWorker = factory(root);
+  if (typeof module === 'object' && module.exports) {
+    module.exports = serviceWorker;
+  } else {
+    root.SirsiMaster = root.SirsiMaster || {};
+    root.SirsiMaster.serviceWorker = serviceWorker;
+  }
+})(typeof window !== 'undefined' ? window : this, function (window) {
+  var CACHE_PREFIX = 'sirsimaster-';
+  var registration = null;
+  var listening = false;
+
+  function supported() {
+    return !!(window && window.navigator && window.navigator.serviceWorker);
+  }
+
+  function onMessage(event) {
+    var data = event.data || {};
+    if (data.type !== 'sirsimaster:updated') return;
+    window.dispatchEvent(new CustomEvent('sirsiMasterUpdate', {
+      detail: { version: data.version, previous: data.previous, hash: data.hash }
+    }));
+  }
+
+  function listen() {
+    if (listening) return;
+    listening = true;
+    var container = window.navigator.serviceWorker;
+    container.addEventListener('message', onMessage);
+    if (container.startMessages) container.startMessages();
+  }
+
+  /**
+   * Register the worker. url is dist/sirsimaster-sw.js or a copy of it (a copy at the
+   * site root can control every page; see service-worker/README.md).
+   * options.scope: registration scope; options.base: URL of ui-components/ when the
+   * worker is not served from ui-components/dist/; options.flat: the files were copied
+   * into base without their subdirectories (components/sidebar.html, ...).
+   * Resolves with the ServiceWorkerRegistration, or null when unsupported or failed.
+   */
+  function register(url, options) {
+    options = options || {};
+    if (!supported()) return Promise.resolve(null);
+    listen();
+
+    var params = [];
+    if (options.base) params.push('base=' + encodeURIComponent(options.base));
+    if (options.flat) params.push('flat');
+    var scriptUrl = params.length ? url + (url.indexOf('?') === -1 ? '?' : '&') + params.join('&') : url;
+    return window.navigator.serviceWorker.register(scriptUrl, options.scope ? { scope: options.scope } : undefined)
+      .then(function (result) {
+        registration = result;
+        return result;
+      }, function (err) {
+        console.error('Failed to register the SirsiMaster service worker:', err);
+        return null;
+      });
+  }
+
+  /**
+   * Version of the library the active worker serves: { version, hash }, or null when
+   * no worker controls the page.
+   */
+  function version() {
+    var controller = supported() && window.navigator.serviceWorker.controller;
+    if (!controller || typeof MessageChannel !== 'function') return Promise.resolve(null);
+    return new Promise(function (resolve) {
+      var channel = new MessageChannel();
+      channel.port1.onmessage = function (event) { resolve(event.data); };
+      controller.postMessage({ type: 'sirsimaster:version' }, [channel.port2]);
+    });
+  }
+
+  /**
+   * Remove the worker registered by register() and its caches.
+   */
+  function unregister() {
+    var removing = registration ? registration.unregister() : Promise.resolve(false);
+    registration = null;
+    return removing.then(function (removed) {
+      if (!window.caches) return removed;
+      return window.caches.keys().then(function (names) {
+        return Promise.all(names.filter(function (name) {
+          return name.indexOf(CACHE_PREFIX) === 0;
+        }).map(function (name) { return window.caches.delete(name); }));
+      }).then(function () { return removed; });
+    });
+  }
+
+  // Opt-in through SirsiMasterConfig.serviceWorker; waits for load so the worker's
+  // downloads don't compete with the page
+  var configured = window && window.document && window.SirsiMasterConfig && window.SirsiMasterConfig.serviceWorker;
+  if (configured && supported()) {
+    var settings = typeof configured === 'string' ? { url: configured } : configured;
+    var start = function () { register(settings.url, settings); };
+    if (window.document.readyState === 'complete') start();
+    else window.addEventListener('load', start);
+  }
+
+  return {
+    supported: supported,
+    register: register,
+    version: version,
+    unregister: unregister
+  };
+});
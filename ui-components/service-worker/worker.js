@@ -0,0 +1,113 @@
+/**
+ * SirsiMaster Service Worker
+ *
+ * How it works:
+ * - scripts/build-js.js writes dist/sirsimaster-sw.js: this file with the precache
+ *   manifest in front (self.SIRSIMASTER_PRECACHE: the library version and every
+ *   template, stylesheet and script with a hash of its content)
+ * - install: downloads every manifest file into a cache named after the version and
+ *   the manifest hash, then takes over at once; a file that fails is skipped and
+ *   cached on first use instead
+ * - fetch: manifest files are answered from the cache and refreshed in the background
+ *   (stale-while-revalidate); every other request goes to the network untouched
+ * - activate: deletes the caches of earlier versions and, after an update, posts
+ *   { type: 'sirsimaster:updated', version, hash, previous } to every open page;
+ *   service-worker/register.js turns it into a sirsiMasterUpdate event
+ * - Manifest URLs are relative to ui-components/: the directory above the worker
+ *   (it is built into ui-components/dist/), or ?base=/path/to/ui-components/ when the
+ *   worker is served from somewhere else. Sites that copy the files into one directory
+ *   (components/sidebar.html, components/sidebar.js, ...) add &flat
+ */
+(function (self) {
+  var manifest = self.SIRSIMASTER_PRECACHE || { version: 'dev', hash: 'dev', files: [] };
+  var PREFIX = 'sirsimaster-';
+  var CACHE = PREFIX + manifest.version + '-' + manifest.hash;
+  var params = new URL(self.location.href).searchParams;
+  var base = new URL(params.get('base') || '../', self.location.href);
+  var flat = params.has('flat');
+
+  // Absolute URL (without query or hash) → content hash
+  var revisions = {};
+  manifest.files.forEach(function (file) {
+    var url = flat ? file.url.split('/').pop() : file.url;
+    revisions[new URL(url, base).href] = file.revision;
+  });
+
+  function cacheKey(url) {
+    var parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+  }
+
+  // 'sirsimaster-1.2.0-3f9a1c2b7e' → '1.2.0'
+  function versionOf(cacheName) {
+    return cacheName.slice(PREFIX.length).replace(/-[^-]*$/, '');
+  }
+
+  self.addEventListener('install', function (event) {
+    event.waitUntil(caches.open(CACHE).then(function (cache) {
+      return Promise.all(Object.keys(revisions).map(function (url) {
+        // cache: 'reload' skips the HTTP cache, which may still hold the old version
+        return fetch(new Request(url, { cache: 'reload' })).then(function (response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status);
+          return cache.put(url, response);
+        }).catch(function (err) {
+          console.warn('SirsiMaster service worker could not precache:', url, err.message);
+        });
+      }));
+    }).then(function () {
+      return self.skipWaiting();
+    }));
+  });
+
+  self.addEventListener('activate', function (event) {
+    event.waitUntil(caches.keys().then(function (names) {
+      var previous = names.filter(function (name) {
+        return name.indexOf(PREFIX) === 0 && name !== CACHE;
+      });
+      return Promise.all(previous.map(function (name) { return caches.delete(name); }))
+        .then(function () { return self.clients.claim(); })
+        .then(function () {
+          if (!previous.length) return null; // first install: nothing on the page is stale
+          return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(function (clients) {
+            clients.forEach(function (client) {
+              client.postMessage({
+                type: 'sirsimaster:updated',
+                version: manifest.version,
+                hash: manifest.hash,
+                previous: versionOf(previous[0])
+              });
+            });
+          });
+        });
+    }));
+  });
+
+  self.addEventListener('fetch', function (event) {
+    var request = event.request;
+    if (request.method !== 'GET') return;
+    var key = cacheKey(request.url);
+    if (!Object.prototype.hasOwnProperty.call(revisions, key)) return;
+
+    event.respondWith(caches.open(CACHE).then(function (cache) {
+      return cache.match(key).then(function (cached) {
+        var network = fetch(request).then(function (response) {
+          if (!response.ok) return response;
+          return cache.put(key, response.clone()).then(function () { return response; });
+        });
+        if (!cached) return network;
+        event.waitUntil(network.catch(function () {})); // offline: the cached copy stands
+        return cached;
+      });
+    }));
+  });
+
+  // SirsiMaster.serviceWorker.version() asks over a MessageChannel
+  self.addEventListener('message', function (event) {
+    var data = event.data || {};
+    if (data.type === 'sirsimaster:version' && event.ports && event.ports[0]) {
+      event.ports[0].postMessage({ version: manifest.version, hash: manifest.hash });
+    }
+  });
+})(self);